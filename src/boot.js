@@ -0,0 +1,92 @@
+/**
+ * REX - Reddit Enhancement Extension
+ * Boot Module: Keeps a snapshot of the settings from the last visit in the page's localStorage,
+ * the only storage a content script can read synchronously, so REX can apply its styles
+ * before Reddit's first paint. chrome.storage.sync stays the source of truth (see overrides.js).
+ */
+
+window.REX_BOOT = (function () {
+    'use strict';
+
+    const SCHEMA = window.REX_SETTINGS_SCHEMA;
+    const log = window.REX_LOG.create('Boot');
+
+    const SNAPSHOT_KEY = 'rex_boot_snapshot';
+
+    // Only the global switches that decide what is shown: Reddit's own scripts can read this
+    // storage, so lists such as feed filter keywords and subreddit overrides stay out of it
+    // (they load as usual, and overrides apply once chrome.storage answers)
+    const SNAPSHOT_TYPES = ['boolean', 'enum'];
+
+    /**
+     * Returns the page's localStorage, or null where it is blocked
+     * @returns {Storage|null}
+     */
+    function getStorage() {
+        try {
+            return window.localStorage;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Whether a setting is kept in the snapshot
+     * @param {object} setting - Schema entry
+     * @returns {boolean}
+     */
+    function isSnapshotted(setting) {
+        return SNAPSHOT_TYPES.includes(setting.type);
+    }
+
+    /**
+     * Reads the snapshot synchronously
+     * @returns {object|null} Every setting (defaults for the ones not snapshotted), or null
+     *     when there is no usable snapshot
+     */
+    function read() {
+        const storage = getStorage();
+        if (!storage) return null;
+
+        let snapshot;
+        try {
+            snapshot = JSON.parse(storage.getItem(SNAPSHOT_KEY));
+        } catch (e) {
+            log.warn('Ignoring an unreadable settings snapshot');
+            return null;
+        }
+        // Written by another schema version: wait for the migrated values instead
+        if (!snapshot || snapshot.version !== SCHEMA.SCHEMA_VERSION || !snapshot.values) return null;
+
+        const values = SCHEMA.getDefaults();
+        SCHEMA.SETTINGS.filter(isSnapshotted).forEach(setting => {
+            values[setting.key] = SCHEMA.normalize(setting.key, snapshot.values[setting.key]);
+        });
+        return values;
+    }
+
+    /**
+     * Replaces the snapshot with the current settings
+     * @param {object} values - Map of key to value (all settings)
+     */
+    function save(values) {
+        const storage = getStorage();
+        if (!storage) return;
+
+        const snapshotted = {};
+        SCHEMA.SETTINGS.filter(isSnapshotted).forEach(setting => {
+            if (setting.key in values) snapshotted[setting.key] = values[setting.key];
+        });
+
+        try {
+            storage.setItem(SNAPSHOT_KEY, JSON.stringify({ version: SCHEMA.SCHEMA_VERSION, values: snapshotted }));
+        } catch (e) {
+            log.warn('Could not store the settings snapshot', e);
+        }
+    }
+
+    return {
+        read,
+        save
+    };
+})();
@@ -0,0 +1,209 @@
+/**
+ * REX - Reddit Enhancement Extension
+ * Comments Page Module: Collapses the right-hand community sidebar on post/comment pages
+ */
+
+window.REX_COMMENTS_PAGE = (function () {
+    'use strict';
+
+    const OVERRIDES = window.REX_OVERRIDES;
+    const ROUTER = window.REX_ROUTER;
+    const OBSERVER = window.REX_OBSERVER;
+    const STYLES = window.REX_STYLES;
+    const I18N = window.REX_I18N;
+    const log = window.REX_LOG.create('Comments');
+
+    // Selectors identified via inspection (post pages)
+    const RIGHT_SIDEBAR_SELECTOR = '#right-sidebar-container';
+    const STRIP_ID = 'rex-comments-sidebar-strip';
+    const STYLE_NAME = 'rex-comments-sidebar-style';
+    const COLLAPSED_CLASS = 'rex-comments-sidebar-collapsed';
+
+    // Per-subreddit open/closed state lives in local storage (UI state, not a synced setting)
+    const OPEN_STATE_KEY = 'rex_comments_sidebar_open';
+
+    let collapseEnabled = false; // Track the rex_sidebar_collapse setting
+    let openBySubreddit = {}; // { subredditName: true } for subreddits the user expanded
+
+    /**
+     * Extracts the subreddit name if the current URL is a post/comments page
+     * @returns {string|null} The subreddit name or null if not on a comments page
+     */
+    function getCommentsPageSubreddit() {
+        const route = ROUTER.getRoute();
+        return route.type === 'post' && route.subreddit ? route.subreddit.toLowerCase() : null;
+    }
+
+    /**
+     * Registers the stylesheet used by the collapsed state (once)
+     */
+    function ensureStyle() {
+        if (STYLES.has(STYLE_NAME)) return;
+
+        STYLES.set(STYLE_NAME, `
+            html.${COLLAPSED_CLASS} ${RIGHT_SIDEBAR_SELECTOR} > :not(#${STRIP_ID}) {
+                display: none !important;
+            }
+            html.${COLLAPSED_CLASS} ${RIGHT_SIDEBAR_SELECTOR} {
+                width: 32px !important;
+                min-width: 32px !important;
+                max-width: 32px !important;
+            }
+            html.${COLLAPSED_CLASS} .main-container > main {
+                max-width: none !important;
+            }
+            #${STRIP_ID} {
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                gap: 6px;
+                width: 100%;
+                padding: 6px 0;
+                margin-bottom: 8px;
+                border: none;
+                border-radius: 8px;
+                background: var(--color-neutral-background-weak, #F6F7F8);
+                color: var(--color-neutral-content-weak, #576F76);
+                font-size: 12px;
+                font-weight: 600;
+                cursor: pointer;
+            }
+            #${STRIP_ID}:hover {
+                color: var(--color-neutral-content-strong, #1A1A1B);
+            }
+            html.${COLLAPSED_CLASS} #${STRIP_ID} {
+                position: sticky;
+                top: 64px;
+                min-height: 200px;
+                writing-mode: vertical-rl;
+            }
+        `, { roots: 'document' });
+    }
+
+    /**
+     * Creates the strip button that toggles the sidebar for the current subreddit
+     * @param {string} subredditName
+     * @returns {HTMLButtonElement}
+     */
+    function createStrip(subredditName) {
+        const strip = document.createElement('button');
+        strip.id = STRIP_ID;
+        strip.type = 'button';
+        strip.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            setOpen(subredditName, !openBySubreddit[subredditName]);
+        });
+        return strip;
+    }
+
+    /**
+     * Applies the collapsed/expanded state to the current page
+     */
+    function updateSidebar() {
+        const subredditName = getCommentsPageSubreddit();
+        const sidebar = document.querySelector(RIGHT_SIDEBAR_SELECTOR);
+        let strip = document.getElementById(STRIP_ID);
+
+        // Feature off, not a comments page, or no sidebar: restore Reddit's layout
+        if (!collapseEnabled || !subredditName || !sidebar) {
+            document.documentElement.classList.remove(COLLAPSED_CLASS);
+            if (strip) strip.remove();
+            return;
+        }
+
+        ensureStyle();
+
+        // Recreate the strip if it belongs to a previous page/subreddit
+        if (strip && (strip.parentNode !== sidebar || strip.dataset.subreddit !== subredditName)) {
+            strip.remove();
+            strip = null;
+        }
+        if (!strip) {
+            strip = createStrip(subredditName);
+            strip.dataset.subreddit = subredditName;
+            sidebar.insertBefore(strip, sidebar.firstChild);
+        }
+
+        const isOpen = !!openBySubreddit[subredditName];
+        document.documentElement.classList.toggle(COLLAPSED_CLASS, !isOpen);
+        strip.textContent = isOpen ? I18N.t('comments_sidebar_collapse') : I18N.t('comments_sidebar_expand', subredditName);
+        strip.setAttribute('aria-expanded', isOpen ? 'true' : 'false');
+        strip.setAttribute('aria-label', I18N.t(isOpen ? 'comments_sidebar_collapse_label' : 'comments_sidebar_expand_label'));
+    }
+
+    /**
+     * Stores whether the sidebar is expanded for a subreddit
+     * @param {string} subredditName
+     * @param {boolean} isOpen
+     */
+    function setOpen(subredditName, isOpen) {
+        if (isOpen) {
+            openBySubreddit[subredditName] = true;
+        } else {
+            delete openBySubreddit[subredditName];
+        }
+        updateSidebar();
+
+        if (typeof chrome !== 'undefined' && chrome.storage && chrome.storage.local) {
+            chrome.storage.local.set({ [OPEN_STATE_KEY]: openBySubreddit }, () => {
+                if (chrome.runtime && chrome.runtime.lastError) {
+                    log.error('Failed to save sidebar state', chrome.runtime.lastError);
+                }
+            });
+        }
+    }
+
+    /**
+     * Re-applies the sidebar state on route changes and DOM rebuilds
+     */
+    function initNavigationWatch() {
+        // Retry a few times as page may still be loading
+        setTimeout(updateSidebar, 500);
+        setTimeout(updateSidebar, 1500);
+
+        OBSERVER.onMutation(() => {
+            if (!collapseEnabled) return;
+
+            // Re-add strip if the sidebar was re-rendered without it
+            const sidebar = document.querySelector(RIGHT_SIDEBAR_SELECTOR);
+            if (sidebar && getCommentsPageSubreddit() && !document.getElementById(STRIP_ID)) {
+                updateSidebar();
+            }
+        });
+
+        // Handle SPA navigation (including browser back/forward)
+        ROUTER.subscribe(() => {
+            updateSidebar();
+            setTimeout(updateSidebar, 300);
+            setTimeout(updateSidebar, 1000);
+        });
+    }
+
+    function init() {
+        log.info('Initializing');
+
+        if (typeof chrome !== 'undefined' && chrome.storage && chrome.storage.sync) {
+            OVERRIDES.load(['rex_sidebar_collapse']).then((settings) => {
+                collapseEnabled = settings.rex_sidebar_collapse;
+
+                const loadOpenState = chrome.storage.local
+                    ? (cb) => chrome.storage.local.get([OPEN_STATE_KEY], (local) => cb(local[OPEN_STATE_KEY]))
+                    : (cb) => cb(null);
+
+                loadOpenState((storedState) => {
+                    openBySubreddit = storedState || {};
+                    updateSidebar();
+                    initNavigationWatch();
+                });
+            });
+
+            OVERRIDES.onChanged(['rex_sidebar_collapse'], (changed) => {
+                collapseEnabled = changed.rex_sidebar_collapse;
+                updateSidebar();
+            });
+        }
+    }
+
+    return { init };
+})();
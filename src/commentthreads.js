@@ -0,0 +1,385 @@
+/**
+ * REX - Reddit Enhancement Extension
+ * Comment Threads Module: Tools for the shreddit-comment trees on post pages. Collapses
+ * deep replies and bot comments, and moves between top-level comments (or OP's replies)
+ * with floating buttons and keyboard shortcuts (see shortcuts.js).
+ */
+
+window.REX_COMMENT_THREADS = (function () {
+    'use strict';
+
+    const OVERRIDES = window.REX_OVERRIDES;
+    const ROUTER = window.REX_ROUTER;
+    const OBSERVER = window.REX_OBSERVER;
+    const STYLES = window.REX_STYLES;
+    const I18N = window.REX_I18N;
+    const log = window.REX_LOG.create('Comment Threads');
+
+    const DEPTH_KEY = 'rex_comment_collapse_depth';
+    const COLLAPSE_BOTS_KEY = 'rex_collapse_bots';
+    const BOTS_KEY = 'rex_comment_bots';
+    const NAVIGATION_KEY = 'rex_comment_navigation';
+    const SETTING_KEYS = [DEPTH_KEY, COLLAPSE_BOTS_KEY, BOTS_KEY, NAVIGATION_KEY];
+
+    // Replies are nested inside their parent comment; depth is 0 for top-level comments
+    const COMMENT_SELECTOR = 'shreddit-comment';
+    const TOP_LEVEL_SELECTOR = 'shreddit-comment[depth="0"]';
+    const POST_SELECTOR = 'shreddit-post';
+
+    // shreddit-comment's own collapsed state, and why REX set it ('depth' or 'bot')
+    const COLLAPSED_ATTR = 'collapsed';
+    const REX_COLLAPSED_ATTR = 'data-rex-collapsed';
+
+    // Always collapsed with Collapse Bot Comments
+    const AUTOMODERATOR = 'automoderator';
+
+    const NAV_ID = 'rex-comment-nav';
+    const NAV_STYLE_NAME = 'rex-comment-nav-style';
+
+    // Jumps leave the comment just below Reddit's sticky header
+    const SCROLL_OFFSET = 64;
+
+    let collapseDepth = null; // Depth from which replies are collapsed, null when off
+    let collapseBots = false;
+    let botNames = new Set(); // Lowercase usernames from the bot list
+    let navigationEnabled = false;
+    let opMode = false; // Navigation steps through OP's replies instead of top-level comments
+
+    // Comments the collapse rules were applied to, so a comment the user re-opens stays open
+    const handledComments = new WeakSet();
+
+    /**
+     * Whether the current page shows a comment tree
+     * @returns {boolean}
+     */
+    function isCommentsPage() {
+        return ROUTER.getRoute().type === 'post';
+    }
+
+    /**
+     * Normalizes a username for matching (no u/ prefix, lowercase)
+     * @param {string} name
+     * @returns {string}
+     */
+    function normalizeUsername(name) {
+        return (name || '').trim().replace(/^\/?u(ser)?\//i, '').replace(/\/$/, '').toLowerCase();
+    }
+
+    /**
+     * Returns the post author (OP), or null when unknown or deleted
+     * @returns {string|null}
+     */
+    function getPostAuthor() {
+        const post = document.querySelector(POST_SELECTOR);
+        const author = post ? normalizeUsername(post.getAttribute('author')) : '';
+        return author && author !== '[deleted]' ? author : null;
+    }
+
+    /**
+     * Returns why a comment should start collapsed
+     * @param {Element} comment
+     * @returns {string|null} 'bot', 'depth' or null
+     */
+    function getCollapseReason(comment) {
+        const author = normalizeUsername(comment.getAttribute('author'));
+        if (collapseBots && (author === AUTOMODERATOR || botNames.has(author))) return 'bot';
+
+        const depth = parseInt(comment.getAttribute('depth'), 10);
+        if (collapseDepth !== null && depth >= collapseDepth) return 'depth';
+        return null;
+    }
+
+    /**
+     * Collapses a comment on REX's behalf
+     * @param {Element} comment
+     * @param {string} reason
+     */
+    function collapse(comment, reason) {
+        comment.setAttribute(COLLAPSED_ATTR, '');
+        comment.setAttribute(REX_COLLAPSED_ATTR, reason);
+    }
+
+    /**
+     * Re-opens a comment REX collapsed
+     * @param {Element} comment
+     */
+    function expand(comment) {
+        comment.removeAttribute(COLLAPSED_ATTR);
+        comment.removeAttribute(REX_COLLAPSED_ATTR);
+    }
+
+    /**
+     * Applies the collapse rules to a newly rendered comment (once)
+     * @param {Element} comment
+     */
+    function processComment(comment) {
+        if (handledComments.has(comment)) return;
+        handledComments.add(comment);
+
+        const reason = getCollapseReason(comment);
+        if (reason && !comment.hasAttribute(COLLAPSED_ATTR)) {
+            log.debug(`Collapsing comment by u/${comment.getAttribute('author')} (${reason})`);
+            collapse(comment, reason);
+        }
+    }
+
+    /**
+     * Re-applies the collapse rules to every comment after a settings change: comments REX
+     * collapsed that no longer match are re-opened, newly matching ones are collapsed
+     */
+    function reapplyAll() {
+        let collapsed = 0;
+        document.querySelectorAll(COMMENT_SELECTOR).forEach(comment => {
+            handledComments.add(comment);
+            const reason = getCollapseReason(comment);
+
+            if (!reason) {
+                if (comment.hasAttribute(REX_COLLAPSED_ATTR)) expand(comment);
+            } else if (!comment.hasAttribute(REX_COLLAPSED_ATTR) && !comment.hasAttribute(COLLAPSED_ATTR)) {
+                collapse(comment, reason);
+                collapsed++;
+            }
+        });
+        if (collapsed > 0) log.info(`Collapsed ${collapsed} comments`);
+    }
+
+    /**
+     * Returns the comments the navigation steps through, in page order
+     * @returns {Element[]}
+     */
+    function getTargets() {
+        if (!opMode) return Array.from(document.querySelectorAll(TOP_LEVEL_SELECTOR));
+
+        const author = getPostAuthor();
+        if (!author) return [];
+        return Array.from(document.querySelectorAll(COMMENT_SELECTOR))
+            .filter(comment => normalizeUsername(comment.getAttribute('author')) === author);
+    }
+
+    /**
+     * Returns the comment a reply belongs to
+     * @param {Element} comment
+     * @returns {Element|null}
+     */
+    function getParentComment(comment) {
+        return comment.parentElement ? comment.parentElement.closest(COMMENT_SELECTOR) : null;
+    }
+
+    /**
+     * Returns a comment's position in the viewport; a reply inside a collapsed thread
+     * takes the position of the nearest ancestor that is rendered
+     * @param {Element} comment
+     * @returns {number}
+     */
+    function getTop(comment) {
+        for (let element = comment; element; element = getParentComment(element)) {
+            const rect = element.getBoundingClientRect();
+            if (rect.height > 0) return rect.top;
+        }
+        return comment.getBoundingClientRect().top;
+    }
+
+    /**
+     * Opens the collapsed threads around a reply so it can be seen
+     * @param {Element} comment
+     */
+    function reveal(comment) {
+        for (let parent = getParentComment(comment); parent; parent = getParentComment(parent)) {
+            if (parent.hasAttribute(COLLAPSED_ATTR)) expand(parent);
+        }
+    }
+
+    /**
+     * Scrolls to the next or previous navigation target, relative to the top of the viewport
+     * @param {number} direction - 1 for next, -1 for previous
+     * @returns {boolean} Whether there was a comment to go to
+     */
+    function jump(direction) {
+        if (!isCommentsPage()) return false;
+
+        const targets = getTargets();
+        const target = direction > 0
+            ? targets.find(comment => getTop(comment) > SCROLL_OFFSET + 1)
+            : targets.filter(comment => getTop(comment) < SCROLL_OFFSET - 1).pop();
+        if (!target) return false;
+
+        reveal(target);
+        window.scrollTo({ top: window.scrollY + getTop(target) - SCROLL_OFFSET });
+        return true;
+    }
+
+    /**
+     * Switches the navigation between top-level comments and OP's replies (all shown)
+     * @returns {boolean} Whether OP's replies are now navigated
+     */
+    function toggleOpMode() {
+        opMode = !opMode;
+        // Every reply can then be reached in page order
+        if (opMode) getTargets().forEach(reveal);
+        log.info(opMode ? "Navigating OP's replies" : 'Navigating top-level comments');
+        updateNav();
+        return opMode;
+    }
+
+    /**
+     * Registers the floating navigation's stylesheet (once)
+     */
+    function ensureNavStyle() {
+        if (STYLES.has(NAV_STYLE_NAME)) return;
+
+        STYLES.set(NAV_STYLE_NAME, `
+            #${NAV_ID} {
+                position: fixed;
+                right: 24px;
+                bottom: 24px;
+                z-index: 100;
+                display: flex;
+                flex-direction: column;
+                gap: 4px;
+            }
+            #${NAV_ID} button {
+                min-width: 40px;
+                height: 40px;
+                padding: 0 8px;
+                border: 1px solid var(--color-neutral-border, #C9CED1);
+                border-radius: 999px;
+                background: var(--color-neutral-background, #FFFFFF);
+                color: var(--color-neutral-content-strong, #1A1A1B);
+                font-size: 14px;
+                font-weight: 600;
+                cursor: pointer;
+            }
+            #${NAV_ID} button:hover {
+                background: var(--color-neutral-background-hover, #EAEDEF);
+            }
+            #${NAV_ID} button[aria-pressed="true"] {
+                background: var(--color-primary-background, #0A449B);
+                color: var(--color-neutral-background, #FFFFFF);
+            }
+        `, { roots: 'document' });
+    }
+
+    /**
+     * Creates one navigation button
+     * @param {string} action - 'previous', 'next' or 'op'
+     * @param {string} text
+     * @returns {HTMLButtonElement}
+     */
+    function createNavButton(action, text) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.dataset.rexNav = action;
+        button.textContent = text;
+        return button;
+    }
+
+    /**
+     * Creates the floating navigation
+     * @returns {HTMLElement}
+     */
+    function createNav() {
+        const nav = document.createElement('div');
+        nav.id = NAV_ID;
+        nav.setAttribute('role', 'toolbar');
+        nav.setAttribute('aria-label', I18N.t('comments_nav_label'));
+        nav.appendChild(createNavButton('previous', '▲'));
+        nav.appendChild(createNavButton('next', '▼'));
+        nav.appendChild(createNavButton('op', 'OP'));
+
+        nav.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-rex-nav]');
+            if (!button) return;
+            e.preventDefault();
+
+            if (button.dataset.rexNav === 'op') {
+                toggleOpMode();
+            } else {
+                jump(button.dataset.rexNav === 'next' ? 1 : -1);
+            }
+        });
+        return nav;
+    }
+
+    /**
+     * Shows the floating navigation on comment pages while the setting is on
+     */
+    function updateNav() {
+        let nav = document.getElementById(NAV_ID);
+        if (!navigationEnabled || !isCommentsPage() || !document.body || !document.querySelector(COMMENT_SELECTOR)) {
+            if (nav) nav.remove();
+            return;
+        }
+
+        ensureNavStyle();
+        if (!nav) {
+            nav = createNav();
+            document.body.appendChild(nav);
+        }
+
+        nav.querySelector('[data-rex-nav="previous"]').title = I18N.t(opMode ? 'comments_nav_previous_op' : 'comments_nav_previous');
+        nav.querySelector('[data-rex-nav="next"]').title = I18N.t(opMode ? 'comments_nav_next_op' : 'comments_nav_next');
+
+        const author = getPostAuthor();
+        const opButton = nav.querySelector('[data-rex-nav="op"]');
+        opButton.hidden = !author;
+        opButton.setAttribute('aria-pressed', opMode ? 'true' : 'false');
+        opButton.title = author ? I18N.t('comments_nav_op', author) : '';
+    }
+
+    /**
+     * Takes over a settings update
+     * @param {object} settings - Changed or loaded values
+     */
+    function applySettings(settings) {
+        if (DEPTH_KEY in settings) {
+            collapseDepth = settings[DEPTH_KEY] === 'Off' ? null : parseInt(settings[DEPTH_KEY], 10);
+        }
+        if (COLLAPSE_BOTS_KEY in settings) collapseBots = settings[COLLAPSE_BOTS_KEY];
+        if (BOTS_KEY in settings) {
+            botNames = new Set(settings[BOTS_KEY].map(bot => normalizeUsername(bot.username)).filter(Boolean));
+        }
+        if (NAVIGATION_KEY in settings) navigationEnabled = settings[NAVIGATION_KEY];
+    }
+
+    /**
+     * Follows streamed-in comments and SPA navigation
+     */
+    function initObserver() {
+        // Comments stream in as the thread loads ("more replies" included)
+        OBSERVER.onAdded(COMMENT_SELECTOR, (comments) => {
+            if (!isCommentsPage()) return;
+            comments.forEach(processComment);
+            if (navigationEnabled && !document.getElementById(NAV_ID)) updateNav();
+        }, { existing: true });
+
+        ROUTER.subscribe(() => {
+            opMode = false;
+            updateNav();
+        });
+    }
+
+    function init() {
+        log.info('Initializing');
+
+        if (typeof chrome !== 'undefined' && chrome.storage && chrome.storage.sync) {
+            OVERRIDES.load(SETTING_KEYS).then((settings) => {
+                applySettings(settings);
+                initObserver();
+                updateNav();
+            });
+
+            OVERRIDES.onChanged(SETTING_KEYS, (changed) => {
+                applySettings(changed);
+                if (DEPTH_KEY in changed || COLLAPSE_BOTS_KEY in changed || BOTS_KEY in changed) reapplyAll();
+                updateNav();
+            });
+        }
+    }
+
+    return {
+        init,
+        next: () => jump(1),
+        previous: () => jump(-1),
+        toggleOpMode
+    };
+})();
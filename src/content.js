@@ -6,6 +6,16 @@
 (function () {
     'use strict';
 
+    // Start route tracking first so no SPA navigation is missed
+    if (window.REX_ROUTER) {
+        window.REX_ROUTER.init();
+    }
+
+    // One shared DOM observer for every module below
+    if (window.REX_OBSERVER) {
+        window.REX_OBSERVER.init();
+    }
+
     // Initialize Sidebar Collapse Logic
     if (window.REX_SIDEBAR) {
         window.REX_SIDEBAR.init();
@@ -16,19 +26,57 @@
         window.REX_HEADER.init();
     }
 
-    // Initialize REX Settings if we are on the settings page
-    function initSettings() {
-        if (window.location.href.includes('/settings') && window.REX_SETTINGS) {
+    // Initialize Sidebar Layout (section order and the Pinned section)
+    if (window.REX_SIDEBAR_LAYOUT) {
+        window.REX_SIDEBAR_LAYOUT.init();
+    }
+
+    // Initialize Comments Page Logic (right sidebar collapse)
+    if (window.REX_COMMENTS_PAGE) {
+        window.REX_COMMENTS_PAGE.init();
+    }
+
+    // Initialize Comment Threads (collapse rules and top-level comment navigation)
+    if (window.REX_COMMENT_THREADS) {
+        window.REX_COMMENT_THREADS.init();
+    }
+
+    // Initialize Feed Filter (keyword/user/subreddit post filtering)
+    if (window.REX_FEED_FILTER) {
+        window.REX_FEED_FILTER.init();
+    }
+
+    // Initialize Keyboard Shortcuts (bindings from REX Settings, "?" lists them)
+    if (window.REX_SHORTCUTS) {
+        window.REX_SHORTCUTS.init();
+    }
+
+    // Initialize Element Picker (starts if requested from REX Settings)
+    if (window.REX_PICKER) {
+        window.REX_PICKER.init();
+    }
+
+    // Initialize REX Settings whenever we are on a settings route (including SPA navigation)
+    function initSettings(route) {
+        if (!window.REX_SETTINGS) return;
+
+        if (route.type === 'settings') {
             window.REX_SETTINGS.init();
+        } else {
+            window.REX_SETTINGS.stop();
         }
     }
 
-    if (document.readyState === 'loading') {
-        document.addEventListener('DOMContentLoaded', () => {
-            initSettings();
-        });
-    } else {
-        initSettings();
+    if (window.REX_ROUTER) {
+        const startSettingsRouting = () => {
+            window.REX_ROUTER.subscribe(initSettings, { immediate: true });
+        };
+
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', startSettingsRouting);
+        } else {
+            startSettingsRouting();
+        }
     }
 
 })();
@@ -0,0 +1,279 @@
+/**
+ * REX - Reddit Enhancement Extension
+ * DOM Observer Module: One shared MutationObserver for all REX modules.
+ * Mutations are batched per animation frame and shadow roots are tracked incrementally,
+ * so modules never have to rescan the whole tree.
+ */
+
+window.REX_OBSERVER = (function () {
+    'use strict';
+
+    const log = window.REX_LOG.create('Observer');
+
+    // How often (and how many times) to re-check custom elements whose shadow root isn't attached yet
+    const PENDING_HOST_INTERVAL = 1000;
+    const PENDING_HOST_MAX_CHECKS = 10;
+
+    const knownShadowRoots = new Set();
+    const pendingHosts = new Map(); // element -> remaining checks
+
+    const addedHandlers = []; // { selector, callback }
+    const shadowRootHandlers = []; // callback(root)
+    const mutationHandlers = []; // callback(addedElements)
+
+    let observer = null;
+    let queuedNodes = new Set();
+    let frameRequested = false;
+    let pendingTimer = null;
+
+    /**
+     * Schedules a flush on the next animation frame (once per frame)
+     */
+    function scheduleFlush() {
+        if (frameRequested) return;
+        frameRequested = true;
+        const schedule = typeof requestAnimationFrame === 'function' ? requestAnimationFrame : (fn) => setTimeout(fn, 16);
+        schedule(flush);
+    }
+
+    /**
+     * Registers a newly discovered shadow root: observe it and notify handlers
+     * @param {ShadowRoot} root
+     */
+    function addShadowRoot(root) {
+        if (knownShadowRoots.has(root)) return;
+        knownShadowRoots.add(root);
+        observer.observe(root, { childList: true, subtree: true });
+
+        shadowRootHandlers.slice().forEach(callback => {
+            try {
+                callback(root);
+            } catch (e) {
+                log.error('Shadow root handler failed', e);
+            }
+        });
+
+        // Content rendered before we started observing this root
+        queuedNodes.add(root);
+    }
+
+    /**
+     * Finds shadow roots inside an added subtree (only the subtree, never the whole page)
+     * @param {Node} node
+     */
+    function scanForShadowRoots(node) {
+        const check = (element) => {
+            if (element.shadowRoot) {
+                addShadowRoot(element.shadowRoot);
+                scanForShadowRoots(element.shadowRoot);
+            } else if (element.tagName && element.tagName.includes('-')) {
+                // Custom element that may attach its shadow root once upgraded
+                pendingHosts.set(element, PENDING_HOST_MAX_CHECKS);
+            }
+        };
+
+        if (node.nodeType === Node.ELEMENT_NODE) check(node);
+
+        const walker = document.createTreeWalker(node, NodeFilter.SHOW_ELEMENT);
+        let element;
+        while ((element = walker.nextNode())) {
+            check(element);
+        }
+    }
+
+    /**
+     * Re-checks custom elements that had no shadow root when they were added
+     */
+    function checkPendingHosts() {
+        pendingHosts.forEach((remaining, element) => {
+            if (element.shadowRoot) {
+                pendingHosts.delete(element);
+                addShadowRoot(element.shadowRoot);
+                scanForShadowRoots(element.shadowRoot);
+            } else if (remaining <= 1 || !element.isConnected) {
+                pendingHosts.delete(element);
+            } else {
+                pendingHosts.set(element, remaining - 1);
+            }
+        });
+
+        if (pendingHosts.size > 0 && !pendingTimer) {
+            pendingTimer = setTimeout(() => {
+                pendingTimer = null;
+                checkPendingHosts();
+                if (queuedNodes.size > 0) scheduleFlush();
+            }, PENDING_HOST_INTERVAL);
+        }
+    }
+
+    /**
+     * Collects the elements matching a selector within the added nodes (including the nodes themselves)
+     * @param {Node[]} nodes
+     * @param {string} selector
+     * @returns {Element[]}
+     */
+    function collectMatches(nodes, selector) {
+        const matches = new Set();
+        nodes.forEach(node => {
+            if (node.nodeType === Node.ELEMENT_NODE && node.matches(selector)) {
+                matches.add(node);
+            }
+            if (node.querySelectorAll) {
+                node.querySelectorAll(selector).forEach(match => matches.add(match));
+            }
+        });
+        return Array.from(matches);
+    }
+
+    /**
+     * Processes all mutations queued since the last frame
+     */
+    function flush() {
+        frameRequested = false;
+
+        const nodes = Array.from(queuedNodes).filter(node => node.isConnected);
+        queuedNodes = new Set();
+
+        nodes.forEach(scanForShadowRoots);
+        checkPendingHosts();
+
+        // Shadow roots discovered above queue their own content; fold it into this batch
+        const discovered = Array.from(queuedNodes).filter(node => node.isConnected);
+        queuedNodes = new Set();
+        nodes.push(...discovered);
+
+        if (nodes.length === 0) return;
+
+        addedHandlers.slice().forEach(handler => {
+            const matches = collectMatches(nodes, handler.selector);
+            if (matches.length === 0) return;
+            try {
+                handler.callback(matches);
+            } catch (e) {
+                log.error('Handler failed for', handler.selector, e);
+            }
+        });
+
+        const addedElements = nodes.filter(node => node.nodeType === Node.ELEMENT_NODE);
+        mutationHandlers.slice().forEach(callback => {
+            try {
+                callback(addedElements);
+            } catch (e) {
+                log.error('Mutation handler failed', e);
+            }
+        });
+    }
+
+    /**
+     * Starts the shared observer (idempotent)
+     */
+    function start() {
+        if (observer) return;
+
+        observer = new MutationObserver((mutations) => {
+            for (const mutation of mutations) {
+                for (const node of mutation.addedNodes) {
+                    if (node.nodeType === Node.ELEMENT_NODE) queuedNodes.add(node);
+                }
+            }
+            if (queuedNodes.size > 0) scheduleFlush();
+        });
+        observer.observe(document, { childList: true, subtree: true });
+
+        // One full scan for whatever was parsed before we started
+        const initialScan = () => {
+            if (document.documentElement) {
+                queuedNodes.add(document.documentElement);
+                scheduleFlush();
+            }
+        };
+        initialScan();
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', initialScan);
+        }
+
+        log.info('Started');
+    }
+
+    /**
+     * Removes an entry from a handler list
+     * @param {Array} list
+     * @param {any} entry
+     * @returns {Function} Unregister function
+     */
+    function unregisterFrom(list, entry) {
+        return () => {
+            const index = list.indexOf(entry);
+            if (index !== -1) list.splice(index, 1);
+        };
+    }
+
+    /**
+     * Calls back with elements matching a selector whenever they are added,
+     * in the document or in any shadow root
+     * @param {string} selector
+     * @param {Function} callback - Called with an array of matching elements (once per frame)
+     * @param {object} [options]
+     * @param {boolean} [options.existing] - Also call right away for matches already on the page
+     * @returns {Function} Unregister
+     */
+    function onAdded(selector, callback, options = {}) {
+        start();
+        const handler = { selector, callback };
+        addedHandlers.push(handler);
+
+        if (options.existing) {
+            const matches = collectMatches([document, ...knownShadowRoots], selector);
+            if (matches.length > 0) callback(matches);
+        }
+        return unregisterFrom(addedHandlers, handler);
+    }
+
+    /**
+     * Calls back for every shadow root REX discovers
+     * @param {Function} callback - Called with each ShadowRoot
+     * @param {object} [options]
+     * @param {boolean} [options.existing] - Also call right away for already known roots (default true)
+     * @returns {Function} Unregister
+     */
+    function onShadowRoot(callback, options = {}) {
+        start();
+        shadowRootHandlers.push(callback);
+
+        if (options.existing !== false) {
+            knownShadowRoots.forEach(root => callback(root));
+        }
+        return unregisterFrom(shadowRootHandlers, callback);
+    }
+
+    /**
+     * Calls back once per animation frame in which anything was added to the page
+     * @param {Function} callback - Called with the added elements
+     * @returns {Function} Unregister
+     */
+    function onMutation(callback) {
+        start();
+        mutationHandlers.push(callback);
+        return unregisterFrom(mutationHandlers, callback);
+    }
+
+    /**
+     * Returns the shadow roots currently attached to the page
+     * @returns {ShadowRoot[]}
+     */
+    function getShadowRoots() {
+        start();
+        knownShadowRoots.forEach(root => {
+            if (!root.host || !root.host.isConnected) knownShadowRoots.delete(root);
+        });
+        return Array.from(knownShadowRoots);
+    }
+
+    return {
+        init: start,
+        onAdded,
+        onShadowRoot,
+        onMutation,
+        getShadowRoots
+    };
+})();
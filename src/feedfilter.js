@@ -0,0 +1,323 @@
+/**
+ * REX - Reddit Enhancement Extension
+ * Feed Filter Module: Hides or blurs feed posts matching user-defined keyword/user/subreddit rules
+ */
+
+window.REX_FEED_FILTER = (function () {
+    'use strict';
+
+    const SCHEMA = window.REX_SETTINGS_SCHEMA;
+    const ROUTER = window.REX_ROUTER;
+    const OBSERVER = window.REX_OBSERVER;
+    const SELECTORS = window.REX_SELECTORS;
+    const I18N = window.REX_I18N;
+    const log = window.REX_LOG.create('Feed Filter');
+
+    const FILTERS_KEY = 'rex_feed_filters';
+    const POST_SELECTOR = 'shreddit-post';
+    const PLACEHOLDER_CLASS = 'rex-filter-placeholder';
+    const COUNTER_ID = 'rex-filter-counter';
+    const FILTERED_ATTR = 'data-rex-filtered';
+
+    // Header anchor (see redditheader.js)
+    const SUBREDDIT_INDICATOR_ID = 'rex-subreddit-indicator';
+
+    // Fields a rule can match against, and what to do with matching posts
+    const FIELDS = SCHEMA.get(FILTERS_KEY).item.field.options;
+    const ACTIONS = SCHEMA.get(FILTERS_KEY).item.action.options;
+
+    let compiledRules = [];
+    let filteredCount = 0;
+
+    /**
+     * Checks whether the current page is a feed (home, popular, all, subreddit listing)
+     * Post/comments pages are skipped so the post being read is never filtered
+     * @returns {boolean}
+     */
+    function isFeedPage() {
+        const routeType = ROUTER.getRoute().type;
+        return routeType === 'feed' || routeType === 'subreddit';
+    }
+
+    /**
+     * Turns a stored rule into a matcher
+     * Patterns wrapped in slashes (e.g. /giveaway|promo/i) are treated as regular expressions
+     * @param {object} rule - { id, field, pattern, action, enabled }
+     * @returns {object|null} Compiled rule or null if invalid/disabled
+     */
+    function compileRule(rule) {
+        if (!rule || !rule.enabled || !FIELDS.includes(rule.field) || typeof rule.pattern !== 'string') return null;
+
+        const pattern = rule.pattern.trim();
+        if (!pattern) return null;
+
+        const regexMatch = pattern.match(/^\/(.+)\/([a-z]*)$/);
+        let test;
+        if (regexMatch) {
+            let regex;
+            try {
+                // The same regex tests every post, so stateful flags (g, y) would skip matches
+                regex = new RegExp(regexMatch[1], regexMatch[2].replace(/[gy]/g, ''));
+            } catch (e) {
+                log.warn('Invalid regex, rule skipped', pattern);
+                return null;
+            }
+            test = (value) => regex.test(value);
+        } else if (rule.field === 'title' || rule.field === 'flair') {
+            // Keywords match anywhere in the text
+            const keyword = pattern.toLowerCase();
+            test = (value) => value.toLowerCase().includes(keyword);
+        } else {
+            // Names match exactly, with or without their u/ r/ prefix
+            const name = pattern.replace(/^\/?(u|r|user)\//i, '').toLowerCase();
+            test = (value) => value.toLowerCase() === name;
+        }
+
+        return {
+            id: rule.id,
+            field: rule.field,
+            action: ACTIONS.includes(rule.action) ? rule.action : 'hide',
+            label: `${I18N.optionLabel(rule.field)}: ${pattern}`,
+            test
+        };
+    }
+
+    /**
+     * Reads the value of a field from a shreddit-post element
+     * @param {Element} post
+     * @param {string} field
+     * @returns {string}
+     */
+    function getPostField(post, field) {
+        switch (field) {
+            case 'title':
+                return post.getAttribute('post-title') || '';
+            case 'author':
+                return post.getAttribute('author') || '';
+            case 'subreddit':
+                return (post.getAttribute('subreddit-prefixed-name') || '').replace(/^r\//i, '');
+            case 'domain':
+                return post.getAttribute('domain') || '';
+            case 'flair': {
+                const flair = post.querySelector('shreddit-post-flair');
+                return flair ? flair.textContent.trim() : '';
+            }
+            default:
+                return '';
+        }
+    }
+
+    /**
+     * Finds the first rule matching a post
+     * @param {Element} post
+     * @returns {object|null}
+     */
+    function findMatchingRule(post) {
+        return compiledRules.find(rule => rule.test(getPostField(post, rule.field))) || null;
+    }
+
+    /**
+     * Creates the "Filtered by REX" placeholder shown in place of a filtered post
+     * @param {Element} post
+     * @param {object} rule
+     * @returns {HTMLElement}
+     */
+    function createPlaceholder(post, rule) {
+        const placeholder = document.createElement('div');
+        placeholder.className = PLACEHOLDER_CLASS;
+        placeholder.style.cssText = `
+            display: flex;
+            align-items: center;
+            gap: 6px;
+            padding: 6px 16px;
+            color: var(--color-neutral-content-weak, #576F76);
+            font-size: 12px;
+        `;
+
+        const text = document.createElement('span');
+        text.textContent = I18N.t('filter_placeholder', rule.label);
+        placeholder.appendChild(text);
+
+        const showButton = document.createElement('button');
+        showButton.type = 'button';
+        showButton.textContent = I18N.t('filter_show');
+        showButton.style.cssText = `
+            border: none;
+            background: none;
+            padding: 0;
+            color: var(--color-secondary-plain, #0079D3);
+            font-size: 12px;
+            cursor: pointer;
+            text-decoration: underline;
+        `;
+        showButton.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            restorePost(post);
+            // Keep it visible until the rules change
+            post.setAttribute(FILTERED_ATTR, 'shown');
+            filteredCount = Math.max(0, filteredCount - 1);
+            updateCounter();
+        });
+        placeholder.appendChild(showButton);
+
+        return placeholder;
+    }
+
+    /**
+     * Hides or blurs a post according to a rule
+     * @param {Element} post
+     * @param {object} rule
+     */
+    function filterPost(post, rule) {
+        post.setAttribute(FILTERED_ATTR, rule.action);
+        if (rule.action === 'blur') {
+            post.style.setProperty('filter', 'blur(8px)', 'important');
+            post.style.setProperty('pointer-events', 'none', 'important');
+        } else {
+            post.style.setProperty('display', 'none', 'important');
+        }
+        post.parentNode.insertBefore(createPlaceholder(post, rule), post);
+        filteredCount++;
+        log.debug(`${rule.action === 'blur' ? 'Blurred' : 'Hid'} post by ${rule.label}`);
+    }
+
+    /**
+     * Reverts a filtered post and removes its placeholder
+     * @param {Element} post
+     */
+    function restorePost(post) {
+        post.removeAttribute(FILTERED_ATTR);
+        post.style.removeProperty('display');
+        post.style.removeProperty('filter');
+        post.style.removeProperty('pointer-events');
+        const placeholder = post.previousElementSibling;
+        if (placeholder && placeholder.classList.contains(PLACEHOLDER_CLASS)) {
+            placeholder.remove();
+        }
+    }
+
+    /**
+     * Checks a single post against the rules (once)
+     * @param {Element} post
+     */
+    function processPost(post) {
+        if (post.hasAttribute(FILTERED_ATTR) || !post.parentNode) return;
+        const rule = findMatchingRule(post);
+        if (rule) filterPost(post, rule);
+    }
+
+    /**
+     * Checks every post below a root element
+     * @param {Element|Document} root
+     */
+    function processPosts(root) {
+        if (!isFeedPage() || compiledRules.length === 0) return;
+
+        if (root.matches && root.matches(POST_SELECTOR)) {
+            processPost(root);
+        }
+        root.querySelectorAll(POST_SELECTOR).forEach(processPost);
+        updateCounter();
+    }
+
+    /**
+     * Restores all filtered posts and re-applies the current rules
+     */
+    function refilterAll() {
+        document.querySelectorAll(`${POST_SELECTOR}[${FILTERED_ATTR}]`).forEach(restorePost);
+        filteredCount = 0;
+        processPosts(document);
+        updateCounter();
+    }
+
+    /**
+     * Shows the number of filtered posts next to the subreddit indicator (or the Reddit logo)
+     */
+    function updateCounter() {
+        let counter = document.getElementById(COUNTER_ID);
+
+        if (filteredCount === 0) {
+            if (counter) counter.remove();
+            return;
+        }
+
+        const anchor = document.getElementById(SUBREDDIT_INDICATOR_ID) || (() => {
+            const redditLogo = SELECTORS.find('reddit_logo');
+            return redditLogo ? (redditLogo.closest('rpl-tooltip') || redditLogo.parentNode) : null;
+        })();
+        if (!anchor || !anchor.parentNode) return;
+
+        if (!counter) {
+            counter = document.createElement('span');
+            counter.id = COUNTER_ID;
+            counter.style.cssText = `
+                align-self: center;
+                margin-left: 8px;
+                padding: 2px 8px;
+                border-radius: 999px;
+                background: var(--color-neutral-background-weak, #F6F7F8);
+                color: var(--color-neutral-content-weak, #576F76);
+                font-size: 12px;
+                white-space: nowrap;
+            `;
+        }
+        counter.textContent = I18N.t('filter_counter', filteredCount);
+        counter.title = filteredCount === 1 ? I18N.t('filter_counter_title_one') : I18N.t('filter_counter_title', filteredCount);
+
+        if (anchor.nextSibling !== counter) {
+            anchor.parentNode.insertBefore(counter, anchor.nextSibling);
+        }
+    }
+
+    /**
+     * Compiles the stored rules
+     * @param {Array} rules
+     */
+    function setRules(rules) {
+        compiledRules = (Array.isArray(rules) ? rules : []).map(compileRule).filter(Boolean);
+    }
+
+    /**
+     * Watches streamed-in posts and SPA navigation
+     */
+    function initObserver() {
+        // The feed is swapped on navigation, so recount what's still on the page
+        ROUTER.subscribe(() => {
+            filteredCount = document.querySelectorAll(`${POST_SELECTOR}[${FILTERED_ATTR}]:not([${FILTERED_ATTR}="shown"])`).length;
+            updateCounter();
+        });
+
+        // Posts stream in as the feed scrolls
+        OBSERVER.onAdded(POST_SELECTOR, (posts) => {
+            if (!isFeedPage() || compiledRules.length === 0) return;
+            posts.forEach(processPost);
+            updateCounter();
+        }, { existing: true });
+
+        // The header may have been re-rendered without the counter
+        OBSERVER.onMutation(() => {
+            if (filteredCount > 0 && !document.getElementById(COUNTER_ID)) {
+                updateCounter();
+            }
+        });
+    }
+
+    function init() {
+        log.info('Initializing');
+
+        if (typeof chrome !== 'undefined' && chrome.storage && chrome.storage.sync) {
+            SCHEMA.load([FILTERS_KEY]).then((settings) => {
+                setRules(settings[FILTERS_KEY]);
+                initObserver();
+            });
+
+            SCHEMA.onChanged([FILTERS_KEY], (changed) => {
+                setRules(changed[FILTERS_KEY]);
+                refilterAll();
+            });
+        }
+    }
+
+    return { init };
+})();
@@ -0,0 +1,151 @@
+/**
+ * REX - Reddit Enhancement Extension
+ * I18n Module: Looks up UI strings in the extension's message catalog (_locales/<lang>/messages.json).
+ * Setting and section texts are catalog messages too (setting_<key>_label / setting_<key>_description,
+ * section_<id>_title / section_<id>_description), as are dropdown choices (option_<value>), shortcut
+ * actions (shortcut_<id>_label) and the page elements listed in Diagnostics (target_<id>_label /
+ * target_<id>_feature). Messages missing from a locale come from the default (en) catalog; the English
+ * in settingsschema.js and selectors.js is only used where there is no catalog at all.
+ */
+
+window.REX_I18N = (function () {
+    'use strict';
+
+    /**
+     * Returns a catalog message, or '' when it isn't defined in the current or default locale
+     * @param {string} key - Message name
+     * @param {string|string[]} [substitutions] - Values for $1, $2, ... / named placeholders
+     * @returns {string}
+     */
+    function lookup(key, substitutions) {
+        if (typeof chrome === 'undefined' || !chrome.i18n || !chrome.i18n.getMessage) return '';
+        const args = substitutions === undefined ? [] : [].concat(substitutions).map(String);
+        return chrome.i18n.getMessage(key, args) || '';
+    }
+
+    /**
+     * Returns a UI string from the catalog (the message name when it is missing, so gaps show up)
+     * @param {string} key - Message name
+     * @param {...string} substitutions
+     * @returns {string}
+     */
+    function t(key, ...substitutions) {
+        return lookup(key, substitutions) || key;
+    }
+
+    /**
+     * Returns a setting's label in the UI language
+     * @param {object} setting - Schema entry
+     * @returns {string}
+     */
+    function settingLabel(setting) {
+        return lookup(`setting_${setting.key}_label`) || setting.label;
+    }
+
+    /**
+     * Returns a setting's description in the UI language
+     * @param {object} setting - Schema entry
+     * @returns {string}
+     */
+    function settingDescription(setting) {
+        return lookup(`setting_${setting.key}_description`) || setting.description || '';
+    }
+
+    /**
+     * Returns a settings section's title in the UI language
+     * @param {object} section - Schema section
+     * @returns {string}
+     */
+    function sectionTitle(section) {
+        return lookup(`section_${section.id}_title`) || section.title;
+    }
+
+    /**
+     * Returns a settings section's description in the UI language
+     * @param {object} section - Schema section
+     * @returns {string}
+     */
+    function sectionDescription(section) {
+        return lookup(`section_${section.id}_description`) || section.description || '';
+    }
+
+    /**
+     * Returns how a choice of a dropdown setting is shown in the UI language (option_<value>
+     * messages, e.g. option_per_subreddit); stored values stay English, and numbers show as they are
+     * @param {string} value - Stored value, e.g. 'Per Subreddit'
+     * @returns {string}
+     */
+    function optionLabel(value) {
+        return lookup(`option_${String(value).toLowerCase().replace(/[^a-z0-9]+/g, '_')}`) || String(value);
+    }
+
+    /**
+     * Returns a keyboard shortcut action's name in the UI language
+     * Actions flipping a setting are named after it ("Toggle: <setting label>")
+     * @param {object} action - Entry of SHORTCUT_ACTIONS
+     * @param {object} [setting] - Schema entry of the action's setting
+     * @returns {string}
+     */
+    function actionLabel(action, setting) {
+        if (action.setting) {
+            const name = setting ? settingLabel(setting) : action.setting;
+            return lookup('shortcut_toggle_label', name) || `Toggle: ${name}`;
+        }
+        return lookup(`shortcut_${action.id}_label`) || action.label;
+    }
+
+    /**
+     * Returns the name of a page element listed in Diagnostics in the UI language
+     * @param {string} id - Target id (see TARGETS in selectors.js)
+     * @param {object} target
+     * @returns {string}
+     */
+    function targetLabel(id, target) {
+        if (target.sidebarSection) {
+            const section = lookup(`setting_${target.setting}_label`) || target.sidebarSection;
+            return lookup('target_sidebar_section_label', section) || target.label;
+        }
+        return lookup(`target_${id}_label`) || target.label;
+    }
+
+    /**
+     * Returns the features depending on a page element in the UI language
+     * @param {string} id - Target id (see TARGETS in selectors.js)
+     * @param {object} target
+     * @returns {string}
+     */
+    function targetFeature(id, target) {
+        return lookup(target.sidebarSection ? 'target_sidebar_section_feature' : `target_${id}_feature`) || target.feature;
+    }
+
+    /**
+     * Fills in the static text of an extension page: data-i18n names the message for an
+     * element's text, data-i18n-placeholder / data-i18n-aria-label the ones for those attributes
+     * (the English in the HTML stays where a message is missing)
+     * @param {ParentNode} root
+     */
+    function localizePage(root) {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = lookup(element.dataset.i18n) || element.textContent;
+        });
+        [['data-i18n-placeholder', 'placeholder'], ['data-i18n-aria-label', 'aria-label']].forEach(([attribute, target]) => {
+            root.querySelectorAll(`[${attribute}]`).forEach(element => {
+                const message = lookup(element.getAttribute(attribute));
+                if (message) element.setAttribute(target, message);
+            });
+        });
+    }
+
+    return {
+        t,
+        settingLabel,
+        settingDescription,
+        sectionTitle,
+        sectionDescription,
+        optionLabel,
+        actionLabel,
+        targetLabel,
+        targetFeature,
+        localizePage
+    };
+})();
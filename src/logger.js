@@ -0,0 +1,174 @@
+/**
+ * REX - Reddit Enhancement Extension
+ * Logger Module: Leveled, namespaced logging for every REX module.
+ * Warnings and errors always reach the console; info and debug only in Debug mode.
+ * Recent events (debug ones only in Debug mode) are kept in a ring buffer shared by all tabs
+ * and shown under REX Settings > Diagnostics.
+ */
+
+window.REX_LOG = (function () {
+    'use strict';
+
+    // Loaded before the settings schema, so the setting is read directly (see rex_debug_mode)
+    const DEBUG_KEY = 'rex_debug_mode';
+
+    // Ring buffer of recent events; UI state, so it lives in local storage
+    const LOG_KEY = 'rex_log';
+    const MAX_ENTRIES = 200;
+    const SAVE_DELAY = 1000;
+    const MAX_MESSAGE_LENGTH = 500;
+
+    const LEVELS = {
+        debug: 10,
+        info: 20,
+        warn: 30,
+        error: 40
+    };
+
+    let debugMode = false;
+    let pending = []; // Entries not yet stored
+    let saveTimer = null;
+
+    /**
+     * Whether chrome.storage is usable (not in plain pages or tests without it)
+     * @param {string} area - 'sync' or 'local'
+     * @returns {boolean}
+     */
+    function hasStorage(area) {
+        return typeof chrome !== 'undefined' && !!chrome.storage && !!chrome.storage[area];
+    }
+
+    /**
+     * Turns one log argument into text for the buffer
+     * @param {any} value
+     * @returns {string}
+     */
+    function formatArg(value) {
+        if (typeof value === 'string') return value;
+        if (value instanceof Error) return value.message;
+        if (value && typeof value === 'object' && typeof value.nodeName === 'string') {
+            return `<${value.nodeName.toLowerCase()}>`;
+        }
+        try {
+            return JSON.stringify(value);
+        } catch (e) {
+            return String(value);
+        }
+    }
+
+    /**
+     * Appends this page's new entries to the stored buffer shortly after the last event
+     * (events come in bursts), keeping the newest MAX_ENTRIES across all tabs
+     */
+    function scheduleSave() {
+        if (saveTimer || !hasStorage('local')) return;
+        saveTimer = setTimeout(() => {
+            saveTimer = null;
+            const entries = pending;
+            pending = [];
+
+            chrome.storage.local.get([LOG_KEY], (items) => {
+                const stored = Array.isArray(items[LOG_KEY]) ? items[LOG_KEY] : [];
+                chrome.storage.local.set({ [LOG_KEY]: stored.concat(entries).slice(-MAX_ENTRIES) });
+            });
+        }, SAVE_DELAY);
+    }
+
+    /**
+     * Records an event in the buffer and prints it if its level is shown
+     * @param {string} level - Key of LEVELS
+     * @param {string} namespace - Module name, e.g. 'Sidebar'
+     * @param {Array} args - console-style arguments
+     */
+    function write(level, namespace, args) {
+        if (LEVELS[level] < LEVELS.info && !debugMode) return;
+
+        const message = args.map(formatArg).join(' ');
+        pending.push({
+            time: Date.now(),
+            level,
+            namespace,
+            message: message.length > MAX_MESSAGE_LENGTH ? `${message.slice(0, MAX_MESSAGE_LENGTH)}…` : message,
+            path: window.location.pathname
+        });
+        if (pending.length > MAX_ENTRIES) pending.shift();
+        scheduleSave();
+
+        if (LEVELS[level] >= LEVELS.warn || debugMode) {
+            console[level](`[REX] ${namespace}:`, ...args);
+        }
+    }
+
+    /**
+     * Creates a logger for one module
+     * @param {string} namespace - Shown in every line, e.g. 'Sidebar'
+     * @returns {{ debug: Function, info: Function, warn: Function, error: Function }}
+     */
+    function create(namespace) {
+        const logger = {};
+        Object.keys(LEVELS).forEach(level => {
+            logger[level] = (...args) => write(level, namespace, args);
+        });
+        return logger;
+    }
+
+    /**
+     * Reads the recent events of every tab, oldest first
+     * @returns {Promise<Array<{ time: number, level: string, namespace: string, message: string, path: string }>>}
+     */
+    function load() {
+        return new Promise((resolve) => {
+            if (!hasStorage('local')) {
+                resolve(pending.slice());
+                return;
+            }
+            chrome.storage.local.get([LOG_KEY], (items) => {
+                const stored = Array.isArray(items[LOG_KEY]) ? items[LOG_KEY] : [];
+                resolve(stored.concat(pending).slice(-MAX_ENTRIES));
+            });
+        });
+    }
+
+    /**
+     * Forgets all recorded events
+     * @returns {Promise<void>}
+     */
+    function clear() {
+        pending = [];
+        return new Promise((resolve) => {
+            if (!hasStorage('local')) {
+                resolve();
+                return;
+            }
+            chrome.storage.local.remove(LOG_KEY, () => resolve());
+        });
+    }
+
+    /**
+     * Whether Debug mode is on
+     * @returns {boolean}
+     */
+    function isDebugMode() {
+        return debugMode;
+    }
+
+    // Follow the Debug mode setting from the start, so early events are covered
+    if (hasStorage('sync')) {
+        chrome.storage.sync.get([DEBUG_KEY], (items) => {
+            debugMode = items[DEBUG_KEY] === true;
+        });
+        chrome.storage.onChanged.addListener((changes, areaName) => {
+            if (areaName === 'sync' && DEBUG_KEY in changes) {
+                debugMode = changes[DEBUG_KEY].newValue === true;
+            }
+        });
+    }
+
+    return {
+        LEVELS,
+        create,
+        load,
+        clear,
+        isDebugMode
+    };
+})();
@@ -0,0 +1,128 @@
+/**
+ * REX - Reddit Enhancement Extension
+ * Options Page: Standalone settings page (fallback when the injected Reddit tab can't be added).
+ * The panel itself is rendered by REX_SETTINGS, so both views stay identical;
+ * this script adds search and a live preview.
+ */
+
+(function () {
+    'use strict';
+
+    const SCHEMA = window.REX_SETTINGS_SCHEMA;
+    const I18N = window.REX_I18N;
+
+    const PANEL_CONTAINER_ID = 'rex-options-panel';
+    const SEARCH_INPUT_ID = 'rex-options-search';
+    const PREVIEW_ATTR = 'data-rex-preview';
+    const PREVIEW_SHOW_ATTR = 'data-rex-preview-show'; // Element is shown (not hidden) when the setting is on
+
+    let panel = null;
+
+    /**
+     * Text a setting row can be found by (in the UI language and in English)
+     * @param {string} key
+     * @returns {string}
+     */
+    function getSearchText(key) {
+        const setting = SCHEMA.get(key);
+        return setting
+            ? `${I18N.settingLabel(setting)} ${I18N.settingDescription(setting)} ${setting.label} ${setting.description || ''} ${key}`.toLowerCase()
+            : '';
+    }
+
+    /**
+     * Shows only the rows (and sections) matching the query
+     * A matching section title or description shows the whole section
+     * @param {string} query
+     */
+    function applySearch(query) {
+        if (!panel) return;
+        const needle = query.trim().toLowerCase();
+
+        panel.querySelectorAll('.rex-settings-content > div[id$="-section"]').forEach(section => {
+            const heading = section.querySelector('h2');
+            const intro = heading ? heading.nextElementSibling : null;
+            const sectionText = `${heading ? heading.textContent : ''} ${intro && intro.tagName === 'P' ? intro.textContent : ''}`.toLowerCase();
+            const sectionMatches = !needle || sectionText.includes(needle);
+
+            let visibleRows = 0;
+            section.querySelectorAll(':scope > [data-setting-key]').forEach(row => {
+                const visible = sectionMatches || getSearchText(row.dataset.settingKey).includes(needle);
+                row.hidden = !visible;
+                if (visible) visibleRows++;
+            });
+
+            section.hidden = !sectionMatches && visibleRows === 0;
+        });
+    }
+
+    /**
+     * Builds the preview's sidebar sections from the schema
+     */
+    function renderPreviewSections() {
+        const container = document.querySelector('.rex-preview-sections');
+        if (!container) return;
+
+        SCHEMA.SETTINGS.filter(setting => setting.sidebarSection).forEach(setting => {
+            const details = document.createElement('details');
+            details.setAttribute('data-rex-preview-section', setting.key);
+            const summary = document.createElement('summary');
+            summary.textContent = setting.sidebarSection;
+            const item = document.createElement('span');
+            item.textContent = 'r/example';
+            details.appendChild(summary);
+            details.appendChild(item);
+            container.appendChild(details);
+        });
+    }
+
+    /**
+     * Makes the preview reflect the given settings
+     * @param {object} settings - Map of key to value (may be partial)
+     */
+    function updatePreview(settings) {
+        Object.keys(settings).forEach(key => {
+            const value = settings[key];
+
+            document.querySelectorAll(`[${PREVIEW_ATTR}="${key}"]`).forEach(element => {
+                element.hidden = element.hasAttribute(PREVIEW_SHOW_ATTR) ? !value : !!value;
+            });
+
+            document.querySelectorAll(`[data-rex-preview-section="${key}"]`).forEach(details => {
+                details.hidden = value === 'Hide';
+                details.open = value === 'Show';
+            });
+        });
+    }
+
+    function init() {
+        const container = document.getElementById(PANEL_CONTAINER_ID);
+        const searchInput = document.getElementById(SEARCH_INPUT_ID);
+        if (!container || !window.REX_SETTINGS) return;
+
+        I18N.localizePage(document);
+        renderPreviewSections();
+
+        window.REX_SETTINGS.mount(container).then((renderedPanel) => {
+            panel = renderedPanel;
+
+            // Import/reset re-render the panel: keep the search applied to the new one
+            new MutationObserver(() => {
+                const current = document.getElementById('rex-settings-panel');
+                if (current && current !== panel) {
+                    panel = current;
+                    applySearch(searchInput.value);
+                }
+            }).observe(container, { childList: true });
+
+            applySearch(searchInput.value);
+        });
+
+        searchInput.addEventListener('input', () => applySearch(searchInput.value));
+
+        SCHEMA.load().then(updatePreview);
+        SCHEMA.onChanged(SCHEMA.keys(), updatePreview);
+    }
+
+    init();
+})();
@@ -0,0 +1,151 @@
+/**
+ * REX - Reddit Enhancement Extension
+ * Overrides Module: Resolves settings for the current subreddit.
+ * Same load/onChanged interface as REX_SETTINGS_SCHEMA, but values include the
+ * per-subreddit overrides and are re-evaluated on SPA navigation.
+ */
+
+window.REX_OVERRIDES = (function () {
+    'use strict';
+
+    const SCHEMA = window.REX_SETTINGS_SCHEMA;
+    const ROUTER = window.REX_ROUTER;
+    const BOOT = window.REX_BOOT;
+
+    const OVERRIDES_KEY = 'rex_subreddit_overrides';
+
+    const listeners = []; // { keys, callback, lastValues }
+    let globalValues = null;
+    let readyPromise = null;
+
+    /**
+     * Normalizes a subreddit name for matching (no r/ prefix, lowercase)
+     * @param {string} name
+     * @returns {string}
+     */
+    function normalizeSubreddit(name) {
+        return (name || '').trim().replace(/^\/?r\//i, '').replace(/\/$/, '').toLowerCase();
+    }
+
+    /**
+     * Returns the subreddit of the current page (subreddit feeds and posts)
+     * @returns {string|null}
+     */
+    function getSubreddit() {
+        const route = ROUTER.getRoute();
+        return route.subreddit ? normalizeSubreddit(route.subreddit) : null;
+    }
+
+    /**
+     * Applies the overrides for a subreddit on top of the global values
+     * @param {object} values - Global values
+     * @param {Array<object>} overrides - Stored override entries
+     * @param {string|null} subreddit
+     * @returns {object} Effective values (copy)
+     */
+    function resolve(values, overrides, subreddit) {
+        const effective = { ...values };
+        if (!subreddit) return effective;
+
+        overrides.forEach(override => {
+            if (normalizeSubreddit(override.subreddit) === subreddit && override.key in effective) {
+                effective[override.key] = override.value;
+            }
+        });
+        return effective;
+    }
+
+    /**
+     * Returns the effective values of some settings on the current page
+     * @param {string[]} keys
+     * @returns {object}
+     */
+    function getEffective(keys) {
+        const effective = resolve(globalValues, globalValues[OVERRIDES_KEY], getSubreddit());
+        const values = {};
+        keys.forEach(key => {
+            values[key] = effective[key];
+        });
+        return values;
+    }
+
+    /**
+     * Calls every listener whose effective values changed
+     */
+    function notify() {
+        listeners.forEach(listener => {
+            const current = getEffective(listener.keys);
+            const changed = {};
+            let hasChanges = false;
+
+            listener.keys.forEach(key => {
+                if (JSON.stringify(current[key]) !== JSON.stringify(listener.lastValues[key])) {
+                    changed[key] = current[key];
+                    hasChanges = true;
+                }
+            });
+
+            listener.lastValues = current;
+            if (hasChanges) listener.callback(changed);
+        });
+    }
+
+    /**
+     * Loads all settings once and starts following storage changes and navigation.
+     * With a snapshot from the last visit (see boot.js) this resolves right away, before
+     * the first paint; listeners then hear about whatever the stored values change.
+     * @returns {Promise<void>}
+     */
+    function ready() {
+        if (readyPromise) return readyPromise;
+
+        const snapshot = BOOT.read();
+        if (snapshot) globalValues = snapshot;
+
+        const stored = SCHEMA.load().then((values) => {
+            globalValues = values;
+            BOOT.save(globalValues);
+
+            SCHEMA.onChanged(SCHEMA.keys(), (changed) => {
+                Object.assign(globalValues, changed);
+                BOOT.save(globalValues);
+                notify();
+            });
+            ROUTER.subscribe(notify);
+
+            if (snapshot) notify();
+        });
+
+        readyPromise = snapshot ? Promise.resolve() : stored;
+        return readyPromise;
+    }
+
+    /**
+     * Loads the effective values of some settings for the current page
+     * @param {string[]} keys
+     * @returns {Promise<object>}
+     */
+    function load(keys) {
+        return ready().then(() => getEffective(keys));
+    }
+
+    /**
+     * Listens for changes to the effective values of some settings, whether they come
+     * from storage (global value or override edited) or from navigating to another subreddit
+     * @param {string[]} keys
+     * @param {Function} callback - Called with a map of changed key to new effective value
+     */
+    function onChanged(keys, callback) {
+        ready().then(() => {
+            listeners.push({ keys, callback, lastValues: getEffective(keys) });
+        });
+    }
+
+    return {
+        load,
+        onChanged,
+        resolve,
+        getSubreddit,
+        normalizeSubreddit
+    };
+})();
@@ -0,0 +1,318 @@
+/**
+ * REX - Reddit Enhancement Extension
+ * Picker Module: Point-and-click element picker that creates custom hide rules
+ */
+
+window.REX_PICKER = (function () {
+    'use strict';
+
+    const SCHEMA = window.REX_SETTINGS_SCHEMA;
+    const SELECTORS = window.REX_SELECTORS;
+    const I18N = window.REX_I18N;
+    const log = window.REX_LOG.create('Picker');
+
+    const OVERLAY_ID = 'rex-picker-overlay';
+    const BANNER_ID = 'rex-picker-banner';
+    const CUSTOM_RULES_KEY = 'rex_custom_rules';
+
+    // Set by the settings panel before navigating to a page to pick from
+    const PENDING_KEY = 'rex_picker_pending';
+    const REDDIT_ORIGIN = 'https://www.reddit.com';
+
+    // Attributes that are usually stable across Reddit renders, in order of preference
+    const STABLE_ATTRIBUTES = ['data-testid', 'noun', 'slot', 'aria-label', 'name', 'href'];
+
+    let active = false;
+    let hoveredElement = null;
+
+    /**
+     * Whether an id/attribute value looks hand-written rather than generated
+     * (generated ids tend to contain long digit runs or random hashes)
+     * @param {string} value
+     * @returns {boolean}
+     */
+    function isStableToken(value) {
+        return !!value && value.length < 64 && !/\d{4,}/.test(value) && !/[a-z0-9]{16,}/i.test(value.replace(/-/g, ''));
+    }
+
+    /**
+     * Escapes a value for use inside a double-quoted attribute selector
+     * @param {string} value
+     * @returns {string}
+     */
+    function escapeAttr(value) {
+        return value.replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+    }
+
+    /**
+     * Describes a single element with the most stable selector fragment available
+     * @param {Element} el
+     * @returns {{ selector: string, strong: boolean }}
+     */
+    function describeElement(el) {
+        const tag = el.tagName.toLowerCase();
+
+        if (el.id && isStableToken(el.id)) {
+            return { selector: `#${CSS.escape(el.id)}`, strong: true };
+        }
+
+        for (const attr of STABLE_ATTRIBUTES) {
+            const value = el.getAttribute(attr);
+            if (value && isStableToken(value)) {
+                return { selector: `${tag}[${attr}="${escapeAttr(value)}"]`, strong: true };
+            }
+        }
+
+        // Custom elements (shreddit-*, faceplate-*) are stable by design
+        if (tag.includes('-')) {
+            return { selector: tag, strong: false };
+        }
+
+        // Fall back to the element's position among siblings of the same type
+        let index = 1;
+        let sibling = el.previousElementSibling;
+        while (sibling) {
+            if (sibling.tagName === el.tagName) index++;
+            sibling = sibling.previousElementSibling;
+        }
+        return { selector: `${tag}:nth-of-type(${index})`, strong: false };
+    }
+
+    /**
+     * Builds the shortest selector (up to a few levels deep) that uniquely matches
+     * the element inside its own root (document or shadow root)
+     * @param {Element} el
+     * @returns {string}
+     */
+    function buildSelector(el) {
+        const root = el.getRootNode();
+        const parts = [];
+        let node = el;
+
+        while (node && node.nodeType === Node.ELEMENT_NODE && parts.length < 5) {
+            const { selector, strong } = describeElement(node);
+            parts.unshift(selector);
+
+            const candidate = parts.join(' > ');
+            let matches = [];
+            try {
+                matches = root.querySelectorAll(candidate);
+            } catch (e) {
+                // Keep walking up; a longer selector may still be valid
+            }
+            if (matches.length === 1 || (strong && parts.length === 1 && matches.length > 0 && node === el)) {
+                return candidate;
+            }
+
+            node = node.parentElement;
+        }
+
+        return parts.join(' > ');
+    }
+
+    /**
+     * Returns the innermost element under the pointer, including inside open shadow roots
+     * @param {Event} e
+     * @returns {Element|null}
+     */
+    function getEventTarget(e) {
+        const path = e.composedPath ? e.composedPath() : [e.target];
+        const target = path.find(node => node.nodeType === Node.ELEMENT_NODE);
+        if (!target || target.id === OVERLAY_ID || target.id === BANNER_ID) return null;
+        return target;
+    }
+
+    /**
+     * Shows a short-lived notice at the bottom of the page
+     * @param {string} message
+     */
+    function showToast(message) {
+        const toast = document.createElement('div');
+        toast.textContent = message;
+        toast.style.cssText = `
+            position: fixed;
+            bottom: 24px;
+            left: 50%;
+            transform: translateX(-50%);
+            z-index: 2147483647;
+            padding: 8px 16px;
+            border-radius: 20px;
+            background: #1A1A1B;
+            color: #FFFFFF;
+            font-size: 14px;
+        `;
+        document.body.appendChild(toast);
+        setTimeout(() => toast.remove(), 3000);
+    }
+
+    /**
+     * Appends a rule to the stored custom rules
+     * @param {string} selector
+     */
+    function addRule(selector) {
+        if (typeof chrome === 'undefined' || !chrome.storage || !chrome.storage.sync) return;
+
+        SCHEMA.load([CUSTOM_RULES_KEY]).then((settings) => {
+            const rules = settings[CUSTOM_RULES_KEY];
+            rules.push({ id: 'rule-' + Date.now().toString(36), selector, enabled: true });
+
+            chrome.storage.sync.set({ [CUSTOM_RULES_KEY]: rules }, () => {
+                if (chrome.runtime && chrome.runtime.lastError) {
+                    log.error('Failed to save rule', selector, chrome.runtime.lastError);
+                    window.alert('REX: ' + I18N.t('rules_save_failed'));
+                    return;
+                }
+                log.info('Rule added', selector);
+                showToast('REX: ' + I18N.t('picker_hiding', selector));
+            });
+        });
+    }
+
+    function onMouseMove(e) {
+        const target = getEventTarget(e);
+        if (!target || target === hoveredElement) return;
+        hoveredElement = target;
+
+        const overlay = document.getElementById(OVERLAY_ID);
+        if (!overlay) return;
+        const rect = target.getBoundingClientRect();
+        overlay.style.top = `${rect.top}px`;
+        overlay.style.left = `${rect.left}px`;
+        overlay.style.width = `${rect.width}px`;
+        overlay.style.height = `${rect.height}px`;
+    }
+
+    function onClick(e) {
+        const target = getEventTarget(e);
+        if (!target) return;
+
+        e.preventDefault();
+        e.stopPropagation();
+        e.stopImmediatePropagation();
+
+        const suggested = buildSelector(target);
+        stop();
+
+        // Same check as the Custom Rules editor: ask again until the selector is valid or cancelled
+        let selector = window.prompt('REX: ' + I18N.t('picker_confirm'), suggested);
+        while (selector && selector.trim() && !SELECTORS.isValidSelector(selector.trim())) {
+            window.alert('REX: ' + I18N.t('rules_invalid_selector', selector.trim()));
+            selector = window.prompt('REX: ' + I18N.t('picker_confirm'), selector);
+        }
+        if (selector && selector.trim()) {
+            addRule(selector.trim());
+        }
+    }
+
+    function onKeyDown(e) {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            stop();
+            log.info('Cancelled');
+        }
+    }
+
+    /**
+     * Enters picking mode: highlights hovered elements until one is clicked or Escape is pressed
+     */
+    function start() {
+        if (active || !document.body) return;
+        active = true;
+
+        const overlay = document.createElement('div');
+        overlay.id = OVERLAY_ID;
+        overlay.style.cssText = `
+            position: fixed;
+            z-index: 2147483646;
+            pointer-events: none;
+            outline: 2px solid #FF4500;
+            background: rgba(255, 69, 0, 0.15);
+            transition: all 60ms ease-out;
+        `;
+        document.body.appendChild(overlay);
+
+        const banner = document.createElement('div');
+        banner.id = BANNER_ID;
+        banner.textContent = 'REX: ' + I18N.t('picker_banner');
+        banner.style.cssText = `
+            position: fixed;
+            top: 8px;
+            left: 50%;
+            transform: translateX(-50%);
+            z-index: 2147483647;
+            padding: 6px 14px;
+            border-radius: 20px;
+            background: #FF4500;
+            color: #FFFFFF;
+            font-size: 13px;
+            font-weight: 600;
+            pointer-events: none;
+        `;
+        document.body.appendChild(banner);
+
+        // Capture phase so Reddit's own handlers never see the picking click
+        document.addEventListener('mousemove', onMouseMove, true);
+        document.addEventListener('click', onClick, true);
+        document.addEventListener('keydown', onKeyDown, true);
+        log.info('Started');
+    }
+
+    /**
+     * Leaves picking mode and removes the overlay
+     */
+    function stop() {
+        if (!active) return;
+        active = false;
+        hoveredElement = null;
+
+        document.removeEventListener('mousemove', onMouseMove, true);
+        document.removeEventListener('click', onClick, true);
+        document.removeEventListener('keydown', onKeyDown, true);
+
+        const overlay = document.getElementById(OVERLAY_ID);
+        if (overlay) overlay.remove();
+        const banner = document.getElementById(BANNER_ID);
+        if (banner) banner.remove();
+    }
+
+    /**
+     * Asks the picker to start on the next page load (used from the settings page,
+     * which has none of the elements users want to hide)
+     * @param {string} url - Reddit page to open for picking
+     */
+    function startOnPage(url) {
+        if (typeof chrome === 'undefined' || !chrome.storage || !chrome.storage.local) return;
+
+        chrome.storage.local.set({ [PENDING_KEY]: true }, () => {
+            if (/(^|\.)reddit\.com$/.test(window.location.hostname)) {
+                window.location.href = url;
+            } else {
+                // Extension pages (options page) open Reddit in a new tab instead
+                window.open(new URL(url, REDDIT_ORIGIN).href, '_blank');
+            }
+        });
+    }
+
+    function init() {
+        if (typeof chrome === 'undefined' || !chrome.storage || !chrome.storage.local) return;
+
+        chrome.storage.local.get([PENDING_KEY], (items) => {
+            if (!items[PENDING_KEY]) return;
+            chrome.storage.local.remove(PENDING_KEY);
+
+            if (document.readyState === 'loading') {
+                document.addEventListener('DOMContentLoaded', start);
+            } else {
+                start();
+            }
+        });
+    }
+
+    return {
+        init,
+        start,
+        stop,
+        startOnPage,
+        buildSelector
+    };
+})();
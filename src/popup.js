@@ -0,0 +1,177 @@
+/**
+ * REX - Reddit Enhancement Extension
+ * Popup: Quick toggles and section modes, rendered from the settings schema.
+ * Changes are written to chrome.storage.sync; open Reddit tabs pick them up via onChanged.
+ */
+
+(function () {
+    'use strict';
+
+    const SCHEMA = window.REX_SETTINGS_SCHEMA;
+    const I18N = window.REX_I18N;
+    const log = window.REX_LOG.create('Popup');
+
+    const SECTIONS_CONTAINER_ID = 'rex-popup-sections';
+    const LISTS_SUMMARY_ID = 'rex-popup-lists';
+    const FULL_SETTINGS_LINK_ID = 'rex-popup-full-settings';
+
+    // Lists (feed filters, custom rules) need the full editor; the popup only shows counts
+    const QUICK_TYPES = ['boolean', 'enum'];
+
+    const inputsByKey = {};
+
+    /**
+     * Saves a single setting
+     * @param {string} key
+     * @param {any} value
+     */
+    function saveSetting(key, value) {
+        if (!SCHEMA.validate(key, value)) return;
+
+        chrome.storage.sync.set({ [key]: value }, () => {
+            if (chrome.runtime.lastError) {
+                log.error('Failed to save', key, chrome.runtime.lastError);
+                window.alert('REX: ' + I18N.t('save_setting_failed', key));
+            }
+        });
+    }
+
+    /**
+     * Creates the row for a boolean or enum setting
+     * @param {object} setting - Schema definition
+     * @param {any} value - Current value
+     * @returns {HTMLElement}
+     */
+    function createRow(setting, value) {
+        const row = document.createElement('label');
+        row.className = 'rex-popup-row';
+        row.dataset.settingKey = setting.key;
+
+        const text = document.createElement('span');
+        text.className = 'rex-popup-row-text';
+        const label = document.createElement('span');
+        label.textContent = I18N.settingLabel(setting);
+        text.appendChild(label);
+        const description = I18N.settingDescription(setting);
+        if (description) {
+            const desc = document.createElement('span');
+            desc.className = 'rex-popup-row-desc';
+            desc.textContent = description;
+            text.appendChild(desc);
+        }
+        row.appendChild(text);
+
+        let input;
+        if (setting.type === 'boolean') {
+            input = document.createElement('input');
+            input.type = 'checkbox';
+            input.setAttribute('role', 'switch');
+            input.checked = !!value;
+            input.addEventListener('change', () => saveSetting(setting.key, input.checked));
+        } else {
+            input = document.createElement('select');
+            setting.options.forEach(option => {
+                const optionEl = document.createElement('option');
+                optionEl.value = option;
+                optionEl.textContent = I18N.optionLabel(option);
+                input.appendChild(optionEl);
+            });
+            input.value = value;
+            input.addEventListener('change', () => saveSetting(setting.key, input.value));
+        }
+        input.setAttribute('aria-label', I18N.settingLabel(setting));
+        row.appendChild(input);
+
+        inputsByKey[setting.key] = input;
+        return row;
+    }
+
+    /**
+     * Updates an input to match a stored value (e.g. changed from the settings page)
+     * @param {string} key
+     * @param {any} value
+     */
+    function updateInput(key, value) {
+        const input = inputsByKey[key];
+        if (!input) return;
+        if (input.type === 'checkbox') {
+            input.checked = !!value;
+        } else {
+            input.value = value;
+        }
+    }
+
+    /**
+     * Shows how many list entries exist (edited on the full settings page)
+     * @param {object} settings
+     */
+    function renderListSummary(settings) {
+        const summary = document.getElementById(LISTS_SUMMARY_ID);
+        if (!summary) return;
+
+        // Collections the user builds up, i.e. lists of items with ids (not tables like
+        // the shortcut bindings or the section order)
+        const listSettings = SCHEMA.SETTINGS.filter(setting => setting.type === 'list' && 'id' in setting.item);
+        summary.textContent = listSettings
+            .map(setting => `${I18N.settingLabel(setting)}: ${settings[setting.key].length}`)
+            .join(' · ');
+    }
+
+    /**
+     * Renders one block per schema section that has quick settings
+     * @param {object} settings - Current normalized values
+     */
+    function render(settings) {
+        const container = document.getElementById(SECTIONS_CONTAINER_ID);
+        container.innerHTML = '';
+
+        SCHEMA.SECTIONS.forEach(section => {
+            const quickSettings = SCHEMA.getSectionSettings(section.id)
+                .filter(setting => QUICK_TYPES.includes(setting.type));
+            if (quickSettings.length === 0) return;
+
+            const sectionEl = document.createElement('section');
+            sectionEl.className = 'rex-popup-section';
+            const title = document.createElement('h2');
+            title.textContent = I18N.sectionTitle(section);
+            sectionEl.appendChild(title);
+
+            quickSettings.forEach(setting => {
+                sectionEl.appendChild(createRow(setting, settings[setting.key]));
+            });
+            container.appendChild(sectionEl);
+        });
+
+        renderListSummary(settings);
+    }
+
+    function init() {
+        if (typeof chrome === 'undefined' || !chrome.storage || !chrome.storage.sync) return;
+
+        I18N.localizePage(document);
+
+        // Reuse an already open options tab when possible
+        const fullSettingsLink = document.getElementById(FULL_SETTINGS_LINK_ID);
+        if (fullSettingsLink && chrome.runtime && chrome.runtime.openOptionsPage) {
+            fullSettingsLink.addEventListener('click', (e) => {
+                e.preventDefault();
+                chrome.runtime.openOptionsPage();
+                window.close();
+            });
+        }
+
+        SCHEMA.load().then((settings) => {
+            render(settings);
+
+            SCHEMA.onChanged(SCHEMA.keys(), (changed) => {
+                Object.keys(changed).forEach(key => {
+                    settings[key] = changed[key];
+                    updateInput(key, changed[key]);
+                });
+                renderListSummary(settings);
+            });
+        });
+    }
+
+    init();
+})();
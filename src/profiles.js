@@ -0,0 +1,310 @@
+/**
+ * REX - Reddit Enhancement Extension
+ * Profiles Module: Named snapshots of all settings (e.g. "focus" and "browsing").
+ * Switching writes the profile's values to the regular setting keys, so every module
+ * picks them up through the usual storage.onChanged flow.
+ */
+
+window.REX_PROFILES = (function () {
+    'use strict';
+
+    const SCHEMA = window.REX_SETTINGS_SCHEMA;
+    const I18N = window.REX_I18N;
+    const log = window.REX_LOG.create('Profiles');
+
+    // Index ([{ id, name }]) and active profile id; each snapshot has its own key
+    // so a large profile can't push the others over the per-item sync quota
+    const INDEX_KEY = 'rex_profiles';
+    const ACTIVE_KEY = 'rex_active_profile';
+    const SNAPSHOT_PREFIX = 'rex_profile_';
+
+    const MAX_NAME_LENGTH = 40;
+
+    /**
+     * Whether chrome.storage.sync is available
+     * @returns {boolean}
+     */
+    function hasStorage() {
+        return typeof chrome !== 'undefined' && chrome.storage && chrome.storage.sync;
+    }
+
+    /**
+     * Reads keys from chrome.storage.sync
+     * @param {string[]} keys
+     * @returns {Promise<object>}
+     */
+    function storageGet(keys) {
+        return new Promise((resolve) => {
+            if (!hasStorage()) {
+                resolve({});
+                return;
+            }
+            chrome.storage.sync.get(keys, resolve);
+        });
+    }
+
+    /**
+     * Writes values to chrome.storage.sync (and optionally removes keys first)
+     * @param {object} values
+     * @param {string[]} [removeKeys]
+     * @returns {Promise<boolean>} Resolves true once saved
+     */
+    function storageSet(values, removeKeys) {
+        return new Promise((resolve) => {
+            if (!hasStorage()) {
+                resolve(false);
+                return;
+            }
+
+            const write = () => chrome.storage.sync.set(values, () => {
+                if (chrome.runtime && chrome.runtime.lastError) {
+                    log.error('Failed to save', Object.keys(values), chrome.runtime.lastError);
+                    window.alert('REX: ' + I18N.t('profiles_save_failed'));
+                    resolve(false);
+                    return;
+                }
+                resolve(true);
+            });
+
+            if (removeKeys && removeKeys.length > 0) {
+                chrome.storage.sync.remove(removeKeys, write);
+            } else {
+                write();
+            }
+        });
+    }
+
+    /**
+     * Drops malformed entries from a stored index
+     * @param {any} index
+     * @returns {Array<object>}
+     */
+    function normalizeIndex(index) {
+        if (!Array.isArray(index)) return [];
+        return index
+            .filter(entry => entry && typeof entry.id === 'string' && typeof entry.name === 'string')
+            .map(entry => ({ id: entry.id, name: entry.name }));
+    }
+
+    /**
+     * Cleans up a profile name
+     * @param {string} name
+     * @returns {string}
+     */
+    function normalizeName(name) {
+        return String(name || '').trim().replace(/\s+/g, ' ').slice(0, MAX_NAME_LENGTH);
+    }
+
+    /**
+     * Loads the profile list and the active profile id
+     * @returns {Promise<{ profiles: Array<object>, active: string|null }>}
+     */
+    function load() {
+        return storageGet([INDEX_KEY, ACTIVE_KEY]).then((stored) => {
+            const profiles = normalizeIndex(stored[INDEX_KEY]);
+            const active = profiles.some(profile => profile.id === stored[ACTIVE_KEY]) ? stored[ACTIVE_KEY] : null;
+            return { profiles, active };
+        });
+    }
+
+    /**
+     * Captures the current settings as a snapshot
+     * @returns {Promise<object>} { version, values }
+     */
+    function captureSnapshot() {
+        return SCHEMA.load().then(values => ({ version: SCHEMA.SCHEMA_VERSION, values }));
+    }
+
+    /**
+     * Reads a stored snapshot, migrated and normalized against the current schema
+     * @param {string} id
+     * @returns {Promise<object|null>} Map of setting key to value
+     */
+    function readSnapshot(id) {
+        const key = SNAPSHOT_PREFIX + id;
+        return storageGet([key]).then((stored) => {
+            const snapshot = stored[key];
+            if (!snapshot || typeof snapshot.values !== 'object') return null;
+
+            const version = typeof snapshot.version === 'number' ? snapshot.version : 0;
+            const migrated = SCHEMA.migrateValues(snapshot.values, version);
+            const values = {};
+            SCHEMA.keys().forEach(settingKey => {
+                values[settingKey] = SCHEMA.normalize(settingKey, migrated[settingKey]);
+            });
+            return values;
+        });
+    }
+
+    /**
+     * Checks a name for a new or renamed profile
+     * @param {Array<object>} profiles
+     * @param {string} name - Normalized name
+     * @param {string} [ignoreId] - Profile being renamed
+     * @returns {boolean}
+     */
+    function isNameAvailable(profiles, name, ignoreId) {
+        if (!name) {
+            window.alert('REX: ' + I18N.t('profiles_name_missing'));
+            return false;
+        }
+        const taken = profiles.some(profile => profile.id !== ignoreId && profile.name.toLowerCase() === name.toLowerCase());
+        if (taken) {
+            window.alert('REX: ' + I18N.t('profiles_name_taken', name));
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Saves the current settings as a new profile and makes it active
+     * @param {string} name
+     * @returns {Promise<string|null>} The new profile id
+     */
+    function create(name) {
+        const profileName = normalizeName(name);
+        return Promise.all([load(), captureSnapshot()]).then(([state, snapshot]) => {
+            if (!isNameAvailable(state.profiles, profileName)) return null;
+
+            const id = 'profile-' + Date.now().toString(36);
+            return storageSet({
+                [SNAPSHOT_PREFIX + id]: snapshot,
+                [INDEX_KEY]: [...state.profiles, { id, name: profileName }],
+                [ACTIVE_KEY]: id
+            }).then(saved => {
+                if (saved) log.info(`Created "${profileName}"`);
+                return saved ? id : null;
+            });
+        });
+    }
+
+    /**
+     * Renames a profile
+     * @param {string} id
+     * @param {string} name
+     * @returns {Promise<boolean>}
+     */
+    function rename(id, name) {
+        const profileName = normalizeName(name);
+        return load().then((state) => {
+            const profile = state.profiles.find(p => p.id === id);
+            if (!profile || profile.name === profileName) return false;
+            if (!isNameAvailable(state.profiles, profileName, id)) return false;
+
+            profile.name = profileName;
+            return storageSet({ [INDEX_KEY]: state.profiles });
+        });
+    }
+
+    /**
+     * Copies a profile (the active one as currently configured)
+     * @param {string} id
+     * @returns {Promise<string|null>} The copy's id
+     */
+    function duplicate(id) {
+        return load().then((state) => {
+            const profile = state.profiles.find(p => p.id === id);
+            if (!profile) return null;
+
+            const getValues = id === state.active
+                ? SCHEMA.load()
+                : readSnapshot(id).then(values => values || SCHEMA.getDefaults());
+
+            return getValues.then((values) => {
+                let name = normalizeName(`${profile.name} copy`);
+                for (let n = 2; state.profiles.some(p => p.name.toLowerCase() === name.toLowerCase()); n++) {
+                    name = normalizeName(`${profile.name} copy ${n}`);
+                }
+
+                const copyId = 'profile-' + Date.now().toString(36);
+                const index = [...state.profiles];
+                index.splice(index.indexOf(profile) + 1, 0, { id: copyId, name });
+                return storageSet({
+                    [SNAPSHOT_PREFIX + copyId]: { version: SCHEMA.SCHEMA_VERSION, values },
+                    [INDEX_KEY]: index
+                }).then(saved => (saved ? copyId : null));
+            });
+        });
+    }
+
+    /**
+     * Deletes a profile. Deleting the active one keeps the current settings as they are.
+     * @param {string} id
+     * @returns {Promise<boolean>}
+     */
+    function remove(id) {
+        return load().then((state) => {
+            if (!state.profiles.some(p => p.id === id)) return false;
+
+            const values = { [INDEX_KEY]: state.profiles.filter(p => p.id !== id) };
+            if (state.active === id) values[ACTIVE_KEY] = '';
+            return storageSet(values, [SNAPSHOT_PREFIX + id]);
+        });
+    }
+
+    /**
+     * Makes a profile active: the outgoing profile keeps the edits made while it was active,
+     * then the incoming profile's values are written in a single storage update
+     * @param {string} id
+     * @returns {Promise<boolean>}
+     */
+    function switchTo(id) {
+        return Promise.all([load(), SCHEMA.load(), readSnapshot(id)]).then(([state, current, values]) => {
+            const profile = state.profiles.find(p => p.id === id);
+            if (!profile || !values || state.active === id) return false;
+
+            const updates = { [ACTIVE_KEY]: id };
+            if (state.active) {
+                updates[SNAPSHOT_PREFIX + state.active] = { version: SCHEMA.SCHEMA_VERSION, values: current };
+            }
+            // Only the keys that differ, so modules don't redo work for unchanged settings
+            Object.keys(values).forEach(key => {
+                if (JSON.stringify(values[key]) !== JSON.stringify(current[key])) {
+                    updates[key] = values[key];
+                }
+            });
+
+            return storageSet(updates).then(saved => {
+                if (saved) log.info(`Switched to "${profile.name}"`);
+                return saved;
+            });
+        });
+    }
+
+    /**
+     * Switches to the profile after the active one (wrapping around)
+     * @returns {Promise<boolean>}
+     */
+    function cycle() {
+        return load().then((state) => {
+            if (state.profiles.length === 0) return false;
+            const index = state.profiles.findIndex(p => p.id === state.active);
+            const next = state.profiles[(index + 1) % state.profiles.length];
+            return switchTo(next.id);
+        });
+    }
+
+    /**
+     * Listens for changes to the profile list or the active profile
+     * @param {Function} callback - Called with the new { profiles, active }
+     */
+    function onChanged(callback) {
+        if (typeof chrome === 'undefined' || !chrome.storage || !chrome.storage.onChanged) return;
+
+        chrome.storage.onChanged.addListener((changes, area) => {
+            if (area !== 'sync' || (!changes[INDEX_KEY] && !changes[ACTIVE_KEY])) return;
+            load().then(callback);
+        });
+    }
+
+    return {
+        load,
+        onChanged,
+        create,
+        rename,
+        duplicate,
+        remove,
+        switchTo,
+        cycle
+    };
+})();
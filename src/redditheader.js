@@ -6,11 +6,35 @@
 window.REX_HEADER = (function () {
     'use strict';
 
-    // Selectors identified via inspection
-    const AD_SELECTORS = '#advertise-button';
-    const CREATE_SELECTOR = '#create-post';
-    const REDDIT_LOGO_SELECTOR = '#reddit-logo';
+    const SCHEMA = window.REX_SETTINGS_SCHEMA;
+    const OVERRIDES = window.REX_OVERRIDES;
+    const ROUTER = window.REX_ROUTER;
+    const OBSERVER = window.REX_OBSERVER;
+    const STYLES = window.REX_STYLES;
+    const PROFILES = window.REX_PROFILES;
+    const SELECTORS = window.REX_SELECTORS;
+    const I18N = window.REX_I18N;
+    const log = window.REX_LOG.create('Header');
+
+    // Page elements this module depends on (see selectors.js)
+    const HEADER_TARGETS = ['reddit_logo', 'advertise_button', 'create_post', 'ask_button', 'search_input'];
     const SUBREDDIT_INDICATOR_ID = 'rex-subreddit-indicator';
+    const SUBREDDIT_MENU_BUTTON_ID = 'rex-subreddit-menu-button';
+    const SUBREDDIT_MENU_ID = 'rex-subreddit-menu';
+    const PROFILE_SWITCHER_ID = 'rex-profile-switcher';
+    const FILTER_COUNTER_ID = 'rex-filter-counter'; // See feedfilter.js
+
+    // How the indicator looks per context type: icon shape, badge shown when there is no icon,
+    // and an accent ring (profiles) so contexts are told apart at a glance
+    const CONTEXT_STYLES = {
+        subreddit: { radius: '50%', badge: 'r', color: '#FF4500', ring: false, describe: context => `r/${context.name}` },
+        user: { radius: '50%', badge: 'u', color: '#0079D3', ring: true, describe: context => I18N.t('header_context_user', context.name) },
+        feed: { radius: '6px', badge: 'm', color: '#46D160', ring: false, describe: context => I18N.t('header_context_feed', context.owner) }
+    };
+
+    // Recently visited subreddits (most recent first); UI state, so it lives in local storage
+    const RECENT_SUBREDDITS_KEY = 'rex_recent_subreddits';
+    const MAX_RECENT_SUBREDDITS = 10;
 
     /**
      * Extracts subreddit name from the current URL
@@ -24,12 +48,17 @@ window.REX_HEADER = (function () {
 
     /**
      * Finds the subreddit logo URL from the page
-     * Searches for community icon images in the DOM
+     * Searches for community icon images in the DOM (and shadow roots, e.g. the left nav)
+     * @param {string} [subredditName] - Defaults to the current subreddit; the page header
+     *     icons are only used for the current one
      * @returns {string|null} The logo URL or null if not found
      */
-    function findSubredditLogo() {
+    function findSubredditLogo(subredditName = getSubredditFromUrl()) {
+        const current = getSubredditFromUrl();
+        const isCurrent = !!subredditName && !!current && subredditName.toLowerCase() === current.toLowerCase();
+
         // Method 1: Look for shreddit-subreddit-icon element
-        const subIconElement = document.querySelector('shreddit-subreddit-icon');
+        const subIconElement = isCurrent ? document.querySelector('shreddit-subreddit-icon') : null;
         if (subIconElement) {
             // Check shadow root first
             if (subIconElement.shadowRoot) {
@@ -45,12 +74,12 @@ window.REX_HEADER = (function () {
         }
 
         // Method 2: Search for images with communityIcon in URL
-        const allImgs = Array.from(document.querySelectorAll('img'));
-        const iconImg = allImgs.find(img => img.src && img.src.includes('communityIcon'));
+        const allImgs = [document, ...OBSERVER.getShadowRoots()]
+            .flatMap(root => Array.from(root.querySelectorAll('img')));
+        const iconImg = isCurrent ? allImgs.find(img => img.src && img.src.includes('communityIcon')) : null;
         if (iconImg) return iconImg.src;
 
         // Method 3: Look for images with matching alt text pattern
-        const subredditName = getSubredditFromUrl();
         if (subredditName) {
             const altImg = allImgs.find(img =>
                 img.alt && img.alt.toLowerCase().includes(`r/${subredditName.toLowerCase()} icon`)
@@ -62,20 +91,109 @@ window.REX_HEADER = (function () {
     }
 
     /**
-     * Creates or updates the subreddit indicator in the header
+     * Works out what a page is about: a subreddit, a user profile or a custom feed (multireddit)
+     * Covers their post pages too (/r/name/comments/..., /user/name/comments/...)
+     * @param {string} path - URL path
+     * @returns {{ type: string, name: string, owner: string|null, path: string, label: string }|null}
      */
-    function updateSubredditIndicator() {
+    function parseContext(path) {
+        let match = path.match(/^\/r\/([^\/]+)/);
+        if (match) {
+            return { type: 'subreddit', name: match[1], owner: null, path: `/r/${match[1]}/`, label: `/r/${match[1]}` };
+        }
+
+        match = path.match(/^\/(?:user|u)\/([^\/]+)\/m\/([^\/]+)/);
+        if (match) {
+            return { type: 'feed', name: match[2], owner: match[1], path: `/user/${match[1]}/m/${match[2]}/`, label: `/m/${match[2]}` };
+        }
+
+        match = path.match(/^\/(?:user|u)\/([^\/]+)/);
+        if (match) {
+            return { type: 'user', name: match[1], owner: null, path: `/user/${match[1]}/`, label: `/u/${match[1]}` };
+        }
+
+        return null;
+    }
+
+    /**
+     * Returns the context of the current page (see parseContext)
+     * @returns {object|null}
+     */
+    function getContextFromUrl() {
+        return parseContext(window.location.pathname);
+    }
+
+    /**
+     * Finds a user's avatar URL from the page
+     * @param {string} username
+     * @returns {string|null}
+     */
+    function findUserAvatar(username) {
+        const current = getContextFromUrl();
+        const isCurrent = !!current && current.type === 'user' && current.name.toLowerCase() === username.toLowerCase();
+        const allImgs = [document, ...OBSERVER.getShadowRoots()]
+            .flatMap(root => Array.from(root.querySelectorAll('img')));
+
+        // Method 1: Images labelled as the user's avatar ("u/name avatar", "name avatar")
+        const altImg = allImgs.find(img =>
+            img.alt && img.alt.toLowerCase().replace(/^u\//, '').startsWith(`${username.toLowerCase()} avatar`)
+        );
+        if (altImg) return altImg.src;
+
+        // Method 2: On the user's own profile, the first avatar image is theirs
+        const avatarImg = isCurrent ? allImgs.find(img => img.src && /snoovatar|\/avatars?\//.test(img.src)) : null;
+        return avatarImg ? avatarImg.src : null;
+    }
+
+    /**
+     * Finds a custom feed's icon URL from the page (e.g. its entry in the left nav Custom Feeds)
+     * @param {object} context - Feed context (see parseContext)
+     * @returns {string|null}
+     */
+    function findCustomFeedIcon(context) {
+        const hrefs = [context.path, context.path.replace(/\/$/, '')];
+        const selector = hrefs.map(href => `a[href="${href}" i]:not(#${SUBREDDIT_INDICATOR_ID}) img`).join(', ');
+        for (const root of [document, ...OBSERVER.getShadowRoots()]) {
+            const img = root.querySelector(selector);
+            if (img && img.src) return img.src;
+        }
+        return null;
+    }
+
+    /**
+     * Finds the icon for a context: subreddit logo, user avatar or custom feed icon
+     * @param {object} context - See parseContext
+     * @returns {string|null}
+     */
+    function findContextIcon(context) {
+        switch (context.type) {
+            case 'subreddit':
+                return findSubredditLogo(context.name);
+            case 'user':
+                return findUserAvatar(context.name);
+            case 'feed':
+                return findCustomFeedIcon(context);
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Creates or updates the current context indicator (subreddit, user or custom feed) in the header
+     */
+    function updateContextIndicator() {
         // Only run if the feature is enabled in settings
         if (!showSubredditIndicator) {
             const existingIndicator = document.getElementById(SUBREDDIT_INDICATOR_ID);
             if (existingIndicator) {
                 existingIndicator.remove();
             }
+            closeContextMenu();
             return;
         }
 
-        const subredditName = getSubredditFromUrl();
-        const redditLogo = document.querySelector(REDDIT_LOGO_SELECTOR);
+        const context = getContextFromUrl();
+        const redditLogo = SELECTORS.find('reddit_logo');
 
         // Remove existing indicator if present
         const existingIndicator = document.getElementById(SUBREDDIT_INDICATOR_ID);
@@ -83,18 +201,26 @@ window.REX_HEADER = (function () {
             existingIndicator.remove();
         }
 
-        // If not on a subreddit page or logo not found, nothing to do
-        if (!subredditName || !redditLogo) {
+        // The retries rebuild the indicator; an open menu only closes when it no longer applies
+        const openMenu = document.getElementById(SUBREDDIT_MENU_ID);
+        if (openMenu && (!context || !redditLogo || openMenu.dataset.context !== context.path)) {
+            closeContextMenu();
+        }
+
+        // If not on a subreddit, profile or custom feed page, or logo not found, nothing to do
+        if (!context || !redditLogo) {
             return;
         }
 
-        // Find subreddit logo
-        const logoUrl = findSubredditLogo();
+        const contextStyle = CONTEXT_STYLES[context.type];
+        const iconUrl = findContextIcon(context);
 
         // Create the indicator container
         const indicator = document.createElement('a');
         indicator.id = SUBREDDIT_INDICATOR_ID;
-        indicator.href = `/r/${subredditName}/`;
+        indicator.href = context.path;
+        indicator.dataset.contextType = context.type;
+        indicator.title = contextStyle.describe(context);
         indicator.style.cssText = `
             display: flex;
             align-items: flex-end;
@@ -106,24 +232,39 @@ window.REX_HEADER = (function () {
             gap: 6px;
         `;
 
-        // Create the logo image if available and safe
-        if (typeof logoUrl === 'string' && logoUrl.startsWith('https://')) {
-            const logoImg = document.createElement('img');
-            logoImg.src = logoUrl;
-            logoImg.alt = `r/${subredditName} icon`;
-            logoImg.style.cssText = `
-                width: 24px;
-                height: 24px;
-                border-radius: 50%;
-                object-fit: cover;
-                margin-bottom: 0;
+        // Icon (if available and safe), or a badge with the context's letter
+        let icon;
+        if (typeof iconUrl === 'string' && iconUrl.startsWith('https://')) {
+            icon = document.createElement('img');
+            icon.src = iconUrl;
+            icon.alt = I18N.t('header_context_icon', context.label.slice(1));
+            icon.style.objectFit = 'cover';
+        } else {
+            icon = document.createElement('span');
+            icon.textContent = contextStyle.badge;
+            icon.setAttribute('aria-hidden', 'true');
+            icon.style.cssText = `
+                display: inline-flex;
+                align-items: center;
+                justify-content: center;
+                background: ${contextStyle.color};
+                color: #FFFFFF;
+                font-size: 13px;
+                font-weight: 700;
             `;
-            indicator.appendChild(logoImg);
         }
-
-        // Create the subreddit name text
+        icon.classList.add('rex-context-icon');
+        icon.style.width = '24px';
+        icon.style.height = '24px';
+        icon.style.flexShrink = '0';
+        icon.style.boxSizing = 'border-box';
+        icon.style.borderRadius = contextStyle.radius;
+        if (contextStyle.ring) icon.style.boxShadow = `0 0 0 2px ${contextStyle.color}`;
+        indicator.appendChild(icon);
+
+        // Create the context name text
         const nameSpan = document.createElement('span');
-        nameSpan.textContent = `/r/${subredditName}`;
+        nameSpan.textContent = context.label;
         nameSpan.style.cssText = `
             color: var(--color-neutral-content-strong, #1A1A1B);
             font-size: 14px;
@@ -132,294 +273,483 @@ window.REX_HEADER = (function () {
         `;
         indicator.appendChild(nameSpan);
 
+        // Caret opening the quick actions menu (the rest of the indicator stays a link)
+        const menuButton = document.createElement('button');
+        menuButton.id = SUBREDDIT_MENU_BUTTON_ID;
+        menuButton.type = 'button';
+        menuButton.setAttribute('aria-label', I18N.t('header_menu_label', context.label.slice(1)));
+        menuButton.setAttribute('aria-haspopup', 'menu');
+        menuButton.setAttribute('aria-expanded', document.getElementById(SUBREDDIT_MENU_ID) ? 'true' : 'false');
+        menuButton.textContent = '▾';
+        menuButton.style.cssText = `
+            padding: 0 4px;
+            border: none;
+            background: transparent;
+            color: var(--color-neutral-content-weak, #576F76);
+            font-size: 12px;
+            line-height: 18px;
+            cursor: pointer;
+        `;
+        menuButton.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            toggleContextMenu(context);
+        });
+        indicator.appendChild(menuButton);
+
         // Insert after the reddit logo's parent container (tooltip wrapper)
         // to avoid being inside the hover activation area
         const logoContainer = redditLogo.closest('rpl-tooltip') || redditLogo.parentNode;
         if (logoContainer && logoContainer.parentNode) {
             logoContainer.parentNode.insertBefore(indicator, logoContainer.nextSibling);
-            console.log(`[REX] Header: Subreddit indicator added for r/${subredditName}`);
+            log.debug(`Context indicator added for ${context.label.slice(1)} (${context.type})`);
+        }
+    }
+
+    /**
+     * Adds a subreddit to the front of the recently visited list
+     * @param {string} subredditName
+     */
+    function recordVisit(subredditName) {
+        if (!subredditName || typeof chrome === 'undefined' || !chrome.storage || !chrome.storage.local) return;
+
+        chrome.storage.local.get([RECENT_SUBREDDITS_KEY], (items) => {
+            const stored = Array.isArray(items[RECENT_SUBREDDITS_KEY]) ? items[RECENT_SUBREDDITS_KEY] : [];
+            const recent = [subredditName, ...stored.filter(name => typeof name === 'string' && name.toLowerCase() !== subredditName.toLowerCase())]
+                .slice(0, MAX_RECENT_SUBREDDITS);
+            if (recent.join('\n') === stored.join('\n')) return;
+            chrome.storage.local.set({ [RECENT_SUBREDDITS_KEY]: recent });
+        });
+    }
+
+    /**
+     * Closes the quick actions menu, if open
+     */
+    function closeContextMenu() {
+        const menu = document.getElementById(SUBREDDIT_MENU_ID);
+        if (menu) menu.remove();
+        const button = document.getElementById(SUBREDDIT_MENU_BUTTON_ID);
+        if (button) button.setAttribute('aria-expanded', 'false');
+    }
+
+    /**
+     * Creates a menu entry linking to a page
+     * @param {string} label
+     * @param {string} href
+     * @returns {HTMLAnchorElement}
+     */
+    function createMenuLink(label, href) {
+        const link = document.createElement('a');
+        link.className = 'rex-subreddit-menu-item';
+        link.href = href;
+        link.textContent = label;
+        link.setAttribute('role', 'menuitem');
+        link.style.cssText = `
+            display: block;
+            padding: 6px 16px;
+            color: var(--color-neutral-content-strong, #1A1A1B);
+            font-size: 14px;
+            text-decoration: none;
+        `;
+        link.addEventListener('click', closeContextMenu);
+        return link;
+    }
+
+    /**
+     * Creates a small heading for a group of menu entries
+     * @param {string} text
+     * @returns {HTMLDivElement}
+     */
+    function createMenuHeading(text) {
+        const heading = document.createElement('div');
+        heading.textContent = text;
+        heading.style.cssText = `
+            padding: 8px 16px 4px;
+            color: var(--color-neutral-content-weak, #576F76);
+            font-size: 12px;
+            text-transform: uppercase;
+        `;
+        return heading;
+    }
+
+    /**
+     * Returns the quick links of the menu for a context
+     * @param {object} context - See parseContext
+     * @returns {Array<{ label: string, href: string }>}
+     */
+    function getContextLinks(context) {
+        const base = context.path.replace(/\/$/, '');
+        const top = [
+            { label: I18N.t('header_link_top_day'), href: `${base}/top/?t=day` },
+            { label: I18N.t('header_link_top_week'), href: `${base}/top/?t=week` },
+            { label: I18N.t('header_link_top_all'), href: `${base}/top/?t=all` }
+        ];
+
+        switch (context.type) {
+            case 'subreddit':
+                return [
+                    { label: I18N.t('header_link_rules'), href: `${base}/about/rules/` },
+                    { label: I18N.t('header_link_wiki'), href: `${base}/wiki/` },
+                    { label: I18N.t('header_link_new'), href: `${base}/new/` },
+                    ...top
+                ];
+            case 'feed':
+                return [{ label: I18N.t('header_link_new'), href: `${base}/new/` }, ...top];
+            case 'user':
+                return [
+                    { label: I18N.t('header_link_posts'), href: `${base}/submitted/` },
+                    { label: I18N.t('header_link_comments'), href: `${base}/comments/` }
+                ];
+            default:
+                return [];
+        }
+    }
+
+    /**
+     * Creates the search box of the menu (searches within a subreddit)
+     * @param {string} subredditName
+     * @returns {HTMLInputElement}
+     */
+    function createMenuSearch(subredditName) {
+        const search = document.createElement('input');
+        search.type = 'search';
+        search.className = 'rex-subreddit-menu-search';
+        search.placeholder = I18N.t('header_menu_search', subredditName);
+        search.setAttribute('aria-label', search.placeholder);
+        search.style.cssText = `
+            display: block;
+            box-sizing: border-box;
+            width: calc(100% - 32px);
+            margin: 6px 16px;
+            padding: 4px 8px;
+            border: 1px solid var(--color-neutral-border, #C9CED1);
+            border-radius: 999px;
+            background: transparent;
+            color: var(--color-neutral-content-strong, #1A1A1B);
+            font-size: 14px;
+        `;
+        search.addEventListener('keydown', (e) => {
+            e.stopPropagation();
+            if (e.key === 'Escape') {
+                closeContextMenu();
+                return;
+            }
+            const query = search.value.trim();
+            if (e.key !== 'Enter' || !query) return;
+            e.preventDefault();
+            closeContextMenu();
+            window.location.assign(`/r/${subredditName}/search/?q=${encodeURIComponent(query)}&restrict_sr=1`);
+        });
+        return search;
+    }
+
+    /**
+     * Opens (or closes) the menu below the indicator with the context's pages,
+     * a search box (subreddits) and the recently visited subreddits
+     * @param {object} context - See parseContext
+     */
+    function toggleContextMenu(context) {
+        if (document.getElementById(SUBREDDIT_MENU_ID)) {
+            closeContextMenu();
+            return;
         }
+
+        const indicator = document.getElementById(SUBREDDIT_INDICATOR_ID);
+        if (!indicator) return;
+
+        const menu = document.createElement('div');
+        menu.id = SUBREDDIT_MENU_ID;
+        menu.dataset.context = context.path;
+        menu.setAttribute('role', 'menu');
+        menu.setAttribute('aria-label', I18N.t('header_menu_label', context.label.slice(1)));
+        const rect = indicator.getBoundingClientRect();
+        menu.style.cssText = `
+            position: fixed;
+            top: ${Math.round(rect.bottom) + 4}px;
+            left: ${Math.round(rect.left)}px;
+            z-index: 2147483646;
+            min-width: 220px;
+            max-height: 70vh;
+            overflow: auto;
+            padding: 8px 0;
+            border-radius: 8px;
+            background: var(--color-neutral-background, #FFFFFF);
+            box-shadow: 0 4px 16px rgba(0, 0, 0, 0.2);
+        `;
+
+        getContextLinks(context).forEach(link => menu.appendChild(createMenuLink(link.label, link.href)));
+        if (context.type === 'subreddit') menu.appendChild(createMenuSearch(context.name));
+
+        const recentGroup = document.createElement('div');
+        recentGroup.className = 'rex-subreddit-menu-recent';
+        menu.appendChild(recentGroup);
+
+        if (typeof chrome !== 'undefined' && chrome.storage && chrome.storage.local) {
+            chrome.storage.local.get([RECENT_SUBREDDITS_KEY], (items) => {
+                const stored = Array.isArray(items[RECENT_SUBREDDITS_KEY]) ? items[RECENT_SUBREDDITS_KEY] : [];
+                const current = context.type === 'subreddit' ? context.name.toLowerCase() : null;
+                const recent = stored.filter(name => typeof name === 'string' && name.toLowerCase() !== current);
+                if (recent.length === 0) return;
+
+                recentGroup.appendChild(createMenuHeading(I18N.t('header_menu_recent')));
+                recent.forEach(name => recentGroup.appendChild(createMenuLink(`r/${name}`, `/r/${name}/`)));
+            });
+        }
+
+        document.body.appendChild(menu);
+        const button = document.getElementById(SUBREDDIT_MENU_BUTTON_ID);
+        if (button) button.setAttribute('aria-expanded', 'true');
     }
 
     /**
-     * Initializes subreddit indicator with retry logic for dynamic content
+     * Initializes the context indicator with retry logic for dynamic content
      */
-    function initSubredditIndicator() {
+    function initContextIndicator() {
         // Initial attempt
-        updateSubredditIndicator();
+        updateContextIndicator();
 
         // Retry a few times as page may still be loading
-        setTimeout(updateSubredditIndicator, 500);
-        setTimeout(updateSubredditIndicator, 1500);
-        setTimeout(updateSubredditIndicator, 3000);
+        setTimeout(updateContextIndicator, 500);
+        setTimeout(updateContextIndicator, 1500);
+        setTimeout(updateContextIndicator, 3000);
 
-        // Watch for URL changes (SPA navigation) and DOM rebuilds (page refresh)
-        let lastUrl = window.location.href;
-        const domObserver = new MutationObserver(() => {
+        // Watch for DOM rebuilds (page refresh)
+        OBSERVER.onMutation(() => {
             if (!showSubredditIndicator) return;
 
-            const subredditName = getSubredditFromUrl();
+            const context = getContextFromUrl();
             const existingIndicator = document.getElementById(SUBREDDIT_INDICATOR_ID);
-            const redditLogo = document.querySelector(REDDIT_LOGO_SELECTOR);
+            const redditLogo = SELECTORS.find('reddit_logo');
 
-            // Re-add indicator if we're on a subreddit, logo exists, but indicator is missing
-            if (subredditName && redditLogo && !existingIndicator) {
-                updateSubredditIndicator();
+            // Re-add indicator if we're in a context, logo exists, but indicator is missing
+            if (context && redditLogo && !existingIndicator) {
+                updateContextIndicator();
             }
+        });
 
-            // Handle URL changes (SPA navigation)
-            if (window.location.href !== lastUrl) {
-                lastUrl = window.location.href;
-                // Delay to allow new page content to load
-                setTimeout(updateSubredditIndicator, 300);
-                setTimeout(updateSubredditIndicator, 1000);
-            }
+        // Close the menu when clicking elsewhere or pressing Escape
+        document.addEventListener('click', (e) => {
+            const menu = document.getElementById(SUBREDDIT_MENU_ID);
+            if (menu && !menu.contains(e.target)) closeContextMenu();
+        });
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') closeContextMenu();
         });
 
-        // Observe body when available
-        const startObserving = () => {
-            if (document.body) {
-                domObserver.observe(document.body, { childList: true, subtree: true });
-            }
-        };
+        // Handle SPA navigation (including browser back/forward)
+        ROUTER.subscribe(() => {
+            closeContextMenu();
+            // Delay to allow new page content to load
+            setTimeout(updateContextIndicator, 300);
+            setTimeout(updateContextIndicator, 1000);
+        });
+    }
 
-        if (document.body) {
-            startObserving();
-        } else {
-            document.addEventListener('DOMContentLoaded', startObserving);
+    let profileState = { profiles: [], active: null };
+
+    /**
+     * Creates, updates or removes the profile switcher next to the Reddit logo
+     * Only shown when there is more than one profile to switch between
+     */
+    function updateProfileSwitcher() {
+        let switcher = document.getElementById(PROFILE_SWITCHER_ID);
+
+        if (profileState.profiles.length < 2) {
+            if (switcher) switcher.remove();
+            return;
+        }
+
+        const redditLogo = SELECTORS.find('reddit_logo');
+        if (!redditLogo) return;
+
+        if (!switcher) {
+            switcher = document.createElement('select');
+            switcher.id = PROFILE_SWITCHER_ID;
+            switcher.title = I18N.t('header_profile');
+            switcher.setAttribute('aria-label', switcher.title);
+            switcher.style.cssText = `
+                align-self: center;
+                margin-left: 8px;
+                padding: 2px 4px;
+                border: 1px solid var(--color-neutral-border, #C9CED1);
+                border-radius: 999px;
+                background: transparent;
+                color: var(--color-neutral-content-weak, #576F76);
+                font-size: 12px;
+                cursor: pointer;
+            `;
+            switcher.addEventListener('change', () => {
+                if (switcher.value) PROFILES.switchTo(switcher.value);
+            });
+        }
+
+        switcher.innerHTML = '';
+        if (!profileState.active) {
+            const placeholder = document.createElement('option');
+            placeholder.value = '';
+            placeholder.textContent = I18N.t('header_profile_placeholder');
+            placeholder.disabled = true;
+            switcher.appendChild(placeholder);
+        }
+        profileState.profiles.forEach(profile => {
+            const option = document.createElement('option');
+            option.value = profile.id;
+            option.textContent = profile.name;
+            switcher.appendChild(option);
+        });
+        switcher.value = profileState.active || '';
+
+        // After the logo, the context indicator and the filter counter
+        if (!switcher.isConnected) {
+            const anchor = document.getElementById(FILTER_COUNTER_ID) ||
+                document.getElementById(SUBREDDIT_INDICATOR_ID) ||
+                redditLogo.closest('rpl-tooltip') || redditLogo.parentNode;
+            if (anchor && anchor.parentNode) {
+                anchor.parentNode.insertBefore(switcher, anchor.nextSibling);
+            }
         }
+    }
+
+    /**
+     * Follows the profile list and keeps the switcher on the page
+     */
+    function initProfileSwitcher() {
+        if (!PROFILES) return;
 
-        // Also listen for popstate events (browser back/forward)
-        window.addEventListener('popstate', () => {
-            setTimeout(updateSubredditIndicator, 300);
+        PROFILES.load().then((state) => {
+            profileState = state;
+            updateProfileSwitcher();
+        });
+        PROFILES.onChanged((state) => {
+            profileState = state;
+            updateProfileSwitcher();
+        });
+
+        // The header may have been re-rendered without the switcher
+        OBSERVER.onMutation(() => {
+            if (profileState.profiles.length > 1 && !document.getElementById(PROFILE_SWITCHER_ID)) {
+                updateProfileSwitcher();
+            }
         });
     }
 
+    // Shadow hosts of the search box (faceplate-search-input is also nested inside reddit-search-large)
+    const SEARCH_HOSTS = ['reddit-search-large', 'faceplate-search-input'];
+
     /**
-     * Toggles visibility for a specific feature using a style tag
+     * Toggles visibility for a specific feature using a registered stylesheet
      * @param {boolean} shouldHide - Whether to hide the elements
      * @param {string} selector - CSS selector to hide
-     * @param {string} styleId - Unique ID for the style tag
-     * @param {object} tagRef - Reference object { tag: HTMLStyleElement|null } to track state
+     * @param {string} styleName - Unique name of the stylesheet
      * @param {string} logName - Name for logging
      */
-    function toggleVisibility(shouldHide, selector, styleId, tagRef, logName) {
-        if (shouldHide) {
-            if (!tagRef.tag) {
-                const style = document.createElement('style');
-                style.id = styleId;
-                style.textContent = `${selector} { display: none !important; }`;
-                document.head.appendChild(style);
-                tagRef.tag = style;
-                console.log(`[REX] Header: ${logName} hidden`);
-            }
-        } else {
-            if (tagRef.tag) {
-                tagRef.tag.remove();
-                tagRef.tag = null;
-                console.log(`[REX] Header: ${logName} shown`);
-            }
-        }
+    function toggleVisibility(shouldHide, selector, styleName, logName) {
+        if (shouldHide === STYLES.has(styleName)) return;
+
+        STYLES.set(styleName, shouldHide ? `${selector} { display: none !important; }` : '', { roots: 'document' });
+        log.info(`${logName} ${shouldHide ? 'hidden' : 'shown'}`);
     }
 
     /**
-     * Toggles visibility for Ask AI button which is inside Shadow DOM
-     * Searches through all shadow roots to find the button
+     * Toggles visibility for Ask AI button which is inside the search box's Shadow DOM
+     * (with a main DOM fallback). Outside subreddits the search text is also centered.
+     * @param {boolean} shouldHide
      */
     function toggleAskVisibility(shouldHide) {
-        const isSubreddit = !!getSubredditFromUrl();
-        const shouldCenter = shouldHide && !isSubreddit;
+        if (!shouldHide) {
+            if (STYLES.has('rex-hide-ask-shadow-style')) {
+                log.info('Ask AI shown and search un-centered');
+            }
+            STYLES.remove('rex-hide-ask-shadow-style');
+            STYLES.remove('rex-hide-ask-style');
+            return;
+        }
 
-        const STYLE_ID = 'rex-hide-ask-shadow-style';
-        const CSS_CONTENT = `
-            a[href^="/answers/"] { display: none !important; }
-            hr.trailing-divider { display: none !important; }
-            input { 
-                text-align: ${shouldCenter ? 'center' : 'inherit'} !important; 
+        const shouldCenter = !getSubredditFromUrl();
+        const inputCss = (selector, focusSelector) => `
+            ${selector} {
+                text-align: ${shouldCenter ? 'center' : 'inherit'} !important;
                 padding-right: ${shouldCenter ? '40px' : '0'} !important;
             }
-            input:focus {
+            ${focusSelector} {
                 text-align: left !important;
                 padding-right: 0 !important;
             }
         `;
 
-        // Try multiple potential shadow hosts
-        const shadowHosts = [
-            document.querySelector('reddit-search-large'),
-            document.querySelector('faceplate-search-input#search-input'),
-            document.getElementById('search-input')
-        ];
-
-        let injectedCount = 0;
-
-        for (const host of shadowHosts) {
-            if (!host || !host.shadowRoot) continue;
-
-            const existingStyle = host.shadowRoot.getElementById(STYLE_ID);
-
-            if (shouldHide) {
-                if (!existingStyle) {
-                    const style = document.createElement('style');
-                    style.id = STYLE_ID;
-                    style.textContent = CSS_CONTENT;
-                    host.shadowRoot.appendChild(style);
-                    injectedCount++;
-                    console.log(`[REX] Header: Ask AI hidden (shadow of ${host.tagName})${shouldCenter ? ' and search centered' : ''}`);
-                } else {
-                    existingStyle.textContent = CSS_CONTENT;
-                }
-
-                // Check for nested shadow root (faceplate-search-input inside reddit-search-large)
-                const nestedHost = host.shadowRoot.querySelector('faceplate-search-input');
-                if (nestedHost && nestedHost.shadowRoot) {
-                    const nestedStyleId = STYLE_ID + '-nested';
-                    const existingNestedStyle = nestedHost.shadowRoot.getElementById(nestedStyleId);
-                    if (!existingNestedStyle) {
-                        const nestedStyle = document.createElement('style');
-                        nestedStyle.id = nestedStyleId;
-                        nestedStyle.textContent = CSS_CONTENT;
-                        nestedHost.shadowRoot.appendChild(nestedStyle);
-                        console.log(`[REX] Header: Ask AI divider hidden (nested shadow of ${nestedHost.tagName})${shouldCenter ? ' and search centered' : ''}`);
-                    } else {
-                        existingNestedStyle.textContent = CSS_CONTENT;
-                    }
-                }
-            } else {
-                if (existingStyle) {
-                    existingStyle.remove();
-                    console.log(`[REX] Header: Ask AI shown and search un-centered (shadow of ${host.tagName})`);
-                }
-
-                // Remove from nested shadow root too
-                const nestedHost = host.shadowRoot.querySelector('faceplate-search-input');
-                if (nestedHost && nestedHost.shadowRoot) {
-                    const nestedStyleId = STYLE_ID + '-nested';
-                    const existingNestedStyle = nestedHost.shadowRoot.getElementById(nestedStyleId);
-                    if (existingNestedStyle) {
-                        existingNestedStyle.remove();
-                        console.log(`[REX] Header: Ask AI divider shown and search un-centered (nested shadow)`);
-                    }
-                }
-            }
+        if (!STYLES.has('rex-hide-ask-shadow-style')) {
+            log.info(`Ask AI hidden${shouldCenter ? ' and search centered' : ''}`);
         }
 
-        // Also try to find and hide directly in the main DOM (fallback)
-        const searchInput = document.querySelector('input[placeholder="Find anything"]');
-        if (shouldHide) {
-            const askButton = document.querySelector('a[href="/answers/"]');
-            if (askButton) {
-                askButton.style.display = 'none';
-                const divider = askButton.previousElementSibling;
-                if (divider && divider.tagName === 'HR') {
-                    divider.style.display = 'none';
-                }
-                console.log('[REX] Header: Ask AI hidden (main DOM fallback)');
-            }
-            if (searchInput) {
-                const applyCenter = () => {
-                    if (shouldCenter && document.activeElement !== searchInput) {
-                        searchInput.style.setProperty('text-align', 'center', 'important');
-                        searchInput.style.setProperty('padding-right', '40px', 'important');
-                    } else {
-                        searchInput.style.setProperty('text-align', 'left', 'important');
-                        searchInput.style.setProperty('padding-right', '0', 'important');
-                    }
-                };
-
-                // Add focus/blur listeners
-                searchInput.onfocus = () => {
-                    searchInput.style.setProperty('text-align', 'left', 'important');
-                    searchInput.style.setProperty('padding-right', '0', 'important');
-                };
-                searchInput.onblur = applyCenter;
-
-                // Initial apply
-                applyCenter();
-            }
-        } else {
-            const askButton = document.querySelector('a[href="/answers/"]');
-            if (askButton) {
-                askButton.style.display = '';
-                const divider = askButton.previousElementSibling;
-                if (divider && divider.tagName === 'HR') {
-                    divider.style.display = '';
-                }
-            }
-            if (searchInput) {
-                searchInput.style.textAlign = '';
-                searchInput.style.paddingRight = '';
-                searchInput.onfocus = null;
-                searchInput.onblur = null;
-            }
-        }
-
-        // If nothing found, retry after delay (page may still be loading)
-        if (shouldHide && injectedCount === 0) {
-            setTimeout(() => toggleAskVisibility(shouldHide), 1000);
-        }
+        // Inside the search box's shadow roots (applied to them as soon as they render)
+        STYLES.set('rex-hide-ask-shadow-style', `
+            ${SELECTORS.toCss('ask_button')} { display: none !important; }
+            hr.trailing-divider { display: none !important; }
+            ${inputCss('input', 'input:focus')}
+        `, { roots: SEARCH_HOSTS });
+
+        // Main DOM fallback
+        STYLES.set('rex-hide-ask-style', `
+            ${SELECTORS.toCss('ask_button', { scope: 'reddit-header-large' })},
+            reddit-header-large hr:has(+ a[href^="/answers/"]) { display: none !important; }
+            ${inputCss(SELECTORS.toCss('search_input'), SELECTORS.toCss('search_input', { suffix: ':focus' }))}
+        `, { roots: 'document' });
     }
 
-    const adState = { tag: null };
-    const createState = { tag: null };
     let askHideEnabled = false; // Track the setting
-    let showSubredditIndicator = true; // Track the subreddit indicator setting
+    let showSubredditIndicator = true; // Track the context indicator setting
 
     function init() {
-        console.log('[REX] Header: Initializing');
+        log.info('Initializing');
 
         if (typeof chrome !== 'undefined' && chrome.storage && chrome.storage.sync) {
-            chrome.storage.sync.get(['rex_hide_ads', 'rex_hide_create', 'rex_hide_ask', 'rex_show_subreddit_indicator'], (items) => {
-                toggleVisibility(!!items.rex_hide_ads, AD_SELECTORS, 'rex-hide-ads-style', adState, 'Ads');
-                toggleVisibility(!!items.rex_hide_create, CREATE_SELECTOR, 'rex-hide-create-style', createState, 'Create');
+            const settingKeys = SCHEMA.keys(setting => setting.section === 'header');
+
+            OVERRIDES.load(settingKeys).then((settings) => {
+                toggleVisibility(settings.rex_hide_ads, SELECTORS.toCss('advertise_button'), 'rex-hide-ads-style', 'Ads');
+                toggleVisibility(settings.rex_hide_create, SELECTORS.toCss('create_post'), 'rex-hide-create-style', 'Create');
 
-                askHideEnabled = !!items.rex_hide_ask;
+                askHideEnabled = settings.rex_hide_ask;
                 toggleAskVisibility(askHideEnabled);
 
-                showSubredditIndicator = items.rex_show_subreddit_indicator !== false;
-                initSubredditIndicator();
+                showSubredditIndicator = settings.rex_show_subreddit_indicator;
+                initContextIndicator();
             });
 
-            chrome.storage.onChanged.addListener((changes, area) => {
-                if (area === 'sync') {
-                    if (changes.rex_hide_ads) {
-                        toggleVisibility(changes.rex_hide_ads.newValue, AD_SELECTORS, 'rex-hide-ads-style', adState, 'Ads');
-                    }
-                    if (changes.rex_hide_create) {
-                        toggleVisibility(changes.rex_hide_create.newValue, CREATE_SELECTOR, 'rex-hide-create-style', createState, 'Create');
-                    }
-                    if (changes.rex_hide_ask) {
-                        askHideEnabled = changes.rex_hide_ask.newValue;
-                        toggleAskVisibility(askHideEnabled);
-                    }
-                    if (changes.rex_show_subreddit_indicator) {
-                        showSubredditIndicator = changes.rex_show_subreddit_indicator.newValue;
-                        updateSubredditIndicator();
-                    }
-                }
-            });
+            initProfileSwitcher();
+            SELECTORS.watch(HEADER_TARGETS);
 
-            // Use MutationObserver to re-apply Ask setting when DOM changes
-            // This handles dynamic page loading where shadow DOMs appear later
-            let lastUrl = window.location.href;
-            const observer = new MutationObserver(() => {
-                const currentUrl = window.location.href;
-                if (currentUrl !== lastUrl) {
-                    lastUrl = currentUrl;
-                    if (askHideEnabled) toggleAskVisibility(true);
-                }
+            // Remember visited subreddits for the indicator menu
+            ROUTER.subscribe(route => recordVisit(route.subreddit), { immediate: true });
 
-                if (askHideEnabled) {
-                    toggleAskVisibility(true);
+            OVERRIDES.onChanged(settingKeys, (changed) => {
+                if ('rex_hide_ads' in changed) {
+                    toggleVisibility(changed.rex_hide_ads, SELECTORS.toCss('advertise_button'), 'rex-hide-ads-style', 'Ads');
+                }
+                if ('rex_hide_create' in changed) {
+                    toggleVisibility(changed.rex_hide_create, SELECTORS.toCss('create_post'), 'rex-hide-create-style', 'Create');
+                }
+                if ('rex_hide_ask' in changed) {
+                    askHideEnabled = changed.rex_hide_ask;
+                    toggleAskVisibility(askHideEnabled);
+                }
+                if ('rex_show_subreddit_indicator' in changed) {
+                    showSubredditIndicator = changed.rex_show_subreddit_indicator;
+                    updateContextIndicator();
                 }
             });
 
-            const observeTarget = document.body || document.documentElement;
-            if (observeTarget) {
-                observer.observe(observeTarget, { childList: true, subtree: true });
-            }
+            // Re-apply Ask setting on navigation (search centering depends on the route)
+            ROUTER.subscribe(() => {
+                if (askHideEnabled) toggleAskVisibility(true);
+            });
         }
     }
 
-    return { init };
+    return {
+        init,
+        findSubredditLogo,
+        parseContext,
+        findContextIcon
+    };
 })();
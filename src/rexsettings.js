@@ -1,6 +1,7 @@
 /**
  * REX - Reddit Enhancement Extension
  * Settings Module: Handles the "REX Settings" tab injection and UI
+ * UI strings come from the message catalog (_locales, see i18n.js)
  */
 
 window.REX_SETTINGS = (function () {
@@ -9,36 +10,95 @@ window.REX_SETTINGS = (function () {
     const REX_TAB_ID = 'rex-settings-tab';
     const REX_PANEL_ID = 'rex-settings-panel';
 
-    // Default settings
-    let currentSettings = {
-        rex_hide_ads: false,
-        rex_hide_create: false,
-        rex_hide_ask: false,
-        rex_show_subreddit_indicator: true,
-        rex_sidebar_mode: 'Show', // Default for now
-        rex_sidebar_collapse: false,
-        rex_hide_explore: false,
-        rex_hide_popular: false,
-        rex_hide_start_community: false,
-        rex_hide_recent_posts: false,
-        rex_hide_reddit_footer: false
-    };
+    // Standalone extension options page (see options.html)
+    const OPTIONS_PAGE = 'options.html';
+
+    // Settings URL that opens straight into the REX tab (see open())
+    const SETTINGS_URL = '/settings/account';
+    const OPEN_HASH = '#rex-settings';
+
+    const SCHEMA = window.REX_SETTINGS_SCHEMA;
+    const OBSERVER = window.REX_OBSERVER;
+    const PROFILES = window.REX_PROFILES;
+    const SHORTCUTS = window.REX_SHORTCUTS;
+    const SELECTORS = window.REX_SELECTORS;
+    const I18N = window.REX_I18N;
+    const LOG = window.REX_LOG;
+    const log = LOG.create('Settings');
+
+    // Export file format (bump EXPORT_VERSION when the file layout changes)
+    const EXPORT_FORMAT = 'rex-settings';
+    const EXPORT_VERSION = 1;
+
+    // Default settings (see settingsschema.js)
+    const DEFAULT_SETTINGS = SCHEMA.getDefaults();
+
+    let currentSettings = cloneSettings(DEFAULT_SETTINGS);
+    let currentProfiles = { profiles: [], active: null };
+    let currentHealth = {}; // See selectors.js
+    let currentEvents = []; // See logger.js
+    let watchingProfiles = false;
+
+    // Feed filter rule options
+    const FEED_FILTER_FIELDS = SCHEMA.get('rex_feed_filters').item.field.options;
+    const FEED_FILTER_ACTIONS = SCHEMA.get('rex_feed_filters').item.action.options;
+
+    // Native-like classes extracted from inspection (Account/Preferences pages)
+    // HEADERS: Exact match for "General" header on Account tab.
+    // Class: text-title-3 font-semibold scalable-text
+    // We add text-neutral-content-strong to ensure correct theme color (light/dark).
+    // We add mb-xs mt-lg for spacing (as seen in computed styles).
+    const SECTION_HEADER_CLASS = "text-title-3 font-semibold scalable-text text-neutral-content-strong mb-xs mt-lg";
+
+    // Settings rows
+    // Padding: py-[12px] matches computed style ~12px.
+    // Label: 14px.
+    const ROW_CONTAINER_CLASS = "flex justify-between items-center py-[12px] border-b border-neutral-border-weak";
+    const ROW_LABEL_CLASS = "text-neutral-content-strong text-[14px]";
+    const ROW_DESC_CLASS = "text-neutral-content-weak text-[12px] mt-2xs";
+
+    // Inputs and buttons used by the list editors (Custom Rules etc.)
+    const TEXT_INPUT_CLASS = "min-w-0 px-sm py-xs rounded-[8px] border border-solid border-neutral-border bg-transparent text-neutral-content-strong text-[14px]";
+    const BUTTON_CLASS = "button-small px-[var(--rem10)] button-secondary inline-flex items-center justify-center button";
+
+    /**
+     * Deep-copies a settings object (values are plain JSON)
+     * @param {object} settings
+     * @returns {object}
+     */
+    function cloneSettings(settings) {
+        return JSON.parse(JSON.stringify(settings));
+    }
 
     /**
      * Loads settings from chrome.storage.sync
      */
     function loadSettings() {
-        return new Promise((resolve) => {
-            if (typeof chrome !== 'undefined' && chrome.storage && chrome.storage.sync) {
-                chrome.storage.sync.get(currentSettings, (items) => {
-                    currentSettings = { ...currentSettings, ...items };
-                    console.log('[REX] Settings loaded:', currentSettings);
-                    resolve(currentSettings);
-                });
-            } else {
-                console.warn('[REX] chrome.storage not available, using defaults');
-                resolve(currentSettings);
-            }
+        if (typeof chrome === 'undefined' || !chrome.storage || !chrome.storage.sync) {
+            log.warn('chrome.storage not available, using defaults');
+        }
+        return Promise.all([SCHEMA.load(), PROFILES.load(), SELECTORS.loadHealth(), LOG.load()]).then(([settings, profiles, health, events]) => {
+            currentSettings = settings;
+            currentProfiles = profiles;
+            currentHealth = health;
+            currentEvents = events;
+            log.debug('Settings loaded:', currentSettings);
+            watchProfiles();
+            return currentSettings;
+        });
+    }
+
+    /**
+     * Re-renders the panel when profiles change (a switch from the header or the
+     * keyboard shortcut rewrites every setting, so the panel must show the new values)
+     */
+    function watchProfiles() {
+        if (watchingProfiles) return;
+        watchingProfiles = true;
+
+        PROFILES.onChanged(() => {
+            if (!lastRender || !lastRender.container.isConnected) return;
+            loadSettings().then(rerenderPanel);
         });
     }
 
@@ -52,35 +112,591 @@ window.REX_SETTINGS = (function () {
         if (typeof chrome !== 'undefined' && chrome.storage && chrome.storage.sync) {
             chrome.storage.sync.set({ [key]: value }, () => {
                 if (typeof chrome !== 'undefined' && chrome.runtime && chrome.runtime.lastError) {
-                    console.error('[REX] Failed to save setting:', key, value, chrome.runtime.lastError);
+                    log.error('Failed to save setting:', key, value, chrome.runtime.lastError);
                     if (typeof window !== 'undefined' && typeof window.alert === 'function') {
-                        window.alert('REX: Failed to save setting "' + key + '". Please try again.');
+                        window.alert('REX: ' + I18N.t('save_setting_failed', key));
                     }
                     return;
                 }
-                console.log('[REX] Setting saved:', key, value);
+                log.debug('Setting saved:', key, value);
             });
         }
     }
 
     /**
-     * Creates the HTML structure for the REX Settings panel
+     * Saves several settings to chrome.storage.sync in one write
+     * @param {object} values - Map of setting key to value
+     * @returns {Promise<boolean>} Resolves true once saved
+     */
+    function saveSettings(values) {
+        Object.assign(currentSettings, cloneSettings(values));
+        return new Promise((resolve) => {
+            if (typeof chrome === 'undefined' || !chrome.storage || !chrome.storage.sync) {
+                resolve(false);
+                return;
+            }
+            chrome.storage.sync.set(values, () => {
+                if (chrome.runtime && chrome.runtime.lastError) {
+                    log.error('Failed to save settings:', values, chrome.runtime.lastError);
+                    window.alert('REX: ' + I18N.t('save_settings_failed'));
+                    resolve(false);
+                    return;
+                }
+                log.debug('Settings saved:', Object.keys(values));
+                resolve(true);
+            });
+        });
+    }
+
+    /**
+     * Validates a parsed export file
+     * @param {any} data
+     * @returns {{ settings: object, ignored: string[], error: string|null }}
+     */
+    function validateImport(data) {
+        if (!data || typeof data !== 'object' || data.format !== EXPORT_FORMAT) {
+            return { settings: {}, ignored: [], error: I18N.t('import_not_rex_file') };
+        }
+        if (typeof data.version !== 'number' || data.version > EXPORT_VERSION) {
+            return { settings: {}, ignored: [], error: I18N.t('import_newer_version') };
+        }
+        if (!data.settings || typeof data.settings !== 'object') {
+            return { settings: {}, ignored: [], error: I18N.t('import_no_settings') };
+        }
+        if (typeof data.schemaVersion === 'number' && data.schemaVersion > SCHEMA.SCHEMA_VERSION) {
+            return { settings: {}, ignored: [], error: I18N.t('import_newer_version') };
+        }
+
+        // Files from older releases are brought up to date with the same migrations as storage
+        const fromVersion = typeof data.schemaVersion === 'number' ? data.schemaVersion : 0;
+        const migrated = SCHEMA.migrateValues(data.settings, fromVersion);
+
+        const settings = {};
+        const ignored = [];
+        for (const [key, value] of Object.entries(migrated)) {
+            if (!SCHEMA.get(key)) {
+                ignored.push(key);
+                continue;
+            }
+            if (!SCHEMA.validate(key, value)) {
+                return { settings: {}, ignored: [], error: I18N.t('import_invalid_value', key) };
+            }
+            settings[key] = value;
+        }
+        return { settings, ignored, error: null };
+    }
+
+    /**
+     * Downloads the current settings as a versioned JSON file
+     */
+    function exportSettings() {
+        const data = {
+            format: EXPORT_FORMAT,
+            version: EXPORT_VERSION,
+            schemaVersion: SCHEMA.SCHEMA_VERSION,
+            exportedAt: new Date().toISOString(),
+            settings: cloneSettings(currentSettings)
+        };
+        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `rex-settings-${data.exportedAt.slice(0, 10)}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+        log.info('Settings exported');
+    }
+
+    /**
+     * Formats a setting value for the import preview
+     * @param {any} value
+     * @returns {string}
+     */
+    function formatSettingValue(value) {
+        if (Array.isArray(value)) return value.length === 1 ? I18N.t('value_item_count_one') : I18N.t('value_item_count', value.length);
+        return typeof value === 'string' ? I18N.optionLabel(value) : String(value);
+    }
+
+    /**
+     * Lists the settings an import would change
+     * @param {object} settings - Validated imported settings
+     * @returns {Array<{key: string, from: any, to: any}>}
+     */
+    function diffSettings(settings) {
+        return Object.keys(settings)
+            .filter(key => JSON.stringify(settings[key]) !== JSON.stringify(currentSettings[key]))
+            .map(key => ({ key, from: currentSettings[key], to: settings[key] }));
+    }
+
+    /**
+     * Creates the import preview listing the changes to apply
+     * @param {Array} changes - From diffSettings
+     * @param {string[]} ignored - Unknown keys skipped
+     */
+    function createImportPreviewHTML(changes, ignored) {
+        const rows = changes.map(change => `
+            <div class="${ROW_CONTAINER_CLASS}">
+                <span class="${ROW_LABEL_CLASS} font-mono">${escapeHTML(change.key)}</span>
+                <span class="${ROW_DESC_CLASS}">${escapeHTML(formatSettingValue(change.from))} → <span class="text-neutral-content-strong">${escapeHTML(formatSettingValue(change.to))}</span></span>
+            </div>
+        `).join('');
+        const ignoredNote = ignored.length
+            ? `<p class="${ROW_DESC_CLASS}">${escapeHTML(I18N.t('import_ignored_keys', ignored.join(', ')))}</p>`
+            : '';
+
+        return `
+            <p class="${ROW_LABEL_CLASS} mt-md">${escapeHTML(changes.length === 1 ? I18N.t('import_change_count_one') : I18N.t('import_change_count', changes.length))}</p>
+            ${rows}
+            ${ignoredNote}
+            <div class="flex items-center gap-xs py-[12px]">
+                <button type="button" class="${BUTTON_CLASS}" data-rex-action="apply-import">${escapeHTML(I18N.t('button_apply'))}</button>
+                <button type="button" class="${BUTTON_CLASS}" data-rex-action="cancel-import">${escapeHTML(I18N.t('button_cancel'))}</button>
+            </div>
+        `;
+    }
+
+    /**
+     * Escapes text for safe interpolation into the panel's HTML templates
+     * @param {string} text
+     * @returns {string}
+     */
+    function escapeHTML(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    /**
+     * Returns a copy of a stored list setting (custom rules, feed filters)
+     * @param {string} key
+     * @returns {Array<object>}
+     */
+    function getListSetting(key) {
+        const items = currentSettings[key];
+        return Array.isArray(items) ? items.map(item => ({ ...item })) : [];
+    }
+
+    /**
+     * Creates the enable/disable switch used by list editor rows
+     * @param {boolean} isEnabled
+     * @param {string} item - What the row is, for the accessible labels (e.g. I18N.t('list_item_rule'))
+     */
+    function createListSwitchHTML(isEnabled, item) {
+        return `
+                <span class="flex items-center cursor-pointer" data-rex-action="toggle-item" title="${escapeHTML(I18N.t(isEnabled ? 'list_disable' : 'list_enable', item))}">
+                    <faceplate-switch-input class="flex-col mr-xs pointer-events-none" role="checkbox" aria-checked="${isEnabled ? 'true' : 'false'}" aria-label="${escapeHTML(I18N.t('list_enable', item))}" ${isEnabled ? 'checked=""' : ''}></faceplate-switch-input>
+                </span>`;
+    }
+
+    /**
+     * Creates a native select for list editor rows
+     * @param {string} className
+     * @param {Array<string|object>} options - Values (shown by their option_<value> message), or { value, label } pairs
+     * @param {string} selected
+     * @param {string} label - Accessible label
+     * @param {string} [id] - Optional element id
+     */
+    function createInlineSelectHTML(className, options, selected, label, id) {
+        const optionsHTML = options.map(option => {
+            const value = typeof option === 'object' ? option.value : option;
+            const text = typeof option === 'object' ? option.label : I18N.optionLabel(option);
+            return `<option value="${escapeHTML(value)}"${value === selected ? ' selected' : ''}>${escapeHTML(text)}</option>`;
+        }).join('');
+        const idAttr = id ? ` id="${id}"` : '';
+        return `<select${idAttr} class="${TEXT_INPUT_CLASS} ${className}" aria-label="${escapeHTML(label)}">${optionsHTML}</select>`;
+    }
+
+    /**
+     * Creates the rows for the Custom Rules list
+     */
+    function createCustomRulesListHTML() {
+        const rules = getListSetting('rex_custom_rules');
+        if (rules.length === 0) {
+            return `<p class="${ROW_DESC_CLASS} py-[12px]">${escapeHTML(I18N.t('rules_empty'))}</p>`;
+        }
+
+        return rules.map(rule => `
+            <div class="${ROW_CONTAINER_CLASS} gap-xs rex-list-row" data-item-id="${escapeHTML(rule.id)}">
+                <input type="text" class="${TEXT_INPUT_CLASS} flex-1 font-mono rex-custom-rule-selector" value="${escapeHTML(rule.selector)}" aria-label="${escapeHTML(I18N.t('rules_selector'))}" spellcheck="false">
+                ${createListSwitchHTML(rule.enabled, I18N.t('list_item_rule'))}
+                <button type="button" class="${BUTTON_CLASS}" data-rex-action="delete-item">${escapeHTML(I18N.t('button_delete'))}</button>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Creates the rows for the Feed Filters list
+     */
+    function createFeedFiltersListHTML() {
+        const filters = getListSetting('rex_feed_filters');
+        if (filters.length === 0) {
+            return `<p class="${ROW_DESC_CLASS} py-[12px]">${escapeHTML(I18N.t('filters_empty'))}</p>`;
+        }
+
+        return filters.map(filter => `
+            <div class="${ROW_CONTAINER_CLASS} gap-xs rex-list-row" data-item-id="${escapeHTML(filter.id)}">
+                ${createInlineSelectHTML('rex-feed-filter-field', FEED_FILTER_FIELDS, filter.field, I18N.t('filters_match'))}
+                <input type="text" class="${TEXT_INPUT_CLASS} flex-1 rex-feed-filter-pattern" value="${escapeHTML(filter.pattern)}" aria-label="${escapeHTML(I18N.t('filters_pattern'))}" spellcheck="false">
+                ${createInlineSelectHTML('rex-feed-filter-action', FEED_FILTER_ACTIONS, filter.action, I18N.t('filters_action'))}
+                ${createListSwitchHTML(filter.enabled, I18N.t('list_item_filter'))}
+                <button type="button" class="${BUTTON_CLASS}" data-rex-action="delete-item">${escapeHTML(I18N.t('button_delete'))}</button>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Creates the rows for the Comments Page bot list
+     */
+    function createCommentBotsListHTML() {
+        const bots = getListSetting('rex_comment_bots');
+        if (bots.length === 0) {
+            return `<p class="${ROW_DESC_CLASS} py-[12px]">${escapeHTML(I18N.t('bots_empty'))}</p>`;
+        }
+
+        return bots.map(bot => `
+            <div class="${ROW_CONTAINER_CLASS} gap-xs rex-list-row" data-item-id="${escapeHTML(bot.id)}">
+                <span class="${ROW_LABEL_CLASS} flex-1">u/${escapeHTML(bot.username)}</span>
+                <button type="button" class="${BUTTON_CLASS}" data-rex-action="delete-item">${escapeHTML(I18N.t('button_delete'))}</button>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Returns the choices for an overridden setting's value
+     * Booleans are shown as On/Off; select values are always strings
+     * @param {string} key
+     * @returns {Array<object>} { value, label } pairs
+     */
+    function getOverrideValueOptions(key) {
+        const setting = SCHEMA.get(key);
+        if (!setting) return [];
+        if (setting.type === 'boolean') {
+            return [{ value: 'true', label: I18N.t('value_on') }, { value: 'false', label: I18N.t('value_off') }];
+        }
+        return setting.options.map(option => ({ value: option, label: I18N.optionLabel(option) }));
+    }
+
+    /**
+     * Converts a value select's string back to the setting's type
+     * @param {string} key
+     * @param {string} text
+     * @returns {any}
+     */
+    function parseOverrideValue(key, text) {
+        const setting = SCHEMA.get(key);
+        return setting && setting.type === 'boolean' ? text === 'true' : text;
+    }
+
+    /**
+     * Creates the rows for the Subreddit Overrides list, grouped by subreddit
+     */
+    function createOverridesListHTML() {
+        const overrides = getListSetting('rex_subreddit_overrides');
+        if (overrides.length === 0) {
+            return `<p class="${ROW_DESC_CLASS} py-[12px]">${escapeHTML(I18N.t('overrides_empty'))}</p>`;
+        }
+
+        const subreddits = [...new Set(overrides.map(override => override.subreddit))].sort();
+        return subreddits.map(subreddit => `
+            <div class="rex-override-group" data-subreddit="${escapeHTML(subreddit)}">
+                <h3 class="${ROW_LABEL_CLASS} font-semibold mt-md">r/${escapeHTML(subreddit)}</h3>
+                ${overrides.filter(override => override.subreddit === subreddit).map(override => `
+                <div class="${ROW_CONTAINER_CLASS} gap-xs rex-list-row" data-item-id="${escapeHTML(override.id)}" data-override-key="${override.key}">
+                    <span class="${ROW_LABEL_CLASS} flex-1">${escapeHTML(I18N.settingLabel(SCHEMA.get(override.key)))}</span>
+                    ${createInlineSelectHTML('rex-override-value', getOverrideValueOptions(override.key), String(override.value), I18N.t('overrides_value_in', subreddit))}
+                    <button type="button" class="${BUTTON_CLASS}" data-rex-action="delete-item">${escapeHTML(I18N.t('button_delete'))}</button>
+                </div>`).join('')}
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Returns the sidebar section names in the stored order (sections not in it follow,
+     * in Reddit's order)
+     * @returns {string[]}
+     */
+    function getSectionOrder() {
+        const names = SCHEMA.SETTINGS.filter(setting => setting.sidebarSection).map(setting => setting.sidebarSection);
+        const stored = getListSetting('rex_section_order').map(item => item.section).filter(name => names.includes(name));
+        return [...stored, ...names.filter(name => !stored.includes(name))];
+    }
+
+    /**
+     * Returns a sidebar section's name in the UI language (the label of its mode setting)
+     * @param {string} name - Canonical section name
+     * @returns {string}
      */
-    function createPanelHTML() {
-        // Native-like classes extracted from inspection (Account/Preferences pages)
-        // HEADERS: Exact match for "General" header on Account tab.
-        // Class: text-title-3 font-semibold scalable-text
-        // We add text-neutral-content-strong to ensure correct theme color (light/dark).
-        // We add mb-xs mt-lg for spacing (as seen in computed styles).
-        const SECTION_HEADER_CLASS = "text-title-3 font-semibold scalable-text text-neutral-content-strong mb-xs mt-lg";
-
-        // Settings rows
-        // Padding: py-[12px] matches computed style ~12px.
-        // Label: 14px.
-        const ROW_CONTAINER_CLASS = "flex justify-between items-center py-[12px] border-b border-neutral-border-weak";
-        const ROW_LABEL_CLASS = "text-neutral-content-strong text-[14px]";
-        const ROW_DESC_CLASS = "text-neutral-content-weak text-[12px] mt-2xs";
+    function getSectionLabel(name) {
+        const setting = SCHEMA.SETTINGS.find(entry => entry.sidebarSection === name);
+        return setting ? I18N.settingLabel(setting) : name;
+    }
+
+    /**
+     * Creates the rows for the Section Order list (drag, or use the Up/Down buttons)
+     */
+    function createSectionOrderListHTML() {
+        const order = getSectionOrder();
+        return order.map((name, index) => {
+            const label = getSectionLabel(name);
+            return `
+            <div class="${ROW_CONTAINER_CLASS} gap-xs rex-section-order-row" data-section="${escapeHTML(name)}" draggable="true">
+                <span class="${ROW_DESC_CLASS} cursor-grab" aria-hidden="true">⠿</span>
+                <span class="${ROW_LABEL_CLASS} flex-1">${escapeHTML(label)}</span>
+                <button type="button" class="${BUTTON_CLASS}" data-rex-action="move-section-up"${index === 0 ? ' disabled' : ''} aria-label="${escapeHTML(I18N.t('section_order_move_up', label))}">${escapeHTML(I18N.t('section_order_up'))}</button>
+                <button type="button" class="${BUTTON_CLASS}" data-rex-action="move-section-down"${index === order.length - 1 ? ' disabled' : ''} aria-label="${escapeHTML(I18N.t('section_order_move_down', label))}">${escapeHTML(I18N.t('section_order_down'))}</button>
+            </div>
+        `;
+        }).join('');
+    }
+
+    /**
+     * Creates the rows for the Pinned list
+     */
+    function createPinnedListHTML() {
+        const pins = getListSetting('rex_pinned');
+        if (pins.length === 0) {
+            return `<p class="${ROW_DESC_CLASS} py-[12px]">${escapeHTML(I18N.t('pinned_empty'))}</p>`;
+        }
+
+        return pins.map(pin => `
+            <div class="${ROW_CONTAINER_CLASS} gap-xs rex-list-row" data-item-id="${escapeHTML(pin.id)}">
+                <span class="${ROW_LABEL_CLASS} flex-1">${escapeHTML(pin.label)}</span>
+                <span class="${ROW_DESC_CLASS} font-mono">${escapeHTML(pin.path)}</span>
+                <button type="button" class="${BUTTON_CLASS}" data-rex-action="delete-item">${escapeHTML(I18N.t('button_delete'))}</button>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Parses a subreddit or custom feed typed into the Pinned editor
+     * ('r/pics', '/r/pics/', 'pics', 'u/name/m/feed', a full reddit.com URL)
+     * @param {string} text
+     * @returns {{ path: string, label: string }|null}
+     */
+    function parsePinTarget(text) {
+        const value = text.trim().replace(/^https?:\/\/(www\.|old\.|new\.)?reddit\.com/i, '').replace(/[?#].*$/, '');
+
+        const feed = /^\/?(?:u|user)\/([A-Za-z0-9_-]+)\/m\/([A-Za-z0-9_]+)\/?$/i.exec(value);
+        if (feed) {
+            return { path: `/user/${feed[1]}/m/${feed[2]}/`, label: `u/${feed[1]}/m/${feed[2]}` };
+        }
+
+        const subreddit = /^(?:\/?r\/)?([A-Za-z0-9_]+)\/?$/i.exec(value);
+        if (subreddit) {
+            return { path: `/r/${subreddit[1]}/`, label: `r/${subreddit[1]}` };
+        }
+        return null;
+    }
 
+    /**
+     * Creates the rows for the Keyboard Shortcuts list
+     * Bindings shared by several actions (e.g. imported from another machine) are flagged
+     */
+    function createShortcutsListHTML() {
+        const bindings = SHORTCUTS.getBindings(currentSettings.rex_shortcuts);
+
+        return SCHEMA.SHORTCUT_ACTIONS.map(action => {
+            const keys = bindings[action.id];
+            const conflict = SHORTCUTS.findConflict(bindings, keys, action.id);
+            const label = SHORTCUTS.getActionLabel(action.id);
+            return `
+            <div class="${ROW_CONTAINER_CLASS} gap-xs rex-shortcut-row" data-action="${action.id}"${conflict ? ' data-conflict="true"' : ''}>
+                <span class="flex flex-col flex-1 pr-md">
+                    <span class="${ROW_LABEL_CLASS}">${escapeHTML(label)}</span>
+                    ${conflict ? `<span class="${ROW_DESC_CLASS} rex-shortcut-conflict">${escapeHTML(I18N.t('shortcuts_also_used', SHORTCUTS.getActionLabel(conflict)))}</span>` : ''}
+                </span>
+                <input type="text" readonly class="${TEXT_INPUT_CLASS} w-[140px] text-center font-mono rex-shortcut-keys" value="${escapeHTML(keys)}" placeholder="${escapeHTML(I18N.t('shortcuts_not_set'))}" aria-label="${escapeHTML(I18N.t('shortcuts_for', label))}" title="${escapeHTML(I18N.t('shortcuts_keys_hint'))}">
+                <button type="button" class="${BUTTON_CLASS}" data-rex-action="clear-shortcut"${keys ? '' : ' disabled'}>${escapeHTML(I18N.t('button_clear'))}</button>
+            </div>
+        `;
+        }).join('');
+    }
+
+    /**
+     * Creates the rows for the Profiles list
+     */
+    function createProfilesListHTML() {
+        if (currentProfiles.profiles.length === 0) {
+            return `<p class="${ROW_DESC_CLASS} py-[12px]">${escapeHTML(I18N.t('profiles_empty'))}</p>`;
+        }
+
+        return currentProfiles.profiles.map(profile => {
+            const isActive = profile.id === currentProfiles.active;
+            return `
+            <div class="${ROW_CONTAINER_CLASS} gap-xs rex-profile-row" data-profile-id="${escapeHTML(profile.id)}"${isActive ? ' data-active="true"' : ''}>
+                <input type="text" class="${TEXT_INPUT_CLASS} flex-1 rex-profile-name" value="${escapeHTML(profile.name)}" aria-label="${escapeHTML(I18N.t('profiles_name'))}" maxlength="40" spellcheck="false">
+                ${isActive
+                    ? `<span class="${ROW_DESC_CLASS} px-sm">${escapeHTML(I18N.t('profiles_active'))}</span>`
+                    : `<button type="button" class="${BUTTON_CLASS}" data-rex-action="switch-profile">${escapeHTML(I18N.t('profiles_switch'))}</button>`}
+                <button type="button" class="${BUTTON_CLASS}" data-rex-action="duplicate-profile">${escapeHTML(I18N.t('profiles_duplicate'))}</button>
+                <button type="button" class="${BUTTON_CLASS}" data-rex-action="delete-profile">${escapeHTML(I18N.t('button_delete'))}</button>
+            </div>
+        `;
+        }).join('');
+    }
+
+    /**
+     * Creates the rows for the Diagnostics list, one per page element REX depends on
+     */
+    function createDiagnosticsListHTML() {
+        const STATUS_TEXT = {
+            [SELECTORS.STATUS.FOUND]: () => I18N.t('diagnostics_ok'),
+            [SELECTORS.STATUS.FALLBACK]: (record) => I18N.t('diagnostics_fallback', record.strategy),
+            [SELECTORS.STATUS.MISSING]: () => I18N.t('diagnostics_missing')
+        };
+
+        return Object.keys(SELECTORS.TARGETS).map(id => {
+            const target = SELECTORS.TARGETS[id];
+            const record = currentHealth[id];
+            const status = record ? record.status : 'unchecked';
+            const statusText = STATUS_TEXT[status] ? STATUS_TEXT[status](record) : I18N.t('diagnostics_unchecked');
+            const checked = record
+                ? I18N.t('diagnostics_last_checked', new Date(record.checkedAt).toLocaleString(), record.path)
+                : '';
+
+            return `
+            <div class="${ROW_CONTAINER_CLASS} gap-xs rex-diagnostics-row" data-target="${id}" data-status="${status}">
+                <span class="flex flex-col flex-1 pr-md">
+                    <span class="${ROW_LABEL_CLASS}">${escapeHTML(I18N.targetLabel(id, target))}</span>
+                    <span class="${ROW_DESC_CLASS}">${escapeHTML(I18N.targetFeature(id, target))}${checked ? ' · ' + escapeHTML(checked) : ''}</span>
+                </span>
+                <span class="${ROW_LABEL_CLASS} font-semibold rex-diagnostics-status">${escapeHTML(statusText)}</span>
+            </div>
+        `;
+        }).join('');
+    }
+
+    /**
+     * Creates the rows for the Recent Events list, newest first
+     */
+    function createEventsListHTML() {
+        if (currentEvents.length === 0) {
+            return `<p class="${ROW_DESC_CLASS} py-[12px]">${escapeHTML(I18N.t('diagnostics_events_empty'))}</p>`;
+        }
+
+        return currentEvents.slice().reverse().map(event => `
+            <div class="${ROW_DESC_CLASS} font-mono py-2xs rex-log-entry" data-level="${escapeHTML(event.level)}">
+                ${escapeHTML(new Date(event.time).toLocaleTimeString())} ${escapeHTML(event.level.toUpperCase())} ${escapeHTML(event.namespace)}: ${escapeHTML(event.message)} <span class="opacity-60">${escapeHTML(event.path)}</span>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Builds the plain text report copied from Diagnostics: version, settings, selector
+     * health and recent events
+     * @returns {string}
+     */
+    function createReport() {
+        const manifest = typeof chrome !== 'undefined' && chrome.runtime && chrome.runtime.getManifest
+            ? chrome.runtime.getManifest()
+            : {};
+        const health = Object.keys(SELECTORS.TARGETS).map(id => {
+            const record = currentHealth[id];
+            return record
+                ? `${id}: ${record.status}${record.strategy ? ` (${record.strategy})` : ''} on ${record.path} at ${new Date(record.checkedAt).toISOString()}`
+                : `${id}: not checked`;
+        });
+        const events = currentEvents.map(event =>
+            `${new Date(event.time).toISOString()} ${event.level.toUpperCase()} ${event.namespace}: ${event.message} (${event.path})`
+        );
+
+        return [
+            'REX diagnostics report',
+            `Version: ${manifest.version || 'unknown'}`,
+            `Generated: ${new Date().toISOString()}`,
+            `Browser: ${navigator.userAgent}`,
+            `Debug mode: ${currentSettings.rex_debug_mode ? 'on' : 'off'}`,
+            '',
+            '== Settings ==',
+            JSON.stringify(currentSettings, null, 2),
+            '',
+            '== Selector health ==',
+            ...health,
+            '',
+            '== Recent events ==',
+            ...(events.length ? events : ['(none)'])
+        ].join('\n');
+    }
+
+    /**
+     * Copies text to the clipboard
+     * @param {string} text
+     * @returns {Promise<void>}
+     */
+    function copyText(text) {
+        if (navigator.clipboard && navigator.clipboard.writeText) {
+            return navigator.clipboard.writeText(text);
+        }
+
+        // Older clipboard API (e.g. without clipboard permission on the page)
+        const textarea = document.createElement('textarea');
+        textarea.value = text;
+        textarea.style.position = 'fixed';
+        textarea.style.opacity = '0';
+        document.body.appendChild(textarea);
+        textarea.select();
+        const copied = typeof document.execCommand === 'function' && document.execCommand('copy');
+        textarea.remove();
+        return copied ? Promise.resolve() : Promise.reject(new Error('Clipboard unavailable'));
+    }
+
+    /**
+     * Saves a list setting and re-renders its list
+     * @param {HTMLElement} panel
+     * @param {string} key - Setting key
+     * @param {Array} items
+     * @param {string} listId - Id of the list container
+     * @param {Function} renderList - Returns the list HTML
+     */
+    function saveListSetting(panel, key, items, listId, renderList) {
+        saveSetting(key, items);
+        const list = panel.querySelector(`#${listId}`);
+        if (list) list.innerHTML = renderList();
+    }
+
+    /**
+     * Attaches the shared toggle/delete handling for a list editor section
+     * @param {HTMLElement} section
+     * @param {Function} save - Called with the updated items
+     * @param {string} key - Setting key
+     */
+    function attachListItemActions(section, key, save) {
+        section.addEventListener('click', (e) => {
+            const actionElement = e.target.closest('[data-rex-action]');
+            if (!actionElement) return;
+            const action = actionElement.dataset.rexAction;
+            if (action !== 'toggle-item' && action !== 'delete-item') return;
+            e.preventDefault();
+            e.stopPropagation();
+
+            const row = actionElement.closest('.rex-list-row');
+            if (!row) return;
+            const items = getListSetting(key);
+            const index = items.findIndex(item => item.id === row.dataset.itemId);
+            if (index === -1) return;
+
+            if (action === 'toggle-item') {
+                items[index].enabled = !items[index].enabled;
+            } else {
+                items.splice(index, 1);
+            }
+            save(items);
+        });
+    }
+
+    /**
+     * Creates the HTML structure for the REX Settings panel
+     * Shared by the injected Reddit tab and the extension's options page
+     * @param {object} [options]
+     * @param {boolean} [options.fullSettingsLink] - Link to the options page (injected tab only)
+     */
+    function createPanelHTML(options = {}) {
         // Helper to create a native-like toggle row using faceplate-switch-input
         // We use data attributes to identify the setting and handle events in init/after render
         const createToggleRow = (label, desc, id, settingKey) => {
@@ -92,8 +708,8 @@ window.REX_SETTINGS = (function () {
             <label class="block normal-case cursor-pointer rex-toggle-label" data-setting-key="${settingKey}">
                 <div class="${ROW_CONTAINER_CLASS}">
                     <span class="flex flex-col flex-1 pr-md">
-                        <span class="${ROW_LABEL_CLASS}">${label}</span>
-                        <span class="${ROW_DESC_CLASS}">${desc}</span>
+                        <span class="${ROW_LABEL_CLASS}">${escapeHTML(label)}</span>
+                        <span class="${ROW_DESC_CLASS}">${escapeHTML(desc)}</span>
                     </span>
                     <span class="flex items-center">
                          <div class="flex items-center justify-center h-lg">
@@ -102,7 +718,7 @@ window.REX_SETTINGS = (function () {
                                 class="flex-col mr-xs pointer-events-none" 
                                 role="checkbox" 
                                 aria-checked="${ariaChecked}"
-                                aria-label="${label}"
+                                aria-label="${escapeHTML(label)}"
                                 ${checkedAttr}>
                             </faceplate-switch-input>
                         </div>
@@ -113,62 +729,254 @@ window.REX_SETTINGS = (function () {
         };
 
         // Helper to create a select/dropdown row (visual button styled like Reddit's)
-        const createSelectRow = (label, options) => `
-             <div class="block normal-case">
+        // The invisible native select sits on top of the button and receives the clicks
+        const createSelectRow = (label, settingKey, options) => {
+            const currentValue = options.includes(currentSettings[settingKey]) ? currentSettings[settingKey] : options[0];
+            const optionsHTML = options.map(option =>
+                `<option value="${escapeHTML(option)}"${option === currentValue ? ' selected' : ''}>${escapeHTML(I18N.optionLabel(option))}</option>`
+            ).join('');
+
+            return `
+             <div class="block normal-case rex-select-row" data-setting-key="${settingKey}">
                 <div class="${ROW_CONTAINER_CLASS}">
                     <span class="flex flex-col flex-1 pr-md">
-                        <span class="${ROW_LABEL_CLASS}">${label}</span>
+                        <span class="${ROW_LABEL_CLASS}">${escapeHTML(label)}</span>
                     </span>
                     <span class="flex items-center">
                         <div class="relative group">
-                            <button class="min-w-fit button-medium px-[var(--rem8)] button-plain icon items-center justify-center button inline-flex" aria-label="Change ${label}">
-                                <span class="text-neutral-content-strong mr-xs text-[14px]">Show</span>
+                            <button class="min-w-fit button-medium px-[var(--rem8)] button-plain icon items-center justify-center button inline-flex" aria-label="${escapeHTML(I18N.t('select_change', label))}">
+                                <span class="text-neutral-content-strong mr-xs text-[14px] rex-select-value">${escapeHTML(I18N.optionLabel(currentValue))}</span>
                                 <span class="flex items-center justify-center">
                                     <svg viewBox="0 0 20 20" class="w-[20px] h-[20px] fill-current text-neutral-content-weak">
                                         <path d="M10 13.125L4.375 7.5L5.625 6.25L10 10.625L14.375 6.25L15.625 7.5L10 13.125Z"></path>
                                     </svg>
                                 </span>
                             </button>
-                             <select class="absolute inset-0 w-full h-full opacity-0 cursor-pointer">
-                                <option>Show</option>
-                                <option>Collapse</option>
-                                <option>Hide</option>
+                             <select class="absolute inset-0 w-full h-full opacity-0 cursor-pointer" aria-label="${escapeHTML(label)}">
+                                ${optionsHTML}
                             </select>
                         </div>
                     </span>
                 </div>
             </div>
         `;
+        };
+
+        // Bespoke editors for list settings, keyed by setting key
+        const LIST_EDITORS = {
+            rex_feed_filters: () => `
+                    <div id="rex-feed-filters-list">${createFeedFiltersListHTML()}</div>
+                    <div class="flex items-center gap-xs py-[12px]">
+                        ${createInlineSelectHTML('', FEED_FILTER_FIELDS, 'title', I18N.t('filters_match'), 'rex-feed-filter-new-field')}
+                        <input type="text" id="rex-feed-filter-new-pattern" class="${TEXT_INPUT_CLASS} flex-1" placeholder="${escapeHTML(I18N.t('filters_pattern'))}" aria-label="${escapeHTML(I18N.t('filters_new_pattern'))}" spellcheck="false">
+                        ${createInlineSelectHTML('', FEED_FILTER_ACTIONS, 'hide', I18N.t('filters_action'), 'rex-feed-filter-new-action')}
+                        <button type="button" class="${BUTTON_CLASS}" data-rex-action="add-filter">${escapeHTML(I18N.t('button_add'))}</button>
+                    </div>
+            `,
+            rex_comment_bots: () => `
+                    <h3 class="${ROW_LABEL_CLASS} font-semibold mt-md">${escapeHTML(I18N.t('bots_title'))}</h3>
+                    <div id="rex-comment-bots-list">${createCommentBotsListHTML()}</div>
+                    <div class="flex items-center gap-xs py-[12px]">
+                        <input type="text" id="rex-comment-bot-new" class="${TEXT_INPUT_CLASS} flex-1" placeholder="${escapeHTML(I18N.t('bots_new_placeholder'))}" aria-label="${escapeHTML(I18N.t('bots_new_label'))}" spellcheck="false">
+                        <button type="button" class="${BUTTON_CLASS}" data-rex-action="add-bot">${escapeHTML(I18N.t('button_add'))}</button>
+                    </div>
+            `,
+            rex_subreddit_overrides: () => {
+                const overridable = SCHEMA.SETTINGS
+                    .filter(setting => SCHEMA.isOverridable(setting.key))
+                    .map(setting => ({ value: setting.key, label: I18N.settingLabel(setting) }));
+                const firstKey = overridable[0].value;
+                return `
+                    <div id="rex-overrides-list">${createOverridesListHTML()}</div>
+                    <div class="flex items-center gap-xs py-[12px]">
+                        <input type="text" id="rex-override-new-subreddit" class="${TEXT_INPUT_CLASS} w-[140px]" placeholder="r/subreddit" aria-label="${escapeHTML(I18N.t('overrides_subreddit'))}" spellcheck="false">
+                        ${createInlineSelectHTML('flex-1', overridable, firstKey, I18N.t('overrides_setting'), 'rex-override-new-key')}
+                        ${createInlineSelectHTML('', getOverrideValueOptions(firstKey), '', I18N.t('overrides_value'), 'rex-override-new-value')}
+                        <button type="button" class="${BUTTON_CLASS}" data-rex-action="add-override">${escapeHTML(I18N.t('button_add'))}</button>
+                    </div>
+            `;
+            },
+            rex_section_order: () => `
+                    <h3 class="${ROW_LABEL_CLASS} font-semibold mt-md">${escapeHTML(I18N.t('section_order_title'))}</h3>
+                    <div id="rex-section-order-list">${createSectionOrderListHTML()}</div>
+            `,
+            rex_pinned: () => `
+                    <h3 class="${ROW_LABEL_CLASS} font-semibold mt-md">${escapeHTML(I18N.t('pinned_title'))}</h3>
+                    <div id="rex-pinned-list">${createPinnedListHTML()}</div>
+                    <div class="flex items-center gap-xs py-[12px]">
+                        <input type="text" id="rex-pinned-new" class="${TEXT_INPUT_CLASS} flex-1" placeholder="${escapeHTML(I18N.t('pinned_new_placeholder'))}" aria-label="${escapeHTML(I18N.t('pinned_new_label'))}" spellcheck="false">
+                        <button type="button" class="${BUTTON_CLASS}" data-rex-action="add-pin">${escapeHTML(I18N.t('pinned_pin'))}</button>
+                    </div>
+            `,
+            rex_shortcuts: () => `
+                    <div id="rex-shortcuts-list">${createShortcutsListHTML()}</div>
+                    <div class="flex items-center gap-xs py-[12px]">
+                        <button type="button" class="${BUTTON_CLASS}" data-rex-action="reset-shortcuts">${escapeHTML(I18N.t('shortcuts_reset'))}</button>
+                    </div>
+            `,
+            rex_custom_rules: () => `
+                    <div id="rex-custom-rules-list">${createCustomRulesListHTML()}</div>
+                    <div class="flex items-center gap-xs py-[12px]">
+                        <input type="text" id="rex-custom-rule-input" class="${TEXT_INPUT_CLASS} flex-1 font-mono" placeholder="${escapeHTML(I18N.t('rules_new_placeholder'))}" aria-label="${escapeHTML(I18N.t('rules_new_label'))}" spellcheck="false">
+                        <button type="button" class="${BUTTON_CLASS}" data-rex-action="add-rule">${escapeHTML(I18N.t('button_add'))}</button>
+                        <button type="button" class="${BUTTON_CLASS}" data-rex-action="pick-rule">${escapeHTML(I18N.t('rules_pick'))}</button>
+                    </div>
+            `
+        };
+
+        // Content below a section's settings rows, keyed by section id
+        const SECTION_EXTRAS = {
+            diagnostics: () => `
+                    <div id="rex-diagnostics-list">${createDiagnosticsListHTML()}</div>
+                    <h3 class="${ROW_LABEL_CLASS} font-semibold mt-md">${escapeHTML(I18N.t('diagnostics_events_title'))}</h3>
+                    <div id="rex-log-list" class="max-h-[320px] overflow-auto">${createEventsListHTML()}</div>
+                    <div class="flex items-center gap-xs py-[12px]">
+                        <button type="button" class="${BUTTON_CLASS}" data-rex-action="refresh-diagnostics">${escapeHTML(I18N.t('button_refresh'))}</button>
+                        <button type="button" class="${BUTTON_CLASS}" data-rex-action="copy-report">${escapeHTML(I18N.t('diagnostics_copy_report'))}</button>
+                        <button type="button" class="${BUTTON_CLASS}" data-rex-action="clear-diagnostics">${escapeHTML(I18N.t('button_clear'))}</button>
+                    </div>
+            `
+        };
+
+        // Rows are generated from the settings schema, one per setting
+        const createSettingRow = (setting) => {
+            switch (setting.type) {
+                case 'boolean':
+                    return createToggleRow(I18N.settingLabel(setting), I18N.settingDescription(setting), `rex-toggle-${setting.key}`, setting.key);
+                case 'enum':
+                    return createSelectRow(I18N.settingLabel(setting), setting.key, setting.options);
+                case 'list':
+                    return LIST_EDITORS[setting.key] ? LIST_EDITORS[setting.key]() : '';
+                default:
+                    return '';
+            }
+        };
+
+        const createSection = (section) => {
+            const description = I18N.sectionDescription(section);
+            return `
+                <div class="mb-lg" id="rex-${section.id.replace(/_/g, '-')}-section">
+                    <h2 class="${SECTION_HEADER_CLASS}">${escapeHTML(I18N.sectionTitle(section))}</h2>
+                    ${description ? `<p class="${ROW_DESC_CLASS}">${escapeHTML(description)}</p>` : ''}
+                    ${SCHEMA.getSectionSettings(section.id).map(createSettingRow).join('')}
+                    ${SECTION_EXTRAS[section.id] ? SECTION_EXTRAS[section.id]() : ''}
+                </div>
+        `;
+        };
+
+        const fullSettingsLink = options.fullSettingsLink && typeof chrome !== 'undefined' && chrome.runtime && chrome.runtime.getURL
+            ? `<p class="${ROW_DESC_CLASS}" id="rex-full-settings-link"><a href="${chrome.runtime.getURL(OPTIONS_PAGE)}" target="_blank" rel="noopener" class="underline">${escapeHTML(I18N.t('open_full_settings'))}</a></p>`
+            : '';
 
         return `
             <div class="rex-settings-content">
-                <!-- REDDIT HEADER Section -->
-                <div class="mb-lg">
-                    <h2 class="${SECTION_HEADER_CLASS}">Reddit Header</h2>
-                    ${createToggleRow("Hide 'Advertise on Reddit' Button", "Removes the megaphone icon from the header", "rex-toggle-ads", "rex_hide_ads")}
-                    ${createToggleRow("Remove 'Create' Button", "Hides the Create Post (+) button from the header", "rex-toggle-create", "rex_hide_create")}
-                    ${createToggleRow("Remove 'Ask AI' Button", "Hides the Ask button and divider from the search bar", "rex-toggle-ask", "rex_hide_ask")}
-                    ${createToggleRow("Show Current Subreddit In Header", "Shows the logo and name of the current subreddit next to the Reddit logo", "rex-toggle-sub-indicator", "rex_show_subreddit_indicator")}
-                </div>
+                ${fullSettingsLink}
 
-                <!-- SIDEBAR Section -->
-                <div class="mb-lg">
-                    <h2 class="${SECTION_HEADER_CLASS}">Sidebar</h2>
-                    ${createToggleRow("Hide 'Popular' Link", "Removes the Popular link from the sidebar", "rex-toggle-popular", "rex_hide_popular")}
-                    ${createToggleRow("Hide 'Explore' Link", "Removes the Explore link from the sidebar", "rex-toggle-explore", "rex_hide_explore")}
-                    ${createToggleRow("Hide 'Start a community' Button", "Removes the Start a community button from the sidebar", "rex-toggle-start-community", "rex_hide_start_community")}
-                    ${['GAMES ON REDDIT', 'MODERATION', 'CUSTOM FEEDS', 'RECENT', 'COMMUNITIES', 'RESOURCES'].map(item => createSelectRow(item)).join('')}
+                <!-- PROFILES Section -->
+                <div class="mb-lg" id="rex-profiles-section">
+                    <h2 class="${SECTION_HEADER_CLASS}">${escapeHTML(I18N.t('profiles_title'))}</h2>
+                    <p class="${ROW_DESC_CLASS}">${escapeHTML(I18N.t('profiles_description'))}</p>
+                    <div id="rex-profiles-list">${createProfilesListHTML()}</div>
+                    <div class="flex items-center gap-xs py-[12px]">
+                        <input type="text" id="rex-profile-new-name" class="${TEXT_INPUT_CLASS} flex-1" placeholder="${escapeHTML(I18N.t('profiles_new_placeholder'))}" aria-label="${escapeHTML(I18N.t('profiles_new_label'))}" maxlength="40" spellcheck="false">
+                        <button type="button" class="${BUTTON_CLASS}" data-rex-action="add-profile">${escapeHTML(I18N.t('profiles_save_current'))}</button>
+                    </div>
                 </div>
 
-                <!-- COMMENTS PAGE Section -->
-                <div class="mb-lg">
-                    <h2 class="${SECTION_HEADER_CLASS}">Comments Page</h2>
-                     ${createToggleRow("Collapse Sidebar", "Automatically collapse the right sidebar on comment pages", "rex-toggle-sidebar", "rex_sidebar_collapse")}
+                ${SCHEMA.SECTIONS.map(createSection).join('')}
+
+                <!-- BACKUP Section -->
+                <div class="mb-lg" id="rex-backup-section">
+                    <h2 class="${SECTION_HEADER_CLASS}">${escapeHTML(I18N.t('backup_title'))}</h2>
+                    <p class="${ROW_DESC_CLASS}">${escapeHTML(I18N.t('backup_description'))}</p>
+                    <div class="flex items-center gap-xs py-[12px]">
+                        <button type="button" class="${BUTTON_CLASS}" data-rex-action="export-settings">${escapeHTML(I18N.t('backup_export'))}</button>
+                        <button type="button" class="${BUTTON_CLASS}" data-rex-action="import-settings">${escapeHTML(I18N.t('backup_import'))}</button>
+                        <button type="button" class="${BUTTON_CLASS}" data-rex-action="reset-settings">${escapeHTML(I18N.t('backup_reset'))}</button>
+                        <input type="file" id="rex-import-file" accept="application/json,.json" hidden>
+                    </div>
+                    <div id="rex-import-preview"></div>
                 </div>
             </div>
         `;
     }
 
+    /**
+     * Attaches the listeners for Export / Import / Reset
+     * @param {HTMLElement} panel
+     */
+    function attachBackupListeners(panel) {
+        const section = panel.querySelector('#rex-backup-section');
+        if (!section) return;
+
+        const fileInput = section.querySelector('#rex-import-file');
+        const preview = section.querySelector('#rex-import-preview');
+        let pendingImport = null;
+
+        fileInput.addEventListener('change', () => {
+            const file = fileInput.files && fileInput.files[0];
+            fileInput.value = '';
+            if (!file) return;
+
+            const reader = new FileReader();
+            reader.onload = () => {
+                let data;
+                try {
+                    data = JSON.parse(reader.result);
+                } catch (e) {
+                    window.alert('REX: ' + I18N.t('import_invalid_json'));
+                    return;
+                }
+
+                const { settings, ignored, error } = validateImport(data);
+                if (error) {
+                    window.alert('REX: ' + error);
+                    return;
+                }
+
+                const changes = diffSettings(settings);
+                if (changes.length === 0) {
+                    pendingImport = null;
+                    preview.innerHTML = `<p class="${ROW_DESC_CLASS} py-[12px]">${escapeHTML(I18N.t('import_no_changes'))}</p>`;
+                    return;
+                }
+                pendingImport = settings;
+                preview.innerHTML = createImportPreviewHTML(changes, ignored);
+            };
+            reader.readAsText(file);
+        });
+
+        section.addEventListener('click', (e) => {
+            const actionElement = e.target.closest('[data-rex-action]');
+            if (!actionElement) return;
+            e.preventDefault();
+            e.stopPropagation();
+
+            switch (actionElement.dataset.rexAction) {
+                case 'export-settings':
+                    exportSettings();
+                    break;
+                case 'import-settings':
+                    fileInput.click();
+                    break;
+                case 'apply-import':
+                    if (pendingImport) {
+                        saveSettings(pendingImport).then(() => rerenderPanel());
+                    }
+                    break;
+                case 'cancel-import':
+                    pendingImport = null;
+                    preview.innerHTML = '';
+                    break;
+                case 'reset-settings':
+                    if (window.confirm('REX: ' + I18N.t('reset_confirm'))) {
+                        saveSettings(cloneSettings(DEFAULT_SETTINGS)).then(() => rerenderPanel());
+                    }
+                    break;
+            }
+        });
+    }
+
     /**
      * Injects the REX Settings tab into the navigation bar
      */
@@ -205,7 +1013,7 @@ window.REX_SETTINGS = (function () {
         rexTab.innerHTML = `
             <span class="inline-flex">
               <span class="inline-flex flex-row items-center gap-xs py-[var(--rem10)] text-body-2">
-                <span>REX Settings</span>
+                <span>${escapeHTML(I18N.t('settings_tab'))}</span>
               </span>
               <span class="inline-flex flex-row items-center gap-xs"></span>
             </span>
@@ -224,7 +1032,7 @@ window.REX_SETTINGS = (function () {
             e.preventDefault();
             e.stopPropagation();
             e.stopImmediatePropagation();
-            console.log('[REX] Tab clicked, switching view...');
+            log.debug('Tab clicked, switching view');
 
             // UI Update
             const siblings = targetContainer.querySelectorAll('a');
@@ -253,6 +1061,49 @@ window.REX_SETTINGS = (function () {
         return true;
     }
 
+    // Where and how the panel was last rendered, so it can be refreshed after an import/reset
+    let lastRender = null;
+
+    /**
+     * Renders the settings panel into a container and wires up its listeners
+     * Always recreates the panel to ensure up-to-date settings render
+     * @param {HTMLElement} container
+     * @param {object} [options] - See createPanelHTML
+     * @returns {HTMLElement} The panel
+     */
+    function renderPanel(container, options = {}) {
+        const existing = document.getElementById(REX_PANEL_ID);
+        if (existing) existing.remove();
+
+        const panel = document.createElement('div');
+        panel.id = REX_PANEL_ID;
+        panel.innerHTML = createPanelHTML(options);
+        container.appendChild(panel);
+
+        attachListeners(panel);
+        attachCustomRuleListeners(panel);
+        attachFeedFilterListeners(panel);
+        attachCommentBotListeners(panel);
+        attachOverrideListeners(panel);
+        attachSidebarLayoutListeners(panel);
+        attachProfileListeners(panel);
+        attachShortcutListeners(panel);
+        attachDiagnosticsListeners(panel);
+        attachBackupListeners(panel);
+
+        lastRender = { container, options };
+        return panel;
+    }
+
+    /**
+     * Re-renders the panel where it was last shown
+     */
+    function rerenderPanel() {
+        if (lastRender && lastRender.container.isConnected) {
+            renderPanel(lastRender.container, lastRender.options);
+        }
+    }
+
     /**
      * Hides the default content and shows REX settings
      * Preserves tabs by only hiding content siblings
@@ -278,17 +1129,7 @@ window.REX_SETTINGS = (function () {
                 child.style.display = 'none';
             });
 
-            let panel = document.getElementById(REX_PANEL_ID);
-            // Always recreate panel to ensure up-to-date settings render
-            if (panel) panel.remove();
-
-            panel = document.createElement('div');
-            panel.id = REX_PANEL_ID;
-            panel.innerHTML = createPanelHTML();
-            mainContainerInner.appendChild(panel);
-
-            attachListeners(panel);
-
+            const panel = renderPanel(mainContainerInner, { fullSettingsLink: true });
             panel.style.display = 'block';
 
             // NOTE: We do NOT push history state to avoid fighting Reddit's router.
@@ -329,25 +1170,614 @@ window.REX_SETTINGS = (function () {
                 }
             });
         });
+
+        const selectRows = panel.querySelectorAll('.rex-select-row');
+        selectRows.forEach(row => {
+            const select = row.querySelector('select');
+            const valueLabel = row.querySelector('.rex-select-value');
+            const settingKey = row.dataset.settingKey;
+            if (!select || !settingKey) return;
+
+            select.addEventListener('change', (e) => {
+                e.stopPropagation();
+                if (valueLabel) valueLabel.textContent = I18N.optionLabel(select.value);
+                saveSetting(settingKey, select.value);
+            });
+        });
+    }
+
+    /**
+     * Attaches the delegated listeners for the Custom Rules editor
+     * @param {HTMLElement} panel
+     */
+    function attachCustomRuleListeners(panel) {
+        const section = panel.querySelector('#rex-custom-rules-section');
+        if (!section) return;
+
+        const addInput = section.querySelector('#rex-custom-rule-input');
+        const save = (rules) => saveListSetting(panel, 'rex_custom_rules', rules, 'rex-custom-rules-list', createCustomRulesListHTML);
+
+        const addRule = () => {
+            const selector = addInput.value.trim();
+            if (!selector) return;
+            if (!SELECTORS.isValidSelector(selector)) {
+                window.alert('REX: ' + I18N.t('rules_invalid_selector', selector));
+                return;
+            }
+            const rules = getListSetting('rex_custom_rules');
+            rules.push({ id: 'rule-' + Date.now().toString(36), selector, enabled: true });
+            addInput.value = '';
+            save(rules);
+        };
+
+        addInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                addRule();
+            }
+        });
+
+        section.addEventListener('click', (e) => {
+            const actionElement = e.target.closest('[data-rex-action]');
+            if (!actionElement) return;
+
+            const action = actionElement.dataset.rexAction;
+            if (action === 'add-rule') {
+                e.preventDefault();
+                addRule();
+            } else if (action === 'pick-rule') {
+                e.preventDefault();
+                if (window.REX_PICKER) window.REX_PICKER.startOnPage('/');
+            }
+        });
+
+        attachListItemActions(section, 'rex_custom_rules', save);
+
+        // Edits are saved when the selector input loses focus
+        section.addEventListener('change', (e) => {
+            if (!e.target.classList.contains('rex-custom-rule-selector')) return;
+            e.stopPropagation();
+
+            const row = e.target.closest('.rex-list-row');
+            const rules = getListSetting('rex_custom_rules');
+            const rule = rules.find(r => r.id === row.dataset.itemId);
+            if (!rule) return;
+
+            const selector = e.target.value.trim();
+            if (!selector || !SELECTORS.isValidSelector(selector)) {
+                window.alert('REX: ' + I18N.t('rules_invalid_selector', selector));
+                e.target.value = rule.selector;
+                return;
+            }
+            rule.selector = selector;
+            save(rules);
+        });
+    }
+
+    /**
+     * Attaches the delegated listeners for the Feed Filters editor
+     * @param {HTMLElement} panel
+     */
+    function attachFeedFilterListeners(panel) {
+        const section = panel.querySelector('#rex-feed-filters-section');
+        if (!section) return;
+
+        const fieldSelect = section.querySelector('#rex-feed-filter-new-field');
+        const patternInput = section.querySelector('#rex-feed-filter-new-pattern');
+        const actionSelect = section.querySelector('#rex-feed-filter-new-action');
+        const save = (filters) => saveListSetting(panel, 'rex_feed_filters', filters, 'rex-feed-filters-list', createFeedFiltersListHTML);
+
+        const addFilter = () => {
+            const pattern = patternInput.value.trim();
+            if (!pattern) return;
+            const filters = getListSetting('rex_feed_filters');
+            filters.push({
+                id: 'filter-' + Date.now().toString(36),
+                field: fieldSelect.value,
+                pattern,
+                action: actionSelect.value,
+                enabled: true
+            });
+            patternInput.value = '';
+            save(filters);
+        };
+
+        patternInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                addFilter();
+            }
+        });
+
+        section.addEventListener('click', (e) => {
+            const actionElement = e.target.closest('[data-rex-action="add-filter"]');
+            if (!actionElement) return;
+            e.preventDefault();
+            addFilter();
+        });
+
+        attachListItemActions(section, 'rex_feed_filters', save);
+
+        // Field, pattern and action edits on existing rows
+        section.addEventListener('change', (e) => {
+            const row = e.target.closest('.rex-list-row');
+            if (!row) return;
+            e.stopPropagation();
+
+            const filters = getListSetting('rex_feed_filters');
+            const filter = filters.find(f => f.id === row.dataset.itemId);
+            if (!filter) return;
+
+            if (e.target.classList.contains('rex-feed-filter-field')) {
+                filter.field = e.target.value;
+            } else if (e.target.classList.contains('rex-feed-filter-action')) {
+                filter.action = e.target.value;
+            } else if (e.target.classList.contains('rex-feed-filter-pattern')) {
+                const pattern = e.target.value.trim();
+                if (!pattern) {
+                    e.target.value = filter.pattern;
+                    return;
+                }
+                filter.pattern = pattern;
+            } else {
+                return;
+            }
+            save(filters);
+        });
+    }
+
+    /**
+     * Attaches the delegated listeners for the Comments Page bot list
+     * @param {HTMLElement} panel
+     */
+    function attachCommentBotListeners(panel) {
+        const section = panel.querySelector('#rex-comments-section');
+        if (!section) return;
+
+        const addInput = section.querySelector('#rex-comment-bot-new');
+        const save = (bots) => saveListSetting(panel, 'rex_comment_bots', bots, 'rex-comment-bots-list', createCommentBotsListHTML);
+
+        const addBot = () => {
+            const text = addInput.value.trim();
+            if (!text) return;
+            const username = text.replace(/^\/?u(ser)?\//i, '').replace(/\/$/, '');
+            if (!/^[A-Za-z0-9_-]{3,20}$/.test(username)) {
+                window.alert('REX: ' + I18N.t('bots_invalid', text));
+                return;
+            }
+
+            const bots = getListSetting('rex_comment_bots');
+            if (bots.some(bot => bot.username.toLowerCase() === username.toLowerCase())) {
+                window.alert('REX: ' + I18N.t('bots_duplicate', username));
+                return;
+            }
+            bots.push({ id: 'bot-' + Date.now().toString(36), username });
+            addInput.value = '';
+            save(bots);
+        };
+
+        addInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                addBot();
+            }
+        });
+
+        section.addEventListener('click', (e) => {
+            const actionElement = e.target.closest('[data-rex-action="add-bot"]');
+            if (!actionElement) return;
+            e.preventDefault();
+            addBot();
+        });
+
+        attachListItemActions(section, 'rex_comment_bots', save);
+    }
+
+    /**
+     * Attaches the delegated listeners for the Subreddit Overrides editor
+     * @param {HTMLElement} panel
+     */
+    function attachOverrideListeners(panel) {
+        const section = panel.querySelector('#rex-overrides-section');
+        if (!section) return;
+
+        const subredditInput = section.querySelector('#rex-override-new-subreddit');
+        const keySelect = section.querySelector('#rex-override-new-key');
+        const valueSelect = section.querySelector('#rex-override-new-value');
+        const save = (overrides) => saveListSetting(panel, 'rex_subreddit_overrides', overrides, 'rex-overrides-list', createOverridesListHTML);
+
+        const addOverride = () => {
+            const subreddit = subredditInput.value.trim().replace(/^\/?r\//i, '').replace(/\/$/, '').toLowerCase();
+            if (!subreddit) return;
+            if (!/^[a-z0-9_]+$/.test(subreddit)) {
+                window.alert('REX: ' + I18N.t('overrides_invalid_subreddit', subreddit));
+                return;
+            }
+
+            const key = keySelect.value;
+            const value = parseOverrideValue(key, valueSelect.value);
+            const overrides = getListSetting('rex_subreddit_overrides');
+
+            // One value per subreddit and setting: adding again replaces it
+            const existing = overrides.find(override => override.subreddit === subreddit && override.key === key);
+            if (existing) {
+                existing.value = value;
+            } else {
+                overrides.push({ id: 'override-' + Date.now().toString(36), subreddit, key, value });
+            }
+            subredditInput.value = '';
+            save(overrides);
+        };
+
+        // The value choices depend on the chosen setting
+        keySelect.addEventListener('change', (e) => {
+            e.stopPropagation();
+            valueSelect.innerHTML = getOverrideValueOptions(keySelect.value).map(option =>
+                `<option value="${escapeHTML(option.value)}">${escapeHTML(option.label)}</option>`
+            ).join('');
+        });
+        valueSelect.addEventListener('change', (e) => e.stopPropagation());
+
+        subredditInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                addOverride();
+            }
+        });
+
+        section.addEventListener('click', (e) => {
+            const actionElement = e.target.closest('[data-rex-action="add-override"]');
+            if (!actionElement) return;
+            e.preventDefault();
+            addOverride();
+        });
+
+        attachListItemActions(section, 'rex_subreddit_overrides', save);
+
+        // Value edits on existing rows
+        section.addEventListener('change', (e) => {
+            if (!e.target.classList.contains('rex-override-value')) return;
+            e.stopPropagation();
+
+            const row = e.target.closest('.rex-list-row');
+            const overrides = getListSetting('rex_subreddit_overrides');
+            const override = overrides.find(o => o.id === row.dataset.itemId);
+            if (!override) return;
+
+            override.value = parseOverrideValue(override.key, e.target.value);
+            save(overrides);
+        });
+    }
+
+    /**
+     * Attaches the delegated listeners for the Sidebar Layout editors (Section Order, Pinned)
+     * @param {HTMLElement} panel
+     */
+    function attachSidebarLayoutListeners(panel) {
+        const section = panel.querySelector('#rex-sidebar-layout-section');
+        if (!section) return;
+
+        const pinInput = section.querySelector('#rex-pinned-new');
+        const saveOrder = (order) => saveListSetting(panel, 'rex_section_order', order.map(name => ({ section: name })), 'rex-section-order-list', createSectionOrderListHTML);
+        const savePins = (pins) => saveListSetting(panel, 'rex_pinned', pins, 'rex-pinned-list', createPinnedListHTML);
+
+        const moveSection = (name, targetIndex) => {
+            const order = getSectionOrder();
+            const index = order.indexOf(name);
+            if (index === -1 || targetIndex < 0 || targetIndex >= order.length || targetIndex === index) return;
+            order.splice(index, 1);
+            order.splice(targetIndex, 0, name);
+            saveOrder(order);
+        };
+
+        const addPin = () => {
+            const text = pinInput.value.trim();
+            if (!text) return;
+            const target = parsePinTarget(text);
+            if (!target) {
+                window.alert('REX: ' + I18N.t('pinned_invalid', text));
+                return;
+            }
+
+            const pins = getListSetting('rex_pinned');
+            if (pins.some(pin => pin.path.toLowerCase() === target.path.toLowerCase())) {
+                window.alert('REX: ' + I18N.t('pinned_duplicate', target.label));
+                return;
+            }
+            pins.push({ id: 'pin-' + Date.now().toString(36), path: target.path, label: target.label, icon: '' });
+            pinInput.value = '';
+            savePins(pins);
+        };
+
+        pinInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                addPin();
+            }
+        });
+
+        section.addEventListener('click', (e) => {
+            const actionElement = e.target.closest('[data-rex-action]');
+            if (!actionElement) return;
+            const action = actionElement.dataset.rexAction;
+
+            if (action === 'add-pin') {
+                e.preventDefault();
+                addPin();
+            } else if (action === 'move-section-up' || action === 'move-section-down') {
+                e.preventDefault();
+                e.stopPropagation();
+                const name = actionElement.closest('.rex-section-order-row').dataset.section;
+                const index = getSectionOrder().indexOf(name);
+                moveSection(name, action === 'move-section-up' ? index - 1 : index + 1);
+            }
+        });
+
+        attachListItemActions(section, 'rex_pinned', savePins);
+
+        // Drag and drop between Section Order rows
+        let draggedSection = null;
+        section.addEventListener('dragstart', (e) => {
+            const row = e.target.closest && e.target.closest('.rex-section-order-row');
+            if (!row) return;
+            draggedSection = row.dataset.section;
+            if (e.dataTransfer) {
+                e.dataTransfer.effectAllowed = 'move';
+                e.dataTransfer.setData('text/plain', draggedSection);
+            }
+        });
+        section.addEventListener('dragover', (e) => {
+            if (draggedSection && e.target.closest('.rex-section-order-row')) e.preventDefault();
+        });
+        section.addEventListener('drop', (e) => {
+            const row = e.target.closest('.rex-section-order-row');
+            if (!draggedSection || !row) return;
+            e.preventDefault();
+            moveSection(draggedSection, getSectionOrder().indexOf(row.dataset.section));
+            draggedSection = null;
+        });
+        section.addEventListener('dragend', () => {
+            draggedSection = null;
+        });
+    }
+
+    /**
+     * Attaches the delegated listeners for the Profiles editor
+     * The panel re-renders through watchProfiles once a change is stored
+     * @param {HTMLElement} panel
+     */
+    function attachProfileListeners(panel) {
+        const section = panel.querySelector('#rex-profiles-section');
+        if (!section) return;
+
+        const nameInput = section.querySelector('#rex-profile-new-name');
+
+        const addProfile = () => {
+            if (!nameInput.value.trim()) return;
+            PROFILES.create(nameInput.value);
+        };
+
+        nameInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                addProfile();
+            }
+        });
+
+        section.addEventListener('click', (e) => {
+            const actionElement = e.target.closest('[data-rex-action]');
+            if (!actionElement) return;
+            e.preventDefault();
+            e.stopPropagation();
+
+            const row = actionElement.closest('.rex-profile-row');
+            const profileId = row ? row.dataset.profileId : null;
+
+            switch (actionElement.dataset.rexAction) {
+                case 'add-profile':
+                    addProfile();
+                    break;
+                case 'switch-profile':
+                    PROFILES.switchTo(profileId);
+                    break;
+                case 'duplicate-profile':
+                    PROFILES.duplicate(profileId);
+                    break;
+                case 'delete-profile': {
+                    const name = row.querySelector('.rex-profile-name').value;
+                    if (window.confirm('REX: ' + I18N.t('profiles_delete_confirm', name))) {
+                        PROFILES.remove(profileId);
+                    }
+                    break;
+                }
+            }
+        });
+
+        // Renames are saved when the name input loses focus
+        section.addEventListener('change', (e) => {
+            if (!e.target.classList.contains('rex-profile-name')) return;
+            e.stopPropagation();
+
+            const row = e.target.closest('.rex-profile-row');
+            const profile = currentProfiles.profiles.find(p => p.id === row.dataset.profileId);
+            PROFILES.rename(row.dataset.profileId, e.target.value).then((renamed) => {
+                if (!renamed && profile) e.target.value = profile.name;
+            });
+        });
+    }
+
+    /**
+     * Attaches the listeners for the Keyboard Shortcuts editor
+     * A focused keys field records the next key combination; Backspace clears it, Escape cancels
+     * @param {HTMLElement} panel
+     */
+    function attachShortcutListeners(panel) {
+        const section = panel.querySelector('#rex-shortcuts-section');
+        if (!section) return;
+
+        const save = (bindings) => saveListSetting(panel, 'rex_shortcuts', SHORTCUTS.toList(bindings), 'rex-shortcuts-list', createShortcutsListHTML);
+
+        section.addEventListener('keydown', (e) => {
+            if (!e.target.classList.contains('rex-shortcut-keys')) return;
+            if (e.key === 'Tab') return; // Keep keyboard navigation
+            e.preventDefault();
+            e.stopPropagation();
+
+            const actionId = e.target.closest('.rex-shortcut-row').dataset.action;
+            const bindings = SHORTCUTS.getBindings(currentSettings.rex_shortcuts);
+            const noModifiers = !e.ctrlKey && !e.altKey && !e.metaKey && !e.shiftKey;
+
+            if (e.key === 'Escape') {
+                e.target.blur();
+                return;
+            }
+            if ((e.key === 'Backspace' || e.key === 'Delete') && noModifiers) {
+                bindings[actionId] = '';
+                save(bindings);
+                return;
+            }
+
+            const keys = SHORTCUTS.formatCombo(e);
+            if (!keys || keys === bindings[actionId]) return;
+
+            const conflict = SHORTCUTS.findConflict(bindings, keys, actionId);
+            if (conflict) {
+                window.alert('REX: ' + I18N.t('shortcuts_conflict', keys, SHORTCUTS.getActionLabel(conflict)));
+                return;
+            }
+            bindings[actionId] = keys;
+            save(bindings);
+        });
+
+        section.addEventListener('click', (e) => {
+            const actionElement = e.target.closest('[data-rex-action]');
+            if (!actionElement) return;
+            e.preventDefault();
+            e.stopPropagation();
+
+            if (actionElement.dataset.rexAction === 'clear-shortcut') {
+                const bindings = SHORTCUTS.getBindings(currentSettings.rex_shortcuts);
+                bindings[actionElement.closest('.rex-shortcut-row').dataset.action] = '';
+                save(bindings);
+            } else if (actionElement.dataset.rexAction === 'reset-shortcuts') {
+                save(SHORTCUTS.getBindings(null));
+            }
+        });
+    }
+
+    /**
+     * Attaches the listeners for the Diagnostics section (selector health, events, report)
+     * @param {HTMLElement} panel
+     */
+    function attachDiagnosticsListeners(panel) {
+        const section = panel.querySelector('#rex-diagnostics-section');
+        if (!section) return;
+
+        const renderLists = ([health, events]) => {
+            currentHealth = health;
+            currentEvents = events;
+            const list = section.querySelector('#rex-diagnostics-list');
+            if (list) list.innerHTML = createDiagnosticsListHTML();
+            const eventsList = section.querySelector('#rex-log-list');
+            if (eventsList) eventsList.innerHTML = createEventsListHTML();
+        };
+
+        section.addEventListener('click', (e) => {
+            const actionElement = e.target.closest('[data-rex-action]');
+            if (!actionElement) return;
+            e.preventDefault();
+            e.stopPropagation();
+
+            switch (actionElement.dataset.rexAction) {
+                case 'refresh-diagnostics':
+                    Promise.all([SELECTORS.loadHealth(), LOG.load()]).then(renderLists);
+                    break;
+                case 'clear-diagnostics':
+                    Promise.all([SELECTORS.clearHealth(), LOG.clear()]).then(() => renderLists([{}, []]));
+                    break;
+                case 'copy-report':
+                    // Include what happened since the panel was rendered
+                    Promise.all([SELECTORS.loadHealth(), LOG.load()])
+                        .then((results) => {
+                            renderLists(results);
+                            return copyText(createReport());
+                        })
+                        .then(() => window.alert('REX: ' + I18N.t('diagnostics_report_copied')))
+                        .catch((error) => {
+                            log.warn('Could not copy the report', error);
+                            window.alert('REX: ' + I18N.t('diagnostics_copy_failed'));
+                        });
+                    break;
+            }
+        });
+    }
+
+    let stopTabWatch = null;
+    let openWhenInjected = false;
+
+    /**
+     * Injects the tab and, if requested, switches to it right away
+     */
+    function injectTabAndOpen() {
+        if (!injectTab() || !openWhenInjected) return;
+        openWhenInjected = false;
+        const tab = document.getElementById(REX_TAB_ID);
+        if (tab) tab.click();
     }
 
     return {
         init: function () {
-            console.log('[REX] Initializing Settings Injector');
-            // Load settings immediately on init
-            loadSettings().then(() => {
-                injectTab();
+            // Already running (e.g. navigating between settings tabs): just make sure the tab is there
+            if (stopTabWatch) {
+                if (!document.getElementById(REX_TAB_ID)) injectTabAndOpen();
+                return;
+            }
 
-                const observer = new MutationObserver(() => {
-                    // If tab is gone (navigation/render), put it back
-                    if (!document.getElementById(REX_TAB_ID)) {
-                        injectTab();
-                    }
-                });
+            log.info('Initializing Settings Injector');
+            openWhenInjected = window.location.hash === OPEN_HASH;
+            let loaded = false;
+            stopTabWatch = OBSERVER.onMutation(() => {
+                // If tab is gone (navigation/render), put it back
+                if (loaded && !document.getElementById(REX_TAB_ID)) {
+                    injectTabAndOpen();
+                }
+            });
 
-                observer.observe(document.body, { childList: true, subtree: true });
+            // Load settings immediately on init
+            loadSettings().then(() => {
+                if (!stopTabWatch) return; // Stopped while loading
+                loaded = true;
+                injectTabAndOpen();
             });
         },
+        stop: function () {
+            // Called when the user navigates away from the settings route
+            if (!stopTabWatch) return;
+            stopTabWatch();
+            stopTabWatch = null;
+            log.info('Settings Injector stopped');
+        },
         save: saveSetting, // Expose save for inline handlers
+        /**
+         * Shows the REX Settings tab, navigating to Reddit's settings first if needed
+         */
+        open: function () {
+            const tab = document.getElementById(REX_TAB_ID);
+            if (tab) {
+                tab.click();
+            } else if (stopTabWatch) {
+                openWhenInjected = true; // Tab bar not rendered yet
+            } else {
+                window.location.assign(SETTINGS_URL + OPEN_HASH);
+            }
+        },
+        /**
+         * Renders the full panel into a container on an extension page (options page)
+         * @param {HTMLElement} container
+         * @returns {Promise<HTMLElement>} The panel
+         */
+        mount: function (container) {
+            return loadSettings().then(() => renderPanel(container));
+        }
     };
 })();
@@ -0,0 +1,132 @@
+/**
+ * REX - Reddit Enhancement Extension
+ * Router Module: Detects Reddit's client-side (SPA) navigation and emits typed route events
+ */
+
+window.REX_ROUTER = (function () {
+    'use strict';
+
+    const log = window.REX_LOG.create('Router');
+
+    // Dispatched by routerhook.js (MAIN world) after history.pushState/replaceState
+    const LOCATION_CHANGE_EVENT = 'rex:locationchange';
+
+    const ROUTE_TYPES = ['feed', 'subreddit', 'post', 'user', 'settings', 'search', 'other'];
+
+    // Paths that render a listing of posts from many subreddits
+    const FEED_PATHS = /^\/(best|hot|new|top|rising)?\/?$|^\/r\/(popular|all)(\/.*)?$/;
+
+    const subscribers = [];
+    let currentRoute = null;
+    let started = false;
+
+    /**
+     * Parses a URL into a typed route
+     * @param {string} [href] - Defaults to the current location
+     * @returns {{ type: string, url: string, path: string, subreddit: string|null, postId: string|null, username: string|null }}
+     */
+    function parse(href) {
+        const url = new URL(href || window.location.href, window.location.origin);
+        const path = url.pathname;
+        const route = { type: 'other', url: url.href, path, subreddit: null, postId: null, username: null };
+
+        let match;
+        if (FEED_PATHS.test(path)) {
+            route.type = 'feed';
+        } else if ((match = path.match(/^\/r\/([^\/]+)\/comments\/([^\/]+)/))) {
+            route.type = 'post';
+            route.subreddit = match[1];
+            route.postId = match[2];
+        } else if ((match = path.match(/^\/r\/([^\/]+)\/search\/?/))) {
+            route.type = 'search';
+            route.subreddit = match[1];
+        } else if ((match = path.match(/^\/r\/([^\/]+)/))) {
+            route.type = 'subreddit';
+            route.subreddit = match[1];
+        } else if ((match = path.match(/^\/(?:user|u)\/([^\/]+)(?:\/comments\/([^\/]+))?/))) {
+            route.type = match[2] ? 'post' : 'user';
+            route.username = match[1];
+            route.postId = match[2] || null;
+        } else if (/^\/settings(\/|$)/.test(path)) {
+            route.type = 'settings';
+        } else if (/^\/search(\/|$)/.test(path)) {
+            route.type = 'search';
+        }
+
+        return route;
+    }
+
+    /**
+     * Re-reads the location and notifies subscribers if it changed
+     */
+    function checkLocation() {
+        const nextRoute = parse();
+        if (currentRoute && nextRoute.url === currentRoute.url) return;
+
+        const previousRoute = currentRoute;
+        currentRoute = nextRoute;
+        log.info(`${nextRoute.type} route (${nextRoute.path})`);
+
+        subscribers.slice().forEach(subscriber => {
+            if (subscriber.types && !subscriber.types.includes(nextRoute.type)) return;
+            try {
+                subscriber.callback(nextRoute, previousRoute);
+            } catch (e) {
+                log.error('Subscriber failed', e);
+            }
+        });
+    }
+
+    /**
+     * Subscribes to route changes
+     * @param {Function} callback - Called with (route, previousRoute)
+     * @param {object} [options]
+     * @param {string[]} [options.types] - Only notify for these route types
+     * @param {boolean} [options.immediate] - Also call right away with the current route
+     * @returns {Function} Unsubscribe
+     */
+    function subscribe(callback, options = {}) {
+        const subscriber = { callback, types: options.types || null };
+        subscribers.push(subscriber);
+        start();
+
+        if (options.immediate && (!subscriber.types || subscriber.types.includes(currentRoute.type))) {
+            callback(currentRoute, null);
+        }
+
+        return () => {
+            const index = subscribers.indexOf(subscriber);
+            if (index !== -1) subscribers.splice(index, 1);
+        };
+    }
+
+    /**
+     * Returns the current route
+     */
+    function getRoute() {
+        start();
+        return currentRoute;
+    }
+
+    /**
+     * Starts listening for navigation (idempotent)
+     */
+    function start() {
+        if (started) return;
+        started = true;
+        currentRoute = parse();
+
+        window.addEventListener(LOCATION_CHANGE_EVENT, checkLocation);
+        window.addEventListener('popstate', checkLocation);
+        // Back/forward cache restores don't fire popstate
+        window.addEventListener('pageshow', checkLocation);
+    }
+
+    return {
+        ROUTE_TYPES,
+        parse,
+        subscribe,
+        getRoute,
+        init: start
+    };
+})();
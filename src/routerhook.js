@@ -0,0 +1,24 @@
+/**
+ * REX - Reddit Enhancement Extension
+ * Router Hook: Runs in the page's MAIN world so it can see Reddit's own history.pushState/replaceState
+ * calls, and re-broadcasts them as a DOM event for the isolated-world router (router.js)
+ */
+
+(function () {
+    'use strict';
+
+    const EVENT_NAME = 'rex:locationchange';
+
+    ['pushState', 'replaceState'].forEach(method => {
+        const original = history[method];
+        if (typeof original !== 'function' || original.__rexHooked) return;
+
+        const hooked = function () {
+            const result = original.apply(this, arguments);
+            window.dispatchEvent(new CustomEvent(EVENT_NAME, { detail: { method } }));
+            return result;
+        };
+        hooked.__rexHooked = true;
+        history[method] = hooked;
+    });
+})();
@@ -0,0 +1,422 @@
+/**
+ * REX - Reddit Enhancement Extension
+ * Selectors Module: Every page element REX depends on, defined as an ordered list of strategies
+ * (id, attribute, aria-label, text, structural). The first strategy that matches wins, so a
+ * Reddit markup change degrades to a fallback instead of silently breaking a feature.
+ * Sidebar sections are found by language-independent hints first, then by their localized heading.
+ * How each target was last resolved is recorded and shown under REX Settings > Diagnostics.
+ */
+
+window.REX_SELECTORS = (function () {
+    'use strict';
+
+    const SCHEMA = window.REX_SETTINGS_SCHEMA;
+    const OBSERVER = window.REX_OBSERVER; // Not on the options page
+    const ROUTER = window.REX_ROUTER; // Not on the options page
+    const log = window.REX_LOG.create('Selectors');
+
+    // Last resolution of each target; UI state, so it lives in local storage
+    const HEALTH_KEY = 'rex_selector_health';
+
+    const STATUS = {
+        FOUND: 'found',
+        FALLBACK: 'fallback',
+        MISSING: 'missing'
+    };
+
+    // Time for the page to render before its targets are checked
+    const CHECK_DELAY = 4000;
+    // A check that changes nothing is still stored after this long ("last checked")
+    const REFRESH_AGE = 60 * 60 * 1000;
+
+    /*
+     * Strategy fields:
+     * type: 'id' | 'attribute' | 'aria-label' | 'text' | 'structural' (shown in Diagnostics)
+     * selector: CSS selector of the candidates
+     * text: only candidates whose text (or `within` descendant's text) contains this (or one of
+     *     these, if an array), upper-cased
+     * has: only candidates containing a match for this selector
+     * host: only search the shadow roots of elements matching this selector
+     * Strategies without text/has/host are plain CSS and are also used in REX's hide stylesheets.
+     */
+    const TARGETS = {
+        reddit_logo: {
+            label: 'Reddit logo',
+            feature: 'Context indicator, profile switcher',
+            strategies: [
+                { type: 'id', selector: '#reddit-logo' },
+                { type: 'aria-label', selector: 'a[aria-label="Home"]' },
+                { type: 'structural', selector: 'reddit-header-large a[href="/"]' }
+            ]
+        },
+        advertise_button: {
+            label: 'Advertise button',
+            feature: 'Hide Advertise button',
+            strategies: [
+                { type: 'id', selector: '#advertise-button' },
+                { type: 'attribute', selector: 'reddit-header-large a[href*="adsregister"], reddit-header-large a[href*="ads.reddit.com"]' },
+                { type: 'aria-label', selector: '[aria-label="Advertise on Reddit"]' }
+            ]
+        },
+        create_post: {
+            label: 'Create post button',
+            feature: 'Hide Create button',
+            strategies: [
+                { type: 'id', selector: '#create-post' },
+                { type: 'attribute', selector: 'reddit-header-large a[href$="/submit"]' },
+                { type: 'aria-label', selector: 'reddit-header-large [aria-label="Create post"]' }
+            ]
+        },
+        ask_button: {
+            label: 'Ask (Reddit Answers) button',
+            feature: 'Hide Ask button',
+            strategies: [
+                { type: 'attribute', selector: 'a[href^="/answers/"]' },
+                { type: 'aria-label', selector: 'a[aria-label*="Reddit Answers" i]' }
+            ]
+        },
+        search_input: {
+            label: 'Search box',
+            feature: 'Hide Ask button (search centering), focus search shortcut',
+            strategies: [
+                { type: 'attribute', selector: 'input[placeholder="Find anything"]' },
+                { type: 'attribute', selector: 'input[type="search"][name="q"]' },
+                { type: 'aria-label', selector: 'input[aria-label="Search Reddit"]' }
+            ]
+        }
+    };
+
+    /*
+     * Stable hints for each sidebar section, tried before any text: the summary's aria-controls
+     * id, then links or shadow hosts only that section has. They don't depend on Reddit's language.
+     */
+    const SECTION_HINTS = {
+        'GAMES ON REDDIT': [
+            { type: 'attribute', selector: 'details', has: 'summary[aria-controls="games_section"]' }
+        ],
+        'MODERATION': [
+            { type: 'attribute', selector: 'details', has: 'summary[aria-controls="moderation_section"]' },
+            { type: 'structural', selector: 'details', has: 'a[href^="/mod/"]' }
+        ],
+        'CUSTOM FEEDS': [
+            { type: 'attribute', selector: 'details', has: 'summary[aria-controls="multireddits_section"]' },
+            { type: 'structural', selector: 'left-nav-custom-feeds details' },
+            { type: 'structural', host: 'left-nav-custom-feeds', selector: 'details' }
+        ],
+        'RECENT': [
+            { type: 'attribute', selector: 'details', has: 'summary[aria-controls="recent_section"]' },
+            { type: 'structural', selector: 'reddit-recent-pages details' },
+            { type: 'structural', host: 'reddit-recent-pages', selector: 'details' }
+        ],
+        'COMMUNITIES': [
+            { type: 'attribute', selector: 'details', has: 'summary[aria-controls="communities_section"]' },
+            { type: 'structural', selector: 'details', has: 'a[href*="/subreddits/create"]' }
+        ],
+        'RESOURCES': [
+            { type: 'attribute', selector: 'details', has: 'summary[aria-controls="resources_section"]' },
+            { type: 'structural', selector: 'details', has: 'a[href*="redditinc.com"]' }
+        ]
+    };
+
+    /*
+     * Summary text of each section per Reddit display language, the last resort when no hint
+     * matches. Keys are the canonical (English) section names used in settings.
+     */
+    const SECTION_LABELS = {
+        en: {
+            'GAMES ON REDDIT': 'GAMES ON REDDIT',
+            'MODERATION': 'MODERATION',
+            'CUSTOM FEEDS': 'CUSTOM FEEDS',
+            'RECENT': 'RECENT',
+            'COMMUNITIES': 'COMMUNITIES',
+            'RESOURCES': 'RESOURCES'
+        },
+        de: {
+            'GAMES ON REDDIT': 'SPIELE AUF REDDIT',
+            'MODERATION': 'MODERATION',
+            'CUSTOM FEEDS': 'BENUTZERDEFINIERTE FEEDS',
+            'RECENT': 'ZULETZT BESUCHT',
+            'COMMUNITIES': 'COMMUNITYS',
+            'RESOURCES': 'RESSOURCEN'
+        },
+        es: {
+            'GAMES ON REDDIT': 'JUEGOS EN REDDIT',
+            'MODERATION': 'MODERACIÓN',
+            'CUSTOM FEEDS': 'FEEDS PERSONALIZADOS',
+            'RECENT': 'RECIENTES',
+            'COMMUNITIES': 'COMUNIDADES',
+            'RESOURCES': 'RECURSOS'
+        },
+        pt: {
+            'GAMES ON REDDIT': 'JOGOS NO REDDIT',
+            'MODERATION': 'MODERAÇÃO',
+            'CUSTOM FEEDS': 'FEEDS PERSONALIZADOS',
+            'RECENT': 'RECENTES',
+            'COMMUNITIES': 'COMUNIDADES',
+            'RESOURCES': 'RECURSOS'
+        }
+    };
+
+    // One target per sidebar section REX manages (see sidebarSection in settingsschema.js)
+    SCHEMA.SETTINGS.filter(setting => setting.sidebarSection).forEach(setting => {
+        const name = setting.sidebarSection;
+        const labels = [...new Set(Object.values(SECTION_LABELS).map(table => table[name] || name))];
+        TARGETS[getSectionTargetId(name)] = {
+            label: `Sidebar section: ${name}`,
+            sidebarSection: name,
+            setting: setting.key,
+            feature: 'Sidebar section modes, order and memory',
+            strategies: [
+                ...(SECTION_HINTS[name] || []),
+                { type: 'text', selector: 'details', within: 'summary', text: labels }
+            ]
+        };
+    });
+
+    let health = {}; // Target id -> { status, strategy, path, checkedAt }
+    let healthLoaded = null;
+    let saveTimer = null;
+    const dirtyIds = new Set();
+
+    /**
+     * Returns the target id of a sidebar section
+     * @param {string} sectionName - e.g. 'CUSTOM FEEDS'
+     * @returns {string} e.g. 'sidebar_custom_feeds'
+     */
+    function getSectionTargetId(sectionName) {
+        return 'sidebar_' + sectionName.toLowerCase().replace(/[^a-z0-9]+/g, '_');
+    }
+
+    /**
+     * Returns the roots to search: the document and every known shadow root
+     * @returns {Array<Document|ShadowRoot>}
+     */
+    function getRoots() {
+        return [document, ...(OBSERVER ? OBSERVER.getShadowRoots() : [])];
+    }
+
+    /**
+     * Finds the elements one strategy matches
+     * @param {object} strategy
+     * @returns {Element[]}
+     */
+    function match(strategy) {
+        const roots = strategy.host
+            ? getRoots().filter(root => root.host && root.host.matches(strategy.host))
+            : getRoots();
+        let elements = roots.flatMap(root => Array.from(root.querySelectorAll(strategy.selector)));
+
+        if (strategy.has) {
+            elements = elements.filter(element => element.querySelector(strategy.has));
+        }
+        if (strategy.text) {
+            const texts = [].concat(strategy.text).map(text => text.toUpperCase());
+            elements = elements.filter(element => {
+                const source = strategy.within ? element.querySelector(strategy.within) : element;
+                const content = source ? (source.textContent || '').toUpperCase() : '';
+                return texts.some(text => content.includes(text));
+            });
+        }
+        return elements;
+    }
+
+    /**
+     * Resolves a target with its first matching strategy
+     * @param {string} id - Target id
+     * @returns {{ elements: Element[], strategy: object|null, status: string }}
+     */
+    function resolve(id) {
+        const target = TARGETS[id];
+        if (!target) throw new Error(`Unknown selector target: ${id}`);
+
+        for (let index = 0; index < target.strategies.length; index++) {
+            const strategy = target.strategies[index];
+            const elements = match(strategy);
+            if (elements.length > 0) {
+                return { elements, strategy, status: index === 0 ? STATUS.FOUND : STATUS.FALLBACK };
+            }
+        }
+        return { elements: [], strategy: null, status: STATUS.MISSING };
+    }
+
+    /**
+     * Returns the first element of a target, or null
+     * @param {string} id
+     * @returns {Element|null}
+     */
+    function find(id) {
+        return resolve(id).elements[0] || null;
+    }
+
+    /**
+     * Builds a CSS selector list from a target's plain CSS strategies, so stylesheets
+     * cover the fallbacks too
+     * @param {string} id
+     * @param {object} [options]
+     * @param {string} [options.scope] - Ancestor selector every selector is limited to
+     * @param {string} [options.suffix] - Appended to every selector (e.g. ':focus')
+     * @param {boolean} [options.withHas] - Also include strategies with a descendant condition, as :has()
+     * @param {string} [options.host] - Use the strategies inside this host's shadow root instead
+     *     of the document ones (see getHosts)
+     * @returns {string}
+     */
+    function toCss(id, options = {}) {
+        const scope = options.scope ? `${options.scope} ` : '';
+        const suffix = options.suffix || '';
+        return TARGETS[id].strategies
+            .filter(strategy => !strategy.text && (!strategy.has || options.withHas) &&
+                (options.host ? strategy.host === options.host : !strategy.host))
+            .flatMap(strategy => strategy.selector.split(/\s*,\s*/)
+                .map(selector => strategy.has ? `${selector}:has(${strategy.has})` : selector))
+            .map(selector => scope + selector + suffix)
+            .join(', ');
+    }
+
+    /**
+     * Returns the tag names of the shadow hosts a target has strategies for
+     * @param {string} id
+     * @returns {string[]}
+     */
+    function getHosts(id) {
+        return [...new Set(TARGETS[id].strategies.filter(strategy => strategy.host).map(strategy => strategy.host))];
+    }
+
+    /**
+     * Reads the recorded health of all targets (as stored by every tab)
+     * @returns {Promise<object>} Target id -> { status, strategy, path, checkedAt }
+     */
+    function loadHealth() {
+        return new Promise((resolve) => {
+            if (typeof chrome === 'undefined' || !chrome.storage || !chrome.storage.local) {
+                resolve({});
+                return;
+            }
+            chrome.storage.local.get([HEALTH_KEY], (items) => {
+                const stored = items[HEALTH_KEY];
+                resolve(stored && typeof stored === 'object' ? stored : {});
+            });
+        });
+    }
+
+    /**
+     * Loads the stored health into this tab's copy (once)
+     * @returns {Promise<object>}
+     */
+    function ensureHealth() {
+        if (!healthLoaded) {
+            healthLoaded = loadHealth().then((stored) => {
+                health = { ...stored, ...health };
+                return health;
+            });
+        }
+        return healthLoaded;
+    }
+
+    /**
+     * Writes this tab's new records shortly after the last change (checks come in bursts),
+     * merged into what other tabs stored meanwhile
+     */
+    function scheduleSave() {
+        if (saveTimer || typeof chrome === 'undefined' || !chrome.storage || !chrome.storage.local) return;
+        saveTimer = setTimeout(() => {
+            saveTimer = null;
+            const updates = {};
+            dirtyIds.forEach(id => {
+                updates[id] = health[id];
+            });
+            dirtyIds.clear();
+
+            loadHealth().then((stored) => {
+                chrome.storage.local.set({ [HEALTH_KEY]: { ...stored, ...updates } });
+            });
+        }, 500);
+    }
+
+    /**
+     * Resolves a target and records the result
+     * @param {string} id
+     * @returns {{ elements: Element[], strategy: object|null, status: string }}
+     */
+    function check(id) {
+        const result = resolve(id);
+        const record = {
+            status: result.status,
+            strategy: result.strategy ? result.strategy.type : null,
+            path: window.location.pathname,
+            checkedAt: Date.now()
+        };
+
+        ensureHealth().then(() => {
+            const previous = health[id];
+            const changed = !previous || previous.status !== record.status || previous.strategy !== record.strategy;
+            if (!changed && record.checkedAt - previous.checkedAt < REFRESH_AGE) return;
+
+            if (changed && result.status !== STATUS.FOUND) {
+                log.warn(`${TARGETS[id].label} ${result.status === STATUS.MISSING ? 'not found' : `found via ${record.strategy} fallback`} on ${record.path}`);
+            }
+            health[id] = record;
+            dirtyIds.add(id);
+            scheduleSave();
+        });
+        return result;
+    }
+
+    /**
+     * Checks targets once the page has settled, and again after every navigation
+     * @param {string[]} ids
+     */
+    function watch(ids) {
+        const checkAll = () => setTimeout(() => ids.forEach(check), CHECK_DELAY);
+        checkAll();
+        if (ROUTER) ROUTER.subscribe(checkAll);
+    }
+
+    /**
+     * Forgets all recorded health (e.g. after Reddit fixed a page)
+     * @returns {Promise<void>}
+     */
+    function clearHealth() {
+        health = {};
+        dirtyIds.clear();
+        healthLoaded = Promise.resolve(health);
+        return new Promise((resolve) => {
+            if (typeof chrome === 'undefined' || !chrome.storage || !chrome.storage.local) {
+                resolve();
+                return;
+            }
+            chrome.storage.local.remove(HEALTH_KEY, () => resolve());
+        });
+    }
+
+    /**
+     * Checks whether a string is a CSS selector that is safe to put in a stylesheet rule
+     * Braces and comments are rejected even where they parse (e.g. inside an attribute value),
+     * so a stored selector can never close its rule and style the rest of the page
+     * @param {string} selector
+     * @returns {boolean}
+     */
+    function isValidSelector(selector) {
+        if (typeof selector !== 'string' || /[{}]|\/\*/.test(selector)) return false;
+        try {
+            document.createDocumentFragment().querySelector(selector);
+            return true;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    return {
+        STATUS,
+        TARGETS,
+        getSectionTargetId,
+        resolve,
+        find,
+        toCss,
+        getHosts,
+        check,
+        watch,
+        loadHealth,
+        clearHealth,
+        isValidSelector
+    };
+})();
@@ -0,0 +1,507 @@
+/**
+ * REX - Reddit Enhancement Extension
+ * Settings Schema Module: Single source of truth for setting keys, types, defaults and labels,
+ * plus the versioned migrations applied to chrome.storage.sync
+ */
+
+window.REX_SETTINGS_SCHEMA = (function () {
+    'use strict';
+
+    const log = window.REX_LOG.create('Schema');
+
+    // Bump when adding a migration below
+    const SCHEMA_VERSION = 1;
+    const SCHEMA_VERSION_KEY = 'rex_schema_version';
+
+    const SECTION_MODES = ['Show', 'Collapse', 'Hide'];
+
+    // Setting types that can have per-subreddit overrides
+    const OVERRIDABLE_TYPES = ['boolean', 'enum'];
+
+    // Keyboard shortcut actions (run by shortcuts.js), with their default keys
+    // Keys are written like 'Alt+Shift+S', '/' or '?'; an empty string means unbound
+    // Actions with a setting toggle that boolean setting
+    const SHORTCUT_ACTIONS = [
+        { id: 'toggle_sections', label: 'Expand / collapse all sidebar sections', keys: 'Alt+Shift+S' },
+        { id: 'focus_search', label: 'Focus search', keys: '/' },
+        { id: 'open_subreddit', label: 'Go to the current subreddit, profile or feed', keys: 'Alt+Shift+R' },
+        { id: 'open_settings', label: 'Open REX settings', keys: 'Alt+Shift+O' },
+        { id: 'cycle_profile', label: 'Switch to the next profile', keys: 'Alt+Shift+P' },
+        { id: 'show_help', label: 'Show keyboard shortcuts', keys: '?' },
+        { id: 'next_comment', label: 'Next top-level comment', keys: 'Alt+Shift+J' },
+        { id: 'previous_comment', label: 'Previous top-level comment', keys: 'Alt+Shift+K' },
+        { id: 'toggle_op_replies', label: "Step through OP's replies instead of top-level comments", keys: '' },
+        { id: 'toggle_hide_ads', setting: 'rex_hide_ads', keys: '' },
+        { id: 'toggle_hide_create', setting: 'rex_hide_create', keys: '' },
+        { id: 'toggle_hide_ask', setting: 'rex_hide_ask', keys: '' },
+        { id: 'toggle_hide_popular', setting: 'rex_hide_popular', keys: '' },
+        { id: 'toggle_hide_explore', setting: 'rex_hide_explore', keys: '' },
+        { id: 'toggle_hide_start_community', setting: 'rex_hide_start_community', keys: '' },
+        { id: 'toggle_hide_recent_posts', setting: 'rex_hide_recent_posts', keys: '' },
+        { id: 'toggle_hide_reddit_footer', setting: 'rex_hide_reddit_footer', keys: '' }
+    ];
+
+    // Panel sections, in display order
+    const SECTIONS = [
+        { id: 'header', title: 'Reddit Header' },
+        { id: 'sidebar', title: 'Sidebar' },
+        {
+            id: 'sidebar_layout',
+            title: 'Sidebar Layout',
+            description: 'Drag the sidebar sections into your preferred order, and pin favourite communities and custom feeds to a Pinned section at the top.'
+        },
+        { id: 'right_sidebar', title: 'Right Sidebar' },
+        { id: 'comments', title: 'Comments Page' },
+        {
+            id: 'overrides',
+            title: 'Subreddit Overrides',
+            description: 'Use a different value for any setting above in specific subreddits (including their posts), e.g. keep COMMUNITIES expanded only in r/ourteam.'
+        },
+        {
+            id: 'feed_filters',
+            title: 'Feed Filters',
+            description: 'Hide or blur feed posts by title keyword, author, subreddit, flair or domain. Wrap a pattern in slashes to use a regular expression, e.g. /giveaway|promo/i.'
+        },
+        {
+            id: 'custom_rules',
+            title: 'Custom Rules',
+            description: 'Hide any element with your own CSS selectors. Rules apply to the page and to every shadow root.'
+        },
+        {
+            id: 'shortcuts',
+            title: 'Keyboard Shortcuts',
+            description: 'Click a shortcut and press the new keys to rebind it, or clear it to turn it off. Press ? on Reddit to see the active shortcuts.'
+        },
+        {
+            id: 'diagnostics',
+            title: 'Diagnostics',
+            description: 'How REX last found each part of Reddit it works with, and what it did recently. "Found via fallback" means Reddit changed its page and a backup way of finding the element was used; "Missing" means the feature could not work on that page. Some elements (e.g. Moderation) only exist for some accounts.'
+        }
+    ];
+
+    /**
+     * Setting definitions, in display order within each section
+     * type: 'boolean' | 'enum' (with options) | 'list' (array of objects described by item)
+     * item fields may also be 'overridableKey' (a boolean/enum setting key) or 'settingValue'
+     * (a valid value for the setting named by the item's keyField)
+     * overridable: false keeps a toggle or mode out of Subreddit Overrides
+     * sidebarSection: canonical (English) name of the left nav section an enum setting controls; the
+     *     section is found language-independently by selectors.js
+     */
+    const SETTINGS = [
+        // Reddit Header
+        { key: 'rex_hide_ads', type: 'boolean', default: false, section: 'header', label: "Hide 'Advertise on Reddit' Button", description: 'Removes the megaphone icon from the header' },
+        { key: 'rex_hide_create', type: 'boolean', default: false, section: 'header', label: "Remove 'Create' Button", description: 'Hides the Create Post (+) button from the header' },
+        { key: 'rex_hide_ask', type: 'boolean', default: false, section: 'header', label: "Remove 'Ask AI' Button", description: 'Hides the Ask button and divider from the search bar' },
+        { key: 'rex_show_subreddit_indicator', type: 'boolean', default: true, section: 'header', label: 'Show Current Subreddit, Profile Or Feed In Header', description: 'Shows the current subreddit, user profile or custom feed next to the Reddit logo, with a menu of its pages and recently visited subreddits' },
+
+        // Sidebar
+        { key: 'rex_hide_popular', type: 'boolean', default: false, section: 'sidebar', label: "Hide 'Popular' Link", description: 'Removes the Popular link from the sidebar' },
+        { key: 'rex_hide_explore', type: 'boolean', default: false, section: 'sidebar', label: "Hide 'Explore' Link", description: 'Removes the Explore link from the sidebar' },
+        { key: 'rex_hide_start_community', type: 'boolean', default: false, section: 'sidebar', label: "Hide 'Start a community' Button", description: 'Removes the Start a community button from the sidebar' },
+        { key: 'rex_section_memory', type: 'enum', options: ['Off', 'Everywhere', 'Per Subreddit'], default: 'Off', section: 'sidebar', label: 'Remember Opened/Closed Sections', description: 'Restore the state you last left each section in instead of applying its mode on every page' },
+        { key: 'rex_section_games', type: 'enum', options: SECTION_MODES, default: 'Collapse', section: 'sidebar', label: 'GAMES ON REDDIT', description: '', sidebarSection: 'GAMES ON REDDIT' },
+        { key: 'rex_section_moderation', type: 'enum', options: SECTION_MODES, default: 'Collapse', section: 'sidebar', label: 'MODERATION', description: '', sidebarSection: 'MODERATION' },
+        { key: 'rex_section_custom_feeds', type: 'enum', options: SECTION_MODES, default: 'Collapse', section: 'sidebar', label: 'CUSTOM FEEDS', description: '', sidebarSection: 'CUSTOM FEEDS' },
+        { key: 'rex_section_recent', type: 'enum', options: SECTION_MODES, default: 'Collapse', section: 'sidebar', label: 'RECENT', description: '', sidebarSection: 'RECENT' },
+        { key: 'rex_section_communities', type: 'enum', options: SECTION_MODES, default: 'Collapse', section: 'sidebar', label: 'COMMUNITIES', description: '', sidebarSection: 'COMMUNITIES' },
+        { key: 'rex_section_resources', type: 'enum', options: SECTION_MODES, default: 'Collapse', section: 'sidebar', label: 'RESOURCES', description: '', sidebarSection: 'RESOURCES' },
+
+        // Sidebar Layout
+        {
+            key: 'rex_section_order',
+            type: 'list',
+            default: [],
+            section: 'sidebar_layout',
+            label: 'Section Order',
+            description: '',
+            item: {
+                section: { type: 'string' } // sidebarSection name; sections not listed keep Reddit's order after these
+            }
+        },
+        {
+            key: 'rex_pinned',
+            type: 'list',
+            default: [],
+            section: 'sidebar_layout',
+            label: 'Pinned',
+            description: '',
+            item: {
+                id: { type: 'string' },
+                path: { type: 'string' }, // '/r/name/' or '/user/name/m/feed/'
+                label: { type: 'string' },
+                icon: { type: 'string' } // Discovered on the page, '' until then
+            }
+        },
+
+        // Right Sidebar
+        { key: 'rex_hide_recent_posts', type: 'boolean', default: false, section: 'right_sidebar', label: "Hide 'Recent Posts' Card", description: 'Removes the Recent Posts card from the right sidebar on feeds' },
+        { key: 'rex_hide_reddit_footer', type: 'boolean', default: false, section: 'right_sidebar', label: 'Hide Reddit Footer', description: 'Removes the legal links and copyright block' },
+
+        // Comments Page
+        { key: 'rex_sidebar_collapse', type: 'boolean', default: false, section: 'comments', label: 'Collapse Sidebar', description: 'Automatically collapse the right sidebar on comment pages' },
+        { key: 'rex_comment_collapse_depth', type: 'enum', options: ['Off', '1', '2', '3', '4', '5'], default: 'Off', section: 'comments', label: 'Collapse Replies Below Depth', description: 'Keeps this many levels of comments open and collapses the replies below them (1 = only top-level comments stay open)' },
+        { key: 'rex_collapse_bots', type: 'boolean', default: false, section: 'comments', label: 'Collapse Bot Comments', description: 'Collapses comments by AutoModerator and the bots listed below' },
+        {
+            key: 'rex_comment_bots',
+            type: 'list',
+            default: [],
+            section: 'comments',
+            label: 'Collapsed Bots',
+            description: '',
+            item: {
+                id: { type: 'string' },
+                username: { type: 'string' } // Without the u/ prefix
+            }
+        },
+        { key: 'rex_comment_navigation', type: 'boolean', default: false, section: 'comments', label: 'Comment Navigation Buttons', description: "Floating buttons to jump to the next or previous top-level comment, or between OP's replies (see Keyboard Shortcuts for their keys)" },
+
+        // Subreddit Overrides
+        {
+            key: 'rex_subreddit_overrides',
+            type: 'list',
+            default: [],
+            section: 'overrides',
+            label: 'Subreddit Overrides',
+            description: '',
+            item: {
+                id: { type: 'string' },
+                subreddit: { type: 'string' },
+                key: { type: 'overridableKey' },
+                value: { type: 'settingValue', keyField: 'key' }
+            }
+        },
+
+        // Feed Filters
+        {
+            key: 'rex_feed_filters',
+            type: 'list',
+            default: [],
+            section: 'feed_filters',
+            label: 'Feed Filters',
+            description: '',
+            item: {
+                id: { type: 'string' },
+                field: { type: 'enum', options: ['title', 'author', 'subreddit', 'flair', 'domain'] },
+                pattern: { type: 'string' },
+                action: { type: 'enum', options: ['hide', 'blur'] },
+                enabled: { type: 'boolean' }
+            }
+        },
+
+        // Custom Rules
+        {
+            key: 'rex_custom_rules',
+            type: 'list',
+            default: [],
+            section: 'custom_rules',
+            label: 'Custom Rules',
+            description: '',
+            item: {
+                id: { type: 'string' },
+                selector: { type: 'string' },
+                enabled: { type: 'boolean' }
+            }
+        },
+
+        // Keyboard Shortcuts
+        {
+            key: 'rex_shortcuts',
+            type: 'list',
+            default: SHORTCUT_ACTIONS.map(action => ({ action: action.id, keys: action.keys })),
+            section: 'shortcuts',
+            label: 'Keyboard Shortcuts',
+            description: '',
+            item: {
+                action: { type: 'enum', options: SHORTCUT_ACTIONS.map(action => action.id) },
+                keys: { type: 'string' }
+            }
+        },
+
+        // Diagnostics (read by logger.js before the schema loads)
+        { key: 'rex_debug_mode', type: 'boolean', default: false, section: 'diagnostics', label: 'Debug Mode', description: 'Print every REX event to the browser console and keep detailed events below, e.g. when reporting a problem', overridable: false }
+    ];
+
+    /**
+     * Ordered migrations. Each step receives a mutable copy of all stored values
+     * and brings them from (version - 1) to version.
+     */
+    const MIGRATIONS = [
+        {
+            version: 1,
+            description: 'Drop the unused rex_sidebar_mode placeholder (replaced by per-section modes)',
+            migrate: (values) => {
+                delete values.rex_sidebar_mode;
+            }
+        }
+    ];
+
+    const settingsByKey = {};
+    SETTINGS.forEach(setting => {
+        settingsByKey[setting.key] = setting;
+    });
+
+    let migrationPromise = null;
+
+    /**
+     * Deep-copies a JSON value
+     * @param {any} value
+     * @returns {any}
+     */
+    function clone(value) {
+        return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+    }
+
+    /**
+     * Checks one entry of a list setting against its item descriptor
+     * @param {object} descriptor - List setting definition
+     * @param {any} item
+     * @returns {boolean}
+     */
+    function isValidListItem(descriptor, item) {
+        return !!item && typeof item === 'object' && !Array.isArray(item) &&
+            Object.keys(descriptor.item).every(field => matchesType(descriptor.item[field], item[field], item));
+    }
+
+    /**
+     * Whether a setting can be overridden per subreddit (plain toggles and modes, not lists)
+     * @param {string} key
+     * @returns {boolean}
+     */
+    function isOverridable(key) {
+        const setting = settingsByKey[key];
+        return !!setting && OVERRIDABLE_TYPES.includes(setting.type) && setting.overridable !== false;
+    }
+
+    /**
+     * Checks a value against a type descriptor ({ type, options })
+     * @param {object} descriptor
+     * @param {any} value
+     * @param {object} [item] - Enclosing list item (for fields that depend on a sibling field)
+     * @returns {boolean}
+     */
+    function matchesType(descriptor, value, item) {
+        switch (descriptor.type) {
+            case 'overridableKey':
+                return isOverridable(value);
+            case 'settingValue':
+                return !!item && isOverridable(item[descriptor.keyField]) && matchesType(settingsByKey[item[descriptor.keyField]], value);
+            case 'boolean':
+                return typeof value === 'boolean';
+            case 'string':
+                return typeof value === 'string';
+            case 'enum':
+                return descriptor.options.includes(value);
+            case 'list':
+                return Array.isArray(value) && value.every(item => isValidListItem(descriptor, item));
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Returns the definition of a setting
+     * @param {string} key
+     * @returns {object|undefined}
+     */
+    function get(key) {
+        return settingsByKey[key];
+    }
+
+    /**
+     * Returns the setting keys, optionally only those matching a predicate
+     * @param {Function} [predicate] - Called with each setting definition
+     * @returns {string[]}
+     */
+    function keys(predicate) {
+        return SETTINGS.filter(setting => !predicate || predicate(setting)).map(setting => setting.key);
+    }
+
+    /**
+     * Returns the settings of a panel section, in display order
+     * @param {string} sectionId
+     * @returns {object[]}
+     */
+    function getSectionSettings(sectionId) {
+        return SETTINGS.filter(setting => setting.section === sectionId);
+    }
+
+    /**
+     * Returns a fresh copy of all default values
+     * @returns {object}
+     */
+    function getDefaults() {
+        const defaults = {};
+        SETTINGS.forEach(setting => {
+            defaults[setting.key] = clone(setting.default);
+        });
+        return defaults;
+    }
+
+    /**
+     * Checks whether a value is valid for a setting
+     * @param {string} key
+     * @param {any} value
+     * @returns {boolean}
+     */
+    function validate(key, value) {
+        const setting = get(key);
+        return !!setting && matchesType(setting, value);
+    }
+
+    /**
+     * Returns the value if valid for the setting, otherwise its default
+     * Lists keep their valid entries so one malformed entry doesn't reset the whole list
+     * @param {string} key
+     * @param {any} value
+     * @returns {any}
+     */
+    function normalize(key, value) {
+        const setting = get(key);
+        if (!setting) return value;
+        if (setting.type === 'list' && Array.isArray(value)) {
+            return value.filter(item => isValidListItem(setting, item));
+        }
+        return matchesType(setting, value) ? value : clone(setting.default);
+    }
+
+    /**
+     * Applies the migrations newer than fromVersion to a copy of the values
+     * @param {object} values - Stored or imported values
+     * @param {number} fromVersion
+     * @returns {object} Migrated copy
+     */
+    function migrateValues(values, fromVersion) {
+        const migrated = clone(values) || {};
+        MIGRATIONS
+            .filter(step => step.version > fromVersion)
+            .forEach(step => {
+                step.migrate(migrated);
+                log.info(`Applied migration ${step.version} (${step.description})`);
+            });
+        delete migrated[SCHEMA_VERSION_KEY];
+        return migrated;
+    }
+
+    /**
+     * Brings chrome.storage.sync up to SCHEMA_VERSION (once per page)
+     * @returns {Promise<void>}
+     */
+    function migrate() {
+        if (migrationPromise) return migrationPromise;
+
+        migrationPromise = new Promise((resolve) => {
+            if (typeof chrome === 'undefined' || !chrome.storage || !chrome.storage.sync) {
+                resolve();
+                return;
+            }
+
+            chrome.storage.sync.get(null, (stored) => {
+                const storedVersion = typeof stored[SCHEMA_VERSION_KEY] === 'number' ? stored[SCHEMA_VERSION_KEY] : 0;
+                if (storedVersion >= SCHEMA_VERSION) {
+                    resolve();
+                    return;
+                }
+
+                const original = { ...stored };
+                delete original[SCHEMA_VERSION_KEY];
+                const migrated = migrateValues(original, storedVersion);
+
+                const removed = Object.keys(original).filter(key => !(key in migrated));
+                const updates = { [SCHEMA_VERSION_KEY]: SCHEMA_VERSION };
+                Object.keys(migrated).forEach(key => {
+                    if (JSON.stringify(migrated[key]) !== JSON.stringify(original[key])) {
+                        updates[key] = migrated[key];
+                    }
+                });
+
+                const writeUpdates = () => {
+                    chrome.storage.sync.set(updates, () => {
+                        if (chrome.runtime && chrome.runtime.lastError) {
+                            log.error('Failed to migrate settings', chrome.runtime.lastError);
+                        } else {
+                            log.info(`Migrated settings from version ${storedVersion} to ${SCHEMA_VERSION}`);
+                        }
+                        resolve();
+                    });
+                };
+
+                if (removed.length > 0) {
+                    chrome.storage.sync.remove(removed, writeUpdates);
+                } else {
+                    writeUpdates();
+                }
+            });
+        });
+
+        return migrationPromise;
+    }
+
+    /**
+     * Loads settings from chrome.storage.sync (after migrating), normalized against the schema
+     * @param {string[]} [settingKeys] - Keys to load, defaults to all
+     * @returns {Promise<object>} Map of key to value (defaults for missing/invalid values)
+     */
+    function load(settingKeys) {
+        const requested = settingKeys || keys();
+
+        return migrate().then(() => new Promise((resolve) => {
+            const finish = (items) => {
+                const values = {};
+                requested.forEach(key => {
+                    values[key] = normalize(key, items[key]);
+                });
+                resolve(values);
+            };
+
+            if (typeof chrome === 'undefined' || !chrome.storage || !chrome.storage.sync) {
+                finish({});
+                return;
+            }
+            chrome.storage.sync.get(requested, finish);
+        }));
+    }
+
+    /**
+     * Listens for changes to some settings in chrome.storage.sync
+     * @param {string[]} settingKeys - Keys to watch
+     * @param {Function} callback - Called with a map of changed key to normalized new value
+     */
+    function onChanged(settingKeys, callback) {
+        if (typeof chrome === 'undefined' || !chrome.storage || !chrome.storage.onChanged) return;
+
+        chrome.storage.onChanged.addListener((changes, area) => {
+            if (area !== 'sync') return;
+
+            const changed = {};
+            let hasChanges = false;
+            settingKeys.forEach(key => {
+                if (changes[key]) {
+                    changed[key] = normalize(key, changes[key].newValue);
+                    hasChanges = true;
+                }
+            });
+            if (hasChanges) callback(changed);
+        });
+    }
+
+    return {
+        SCHEMA_VERSION,
+        SCHEMA_VERSION_KEY,
+        SECTION_MODES,
+        SHORTCUT_ACTIONS,
+        SECTIONS,
+        SETTINGS,
+        get,
+        keys,
+        getSectionSettings,
+        getDefaults,
+        validate,
+        isOverridable,
+        normalize,
+        migrateValues,
+        migrate,
+        load,
+        onChanged
+    };
+})();
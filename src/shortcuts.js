@@ -0,0 +1,357 @@
+/**
+ * REX - Reddit Enhancement Extension
+ * Shortcuts Module: Keyboard shortcuts for REX actions, bound through the rex_shortcuts
+ * setting (see SHORTCUT_ACTIONS in settingsschema.js), plus a "?" overlay listing them.
+ */
+
+window.REX_SHORTCUTS = (function () {
+    'use strict';
+
+    const SCHEMA = window.REX_SETTINGS_SCHEMA;
+    const OVERRIDES = window.REX_OVERRIDES;
+    const ROUTER = window.REX_ROUTER;
+    const OBSERVER = window.REX_OBSERVER;
+    const SELECTORS = window.REX_SELECTORS;
+    const I18N = window.REX_I18N;
+    const log = window.REX_LOG.create('Shortcuts');
+
+    const BINDINGS_KEY = 'rex_shortcuts';
+    const OVERLAY_ID = 'rex-shortcuts-overlay';
+    const SUBREDDIT_INDICATOR_ID = 'rex-subreddit-indicator'; // See redditheader.js
+
+    const MODIFIER_KEYS = ['Control', 'Alt', 'Shift', 'Meta'];
+
+    // Elements whose (possibly closed) shadow roots hold text fields
+    const TEXT_HOSTS = 'faceplate-search-input, reddit-search-large, faceplate-text-input, faceplate-textarea-input, shreddit-composer';
+
+    const actionsById = {};
+    SCHEMA.SHORTCUT_ACTIONS.forEach(action => {
+        actionsById[action.id] = action;
+    });
+
+    let bindings = getBindings(null);
+    let listening = false;
+
+    /**
+     * Returns the keys bound to every action: stored bindings on top of the defaults,
+     * so actions added in a later version get their default keys
+     * @param {Array<object>|null} stored - rex_shortcuts value
+     * @returns {object} Map of action id to keys ('' when unbound)
+     */
+    function getBindings(stored) {
+        const result = {};
+        SCHEMA.SHORTCUT_ACTIONS.forEach(action => {
+            result[action.id] = action.keys;
+        });
+        (Array.isArray(stored) ? stored : []).forEach(item => {
+            if (item && item.action in result) result[item.action] = item.keys;
+        });
+        return result;
+    }
+
+    /**
+     * Converts a bindings map back to the stored list format
+     * @param {object} map - Action id to keys
+     * @returns {Array<object>}
+     */
+    function toList(map) {
+        return SCHEMA.SHORTCUT_ACTIONS.map(action => ({ action: action.id, keys: map[action.id] || '' }));
+    }
+
+    /**
+     * Finds the action already using some keys
+     * @param {object} map - Action id to keys
+     * @param {string} keys
+     * @param {string} [ignoreAction] - Action being rebound
+     * @returns {string|null} Action id
+     */
+    function findConflict(map, keys, ignoreAction) {
+        if (!keys) return null;
+        return Object.keys(map).find(id => id !== ignoreAction && map[id] === keys) || null;
+    }
+
+    /**
+     * Human readable name of an action
+     * @param {string} id
+     * @returns {string}
+     */
+    function getActionLabel(id) {
+        const action = actionsById[id];
+        if (!action) return id;
+        return I18N.actionLabel(action, action.setting ? SCHEMA.get(action.setting) : null);
+    }
+
+    /**
+     * Describes a key event in the bindings format ('Alt+Shift+S', '/', '?')
+     * Letters use their physical key so Alt combinations work on every layout;
+     * other printable characters already include Shift (e.g. '?')
+     * @param {KeyboardEvent} e
+     * @returns {string|null} Null for a lone modifier key
+     */
+    function formatCombo(e) {
+        if (!e.key || MODIFIER_KEYS.includes(e.key)) return null;
+
+        const letter = /^Key([A-Z])$/.exec(e.code || '');
+        const digit = /^Digit([0-9])$/.exec(e.code || '');
+        let key = e.key;
+        let shiftInKey = false;
+
+        if (letter) {
+            key = letter[1];
+        } else if (digit && !e.shiftKey) {
+            key = digit[1];
+        } else if (e.key === ' ') {
+            key = 'Space';
+        } else if (e.key.length === 1) {
+            shiftInKey = true;
+        }
+
+        const parts = [];
+        if (e.ctrlKey) parts.push('Ctrl');
+        if (e.altKey) parts.push('Alt');
+        if (e.shiftKey && !shiftInKey) parts.push('Shift');
+        if (e.metaKey) parts.push('Meta');
+        parts.push(key);
+        return parts.join('+');
+    }
+
+    /**
+     * Whether an element accepts typed text
+     * @param {Element} element
+     * @returns {boolean}
+     */
+    function isEditable(element) {
+        return !!element && (element.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(element.tagName || ''));
+    }
+
+    /**
+     * Whether a key event happens while typing, including in inputs inside shadow roots
+     * (e.g. the search box's faceplate-search-input)
+     * @param {KeyboardEvent} e
+     * @returns {boolean}
+     */
+    function isTyping(e) {
+        const path = e.composedPath ? e.composedPath() : [e.target];
+        if (isEditable(path[0])) return true;
+
+        // Follow focus into shadow roots (the event target is retargeted to the host)
+        let active = document.activeElement;
+        while (active && active.shadowRoot && active.shadowRoot.activeElement) {
+            active = active.shadowRoot.activeElement;
+        }
+        if (isEditable(active)) return true;
+
+        // Closed shadow roots hide both: fall back to the hosts known to contain text fields
+        return path.some(node => node.matches && node.matches(TEXT_HOSTS));
+    }
+
+    /**
+     * Finds Reddit's search input (inside the faceplate-search-input shadow root)
+     * @returns {HTMLInputElement|null}
+     */
+    function findSearchInput() {
+        for (const root of [document, ...OBSERVER.getShadowRoots()]) {
+            const host = root.querySelector('faceplate-search-input');
+            const input = host && host.shadowRoot ? host.shadowRoot.querySelector('input') : null;
+            if (input) return input;
+        }
+        return SELECTORS.find('search_input');
+    }
+
+    /**
+     * Flips the global value of a toggle action's boolean setting
+     * Subreddit overrides are left alone, so a page with an override for it keeps that value
+     * @param {object} action - Entry of SHORTCUT_ACTIONS with a setting
+     */
+    function toggleSetting(action) {
+        const key = action.setting;
+        Promise.all([SCHEMA.load([key]), OVERRIDES.load([key])]).then(([globalValues, effective]) => {
+            const value = !globalValues[key];
+            const overridden = effective[key] !== globalValues[key];
+            chrome.storage.sync.set({ [key]: value }, () => {
+                if (chrome.runtime && chrome.runtime.lastError) {
+                    log.error('Failed to save', key, chrome.runtime.lastError);
+                    return;
+                }
+                log.info(`${getActionLabel(action.id)} → ${value ? 'on' : 'off'} globally`);
+                if (overridden) log.info(`r/${OVERRIDES.getSubreddit()} keeps its override for ${key}`);
+            });
+        });
+    }
+
+    /**
+     * Goes to the subreddit, profile or feed shown by the header indicator (or the subreddit in the URL)
+     */
+    function openSubreddit() {
+        const indicator = document.getElementById(SUBREDDIT_INDICATOR_ID);
+        if (indicator) {
+            // Let Reddit's router handle the link (no full page load)
+            indicator.click();
+            return;
+        }
+        const subreddit = ROUTER.getRoute().subreddit;
+        if (subreddit) window.location.assign(`/r/${subreddit}/`);
+    }
+
+    /**
+     * Shows or hides the overlay listing the active shortcuts
+     */
+    function toggleHelp() {
+        const existing = document.getElementById(OVERLAY_ID);
+        if (existing) {
+            existing.remove();
+            return;
+        }
+
+        const overlay = document.createElement('div');
+        overlay.id = OVERLAY_ID;
+        overlay.setAttribute('role', 'dialog');
+        overlay.setAttribute('aria-label', I18N.t('shortcuts_overlay_title'));
+        overlay.style.cssText = `
+            position: fixed;
+            inset: 0;
+            z-index: 2147483647;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            background: rgba(0, 0, 0, 0.5);
+        `;
+        overlay.addEventListener('click', (e) => {
+            if (e.target === overlay) overlay.remove();
+        });
+
+        const card = document.createElement('div');
+        card.style.cssText = `
+            min-width: 320px;
+            max-height: 80vh;
+            overflow: auto;
+            padding: 16px 20px;
+            border-radius: 16px;
+            background: var(--color-neutral-background, #FFFFFF);
+            color: var(--color-neutral-content-strong, #1A1A1B);
+            font-size: 14px;
+        `;
+
+        const title = document.createElement('h2');
+        title.textContent = I18N.t('shortcuts_overlay_title');
+        title.style.cssText = 'margin: 0 0 12px; font-size: 16px; font-weight: 600;';
+        card.appendChild(title);
+
+        const active = SCHEMA.SHORTCUT_ACTIONS.filter(action => bindings[action.id]);
+        active.forEach(action => {
+            const row = document.createElement('div');
+            row.className = 'rex-shortcuts-overlay-row';
+            row.style.cssText = 'display: flex; justify-content: space-between; gap: 24px; padding: 4px 0;';
+
+            const label = document.createElement('span');
+            label.textContent = getActionLabel(action.id);
+            const keys = document.createElement('kbd');
+            keys.textContent = bindings[action.id];
+            keys.style.cssText = `
+                padding: 0 6px;
+                border: 1px solid var(--color-neutral-border, #C9CED1);
+                border-radius: 4px;
+                font-family: monospace;
+                white-space: nowrap;
+            `;
+            row.appendChild(label);
+            row.appendChild(keys);
+            card.appendChild(row);
+        });
+
+        if (active.length === 0) {
+            const empty = document.createElement('p');
+            empty.textContent = I18N.t('shortcuts_overlay_empty');
+            card.appendChild(empty);
+        }
+
+        overlay.appendChild(card);
+        document.body.appendChild(overlay);
+    }
+
+    // What each action does (toggle actions are handled through their setting)
+    const HANDLERS = {
+        toggle_sections: () => {
+            const sidebar = window.REX_SIDEBAR;
+            if (!sidebar) return;
+            // Expand everything; if everything was already open, go back to the configured modes
+            if (sidebar.expandNow() === 0) sidebar.collapseNow();
+        },
+        focus_search: () => {
+            const input = findSearchInput();
+            if (input) input.focus();
+        },
+        open_subreddit: openSubreddit,
+        open_settings: () => {
+            if (window.REX_SETTINGS) window.REX_SETTINGS.open();
+        },
+        cycle_profile: () => {
+            if (window.REX_PROFILES) window.REX_PROFILES.cycle();
+        },
+        show_help: toggleHelp,
+        next_comment: () => {
+            if (window.REX_COMMENT_THREADS) window.REX_COMMENT_THREADS.next();
+        },
+        previous_comment: () => {
+            if (window.REX_COMMENT_THREADS) window.REX_COMMENT_THREADS.previous();
+        },
+        toggle_op_replies: () => {
+            if (window.REX_COMMENT_THREADS) window.REX_COMMENT_THREADS.toggleOpMode();
+        }
+    };
+
+    /**
+     * Runs the action bound to a key press
+     * @param {KeyboardEvent} e
+     */
+    function handleKeydown(e) {
+        if (e.defaultPrevented) return;
+
+        if (e.key === 'Escape' && document.getElementById(OVERLAY_ID)) {
+            document.getElementById(OVERLAY_ID).remove();
+            return;
+        }
+        if (isTyping(e)) return;
+
+        const combo = formatCombo(e);
+        const action = combo ? SCHEMA.SHORTCUT_ACTIONS.find(a => bindings[a.id] === combo) : null;
+        if (!action) return;
+
+        e.preventDefault();
+        e.stopPropagation();
+
+        if (action.setting) {
+            toggleSetting(action);
+        } else if (HANDLERS[action.id]) {
+            HANDLERS[action.id]();
+        }
+    }
+
+    function init() {
+        log.info('Initializing');
+
+        if (typeof chrome !== 'undefined' && chrome.storage && chrome.storage.sync) {
+            SCHEMA.load([BINDINGS_KEY]).then((settings) => {
+                bindings = getBindings(settings[BINDINGS_KEY]);
+
+                if (!listening) {
+                    listening = true;
+                    document.addEventListener('keydown', handleKeydown, true);
+                }
+            });
+
+            SCHEMA.onChanged([BINDINGS_KEY], (changed) => {
+                bindings = getBindings(changed[BINDINGS_KEY]);
+            });
+        }
+    }
+
+    return {
+        init,
+        getBindings,
+        toList,
+        findConflict,
+        getActionLabel,
+        formatCombo
+    };
+})();
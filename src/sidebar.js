@@ -1,170 +1,309 @@
 /**
  * REX - Reddit Enhancement Extension
- * Sidebar Module: Handles collapsing of sidebar sections and hiding of specific links
+ * Sidebar Module: Handles collapsing of sidebar sections, hiding of specific links and right rail cards,
+ * and injection of user-defined custom hide rules
  */
 
 window.REX_SIDEBAR = (function () {
     'use strict';
 
+    const SCHEMA = window.REX_SETTINGS_SCHEMA;
+    const OVERRIDES = window.REX_OVERRIDES;
+    const ROUTER = window.REX_ROUTER;
+    const OBSERVER = window.REX_OBSERVER;
+    const STYLES = window.REX_STYLES;
+    const SELECTORS = window.REX_SELECTORS;
+    const log = window.REX_LOG.create('Sidebar');
+
+    // Elements hidden via registered stylesheets (document + shadow roots), keyed by setting
+    const HIDE_RULES = [
+        { key: 'popular', settingKey: 'rex_hide_popular', styleName: 'rex-hide-popular-style', selector: 'a[href*="/r/popular"], #popular-posts' },
+        { key: 'explore', settingKey: 'rex_hide_explore', styleName: 'rex-hide-explore-style', selector: 'a[href="/explore/"], #explore-communities' },
+        { key: 'community', settingKey: 'rex_hide_start_community', styleName: 'rex-hide-create-community-style', selector: '.left-nav-create-community-button, a[href*="/subreddits/create"], #create-community-button' },
+        // Right rail "Recent Posts" card on feeds
+        { key: 'recentPosts', settingKey: 'rex_hide_recent_posts', styleName: 'rex-hide-recent-posts-style', selector: 'recent-posts, reddit-recent-pages, [aria-label="Recent posts"]' },
+        // Legal links / copyright block at the bottom of the sidebars
+        { key: 'footer', settingKey: 'rex_hide_reddit_footer', styleName: 'rex-hide-reddit-footer-style', selector: '#legal-links, .legal-links, nav[aria-label="Legal links"], footer:has(a[href*="redditinc.com/policies"])' }
+    ];
+
     // Track active style states for link hiding
-    const activeStyles = {
-        popular: false,
-        explore: false,
-        community: false
-    };
+    const activeStyles = {};
+    HIDE_RULES.forEach(rule => {
+        activeStyles[rule.key] = false;
+    });
+
+    // User-defined hide rules (REX Settings > Custom Rules), registered the same way
+    const CUSTOM_RULES_KEY = 'rex_custom_rules';
+    const CUSTOM_RULES_STYLE_NAME = 'rex-custom-rules-style';
+
+    // Hides the contents of managed sections until their mode is applied (prevents a flash of
+    // expanded sections), for LOADER_TIMEOUT at most so a section REX can't find isn't left empty
+    const LOADER_STYLE_NAME = 'rex-loader-hide';
+    const LOADER_TIMEOUT = 3000;
+    const LOADER_SUFFIX = '[open] > :not(summary)';
+    const loaderHostStyles = new Set(); // Names of the per-host loader styles in use
+    let loaderActive = false;
+    let customRulesCss = '';
+
+    // Sidebar sections REX manages, the setting key holding each one's mode,
+    // and the selectors.js target that finds it
+    const SECTIONS = SCHEMA.SETTINGS
+        .filter(setting => setting.sidebarSection)
+        .map(setting => ({ name: setting.sidebarSection, key: setting.key, target: SELECTORS.getSectionTargetId(setting.sidebarSection) }));
+
+    // Current mode per section name ('Show', 'Collapse' or 'Hide')
+    const sectionModes = {};
+    SECTIONS.forEach(section => {
+        sectionModes[section.name] = SCHEMA.get(section.key).default;
+    });
+
+    // Marks details elements REX has hidden, so they can be restored later
+    const HIDDEN_SECTION_ATTR = 'data-rex-hidden-section';
+
+    // Track which sections we've already processed (persistent across retries)
+    const processedSections = new Set();
+    let observing = false;
+
+    // "Remember my choice": last state the user left each section in, per scope
+    // ('*' everywhere, or a subreddit name). UI state, so it lives in local storage.
+    const MEMORY_KEY = 'rex_section_memory';
+    const SECTION_STATE_KEY = 'rex_sidebar_section_state';
+    const GLOBAL_SCOPE = '*';
+    let memoryMode = SCHEMA.get(MEMORY_KEY).default;
+    let sectionState = {}; // scope -> { sectionName: open }
+
+    // Open state REX itself just set, so the resulting toggle event isn't taken for a user choice
+    const expectedToggles = new WeakMap();
+    const watchedDetails = new WeakSet();
 
-    // Define which sections to collapse
-    const SECTIONS_TO_COLLAPSE = [
-        'GAMES ON REDDIT',
-        'MODERATION',
-        'CUSTOM FEEDS',
-        'RECENT',
-        'COMMUNITIES',
-        'RESOURCES'
-    ];
+    /**
+     * Returns the scope user choices are remembered in on the current page
+     * @returns {string}
+     */
+    function getMemoryScope() {
+        return (memoryMode === 'Per Subreddit' && OVERRIDES.getSubreddit()) || GLOBAL_SCOPE;
+    }
 
-    // Track which sections we've already collapsed (persistent across retries)
-    const collapsedSections = new Set();
-    let observer = null;
+    /**
+     * Returns the remembered open state of a section, if any
+     * @param {string} sectionName
+     * @returns {boolean|undefined}
+     */
+    function getRememberedState(sectionName) {
+        if (memoryMode === 'Off') return undefined;
+        const scoped = sectionState[getMemoryScope()];
+        return scoped ? scoped[sectionName] : undefined;
+    }
 
     /**
-     * Find all shadow roots in the document
-     * @param {Element} root - Root element to search from
-     * @returns {Array} Array of shadow roots
+     * Stores the state a user left a section in
+     * @param {string} sectionName
+     * @param {boolean} open
      */
-    function findAllShadowRoots(root = document.body) {
-        const shadowRoots = [];
-        const walker = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT);
-
-        let node;
-        while (node = walker.nextNode()) {
-            if (node.shadowRoot) {
-                shadowRoots.push(node.shadowRoot);
-                // Recursively find shadow roots inside shadow roots
-                shadowRoots.push(...findAllShadowRoots(node.shadowRoot));
-            }
+    function rememberState(sectionName, open) {
+        const scope = getMemoryScope();
+        sectionState[scope] = { ...sectionState[scope], [sectionName]: open };
+        log.debug(`Remembered ${sectionName} as ${open ? 'open' : 'closed'}${scope === GLOBAL_SCOPE ? '' : ` in r/${scope}`}`);
+
+        if (typeof chrome !== 'undefined' && chrome.storage && chrome.storage.local) {
+            chrome.storage.local.set({ [SECTION_STATE_KEY]: sectionState });
         }
+    }
 
-        return shadowRoots;
+    /**
+     * Opens or closes a section on REX's behalf
+     * @param {HTMLDetailsElement} details
+     * @param {boolean} open
+     */
+    function setSectionOpen(details, open) {
+        expectedToggles.set(details, open);
+        if (open) {
+            details.setAttribute('open', '');
+        } else {
+            details.removeAttribute('open');
+        }
     }
 
     /**
-     * Applies or removes styles for a specific root (Document or ShadowRoot)
-     * @param {Document|ShadowRoot} root 
+     * Records user toggles of a section (once per element)
+     * @param {HTMLDetailsElement} details
+     * @param {string} sectionName
      */
-    function applyStylesToRoot(root) {
-        const rules = [
-            { key: 'popular', id: 'rex-hide-popular-style', selector: 'a[href*="/r/popular"], #popular-posts' },
-            { key: 'explore', id: 'rex-hide-explore-style', selector: 'a[href="/explore/"], #explore-communities' },
-            { key: 'community', id: 'rex-hide-create-community-style', selector: '.left-nav-create-community-button, a[href*="/subreddits/create"], #create-community-button' }
-        ];
-
-        rules.forEach(rule => {
-            const shouldHide = activeStyles[rule.key];
-            // Handle both Document (getElementById) and ShadowRoot (querySelector or getElementById if supported)
-            const existingStyle = root.getElementById ? root.getElementById(rule.id) : root.querySelector(`#${rule.id}`);
-
-            if (shouldHide) {
-                if (!existingStyle) {
-                    const style = document.createElement('style');
-                    style.id = rule.id;
-                    // Use !important and generic selector to ensure it overrides
-                    style.textContent = `${rule.selector} { display: none !important; }`;
-
-                    if (root.head) {
-                        root.head.appendChild(style);
-                    } else {
-                        root.appendChild(style);
-                    }
-                    // console.log(`[REX-Sidebar] Applied ${rule.key} style to root`, root);
-                }
-            } else {
-                if (existingStyle) {
-                    existingStyle.remove();
-                }
-            }
+    function watchToggle(details, sectionName) {
+        if (watchedDetails.has(details)) return;
+        watchedDetails.add(details);
+
+        details.addEventListener('toggle', () => {
+            const expected = expectedToggles.get(details);
+            expectedToggles.delete(details);
+            if (expected === details.open || memoryMode === 'Off' || details.hasAttribute(HIDDEN_SECTION_ATTR)) return;
+            rememberState(sectionName, details.open);
         });
     }
 
     /**
-     * Updates visibility for all known roots (Main Doc + Shadow Roots)
+     * Builds the stylesheet for the enabled custom rules
+     * Each selector gets its own rule so one invalid selector doesn't disable the others;
+     * selectors that don't parse or could break out of their rule (imported, synced) are left out
+     * @param {Array<{selector: string, enabled: boolean}>} rules
+     * @returns {string}
      */
-    function updateAllRoots() {
-        // Main Document
-        applyStylesToRoot(document);
-
-        // All Shadow Roots
-        const shadowRoots = findAllShadowRoots();
-        shadowRoots.forEach(root => applyStylesToRoot(root));
-        console.log(`[REX-Sidebar] Updated styles for document and ${shadowRoots.length} shadow roots`);
+    function buildCustomRulesCss(rules) {
+        if (!Array.isArray(rules)) return '';
+
+        return rules
+            .filter(rule => rule && rule.enabled && typeof rule.selector === 'string' && SELECTORS.isValidSelector(rule.selector.trim()))
+            .map(rule => `${rule.selector.trim()} { display: none !important; }`)
+            .join('\n');
     }
 
     /**
-     * Find and collapse specified sidebar sections
-     * @returns {number} Count of newly collapsed sections
+     * Applies the link hiding and custom rule stylesheets (the registry covers the
+     * document and every shadow root, including ones rendered later)
      */
-    function collapseSidebarSections() {
-        let newlyCollapsedCount = 0;
-        const sectionsFoundThisRun = [];
-        const allSummaryTexts = [];
-
-        // Collect all details elements from main DOM and shadow DOMs
-        const allDetailsElements = [];
+    function updateHideStyles() {
+        HIDE_RULES.forEach(rule => {
+            STYLES.set(rule.styleName, activeStyles[rule.key] ? `${rule.selector} { display: none !important; }` : '');
+        });
+        STYLES.set(CUSTOM_RULES_STYLE_NAME, customRulesCss);
+        log.debug('Hide styles updated:', activeStyles, customRulesCss ? 'with custom rules' : 'no custom rules');
+    }
 
-        // Get details from main DOM
-        const mainDetails = Array.from(document.querySelectorAll('details'));
-        allDetailsElements.push(...mainDetails);
+    /**
+     * Applies the loader style to the managed sections still waiting for their mode (in the
+     * document and in the shadow roots that hold sections), or removes it once none are left
+     */
+    function updateLoaderStyle() {
+        const waiting = loaderActive
+            ? SECTIONS.filter(section => sectionModes[section.name] !== 'Show' && !processedSections.has(section.name))
+            : [];
+
+        const documentCss = waiting
+            .map(section => SELECTORS.toCss(section.target, { withHas: true, suffix: LOADER_SUFFIX }))
+            .filter(Boolean)
+            .join(', ');
+        STYLES.set(LOADER_STYLE_NAME, documentCss && `${documentCss} { display: none !important; }`, { roots: 'document' });
+
+        const hostCss = {};
+        waiting.forEach(section => {
+            SELECTORS.getHosts(section.target).forEach(host => {
+                const css = SELECTORS.toCss(section.target, { host, suffix: LOADER_SUFFIX });
+                hostCss[host] = hostCss[host] ? `${hostCss[host]}, ${css}` : css;
+            });
+        });
+        loaderHostStyles.forEach(name => STYLES.remove(name));
+        loaderHostStyles.clear();
+        Object.keys(hostCss).forEach(host => {
+            const name = `${LOADER_STYLE_NAME}-${host}`;
+            STYLES.set(name, `${hostCss[host]} { display: none !important; }`, { roots: [host] });
+            loaderHostStyles.add(name);
+        });
+    }
 
-        // Get details from shadow DOMs
-        const shadowRoots = findAllShadowRoots();
+    /**
+     * Removes the loader style for good
+     */
+    function stopLoader() {
+        if (!loaderActive) return;
+        loaderActive = false;
+        updateLoaderStyle();
+    }
 
-        for (const shadowRoot of shadowRoots) {
-            const shadowDetails = Array.from(shadowRoot.querySelectorAll('details'));
-            if (shadowDetails.length > 0) {
-                allDetailsElements.push(...shadowDetails);
+    /**
+     * Applies a section mode to a single details element
+     * @param {HTMLDetailsElement} details
+     * @param {string} sectionName
+     * @param {string} mode - 'Show', 'Collapse' or 'Hide'
+     * @returns {boolean} True if the section was newly collapsed
+     */
+    function applySectionMode(details, sectionName, mode) {
+        if (mode === 'Hide') {
+            if (!details.hasAttribute(HIDDEN_SECTION_ATTR)) {
+                log.debug(`Hiding ${sectionName} section`);
+                details.setAttribute(HIDDEN_SECTION_ATTR, '');
+                details.style.setProperty('display', 'none', 'important');
             }
+            return false;
         }
 
-        // Process all details elements
-        for (const details of allDetailsElements) {
-            const summary = details.querySelector('summary');
-            if (!summary) continue;
+        // Restore a section that was hidden before the mode changed
+        if (details.hasAttribute(HIDDEN_SECTION_ATTR)) {
+            details.removeAttribute(HIDDEN_SECTION_ATTR);
+            details.style.removeProperty('display');
+        }
 
-            const summaryText = summary.textContent || '';
-            const trimmedText = summaryText.trim();
+        // The user's last choice wins over the mode
+        const remembered = getRememberedState(sectionName);
+        if (remembered !== undefined) {
+            if (details.open === remembered) return false;
+            log.debug(`Restoring ${sectionName} section (${remembered ? 'open' : 'closed'})`);
+            setSectionOpen(details, remembered);
+            return !remembered;
+        }
 
-            if (trimmedText) {
-                const snippet = trimmedText.substring(0, 50).replace(/\s+/g, ' ');
-                allSummaryTexts.push(snippet);
-            }
+        if (mode === 'Collapse' && details.hasAttribute('open')) {
+            log.debug(`Collapsing ${sectionName} section`);
+            setSectionOpen(details, false);
+            return true;
+        }
 
-            // Check if this summary contains any of our target sections
-            for (const sectionName of SECTIONS_TO_COLLAPSE) {
-                if (summaryText.toUpperCase().includes(sectionName.toUpperCase())) {
-                    sectionsFoundThisRun.push(sectionName);
-
-                    if (collapsedSections.has(sectionName)) {
-                        break;
-                    }
-
-                    const isOpen = details.hasAttribute('open');
-
-                    if (isOpen) {
-                        console.log(`[REX-Sidebar] ✓ Collapsing ${sectionName} section`);
-                        details.removeAttribute('open');
-                        collapsedSections.add(sectionName);
-                        newlyCollapsedCount++;
-                    } else {
-                        collapsedSections.add(sectionName);
-                    }
-                    break;
-                }
+        return false;
+    }
+
+    /**
+     * Finds the managed sidebar sections on the page (main DOM and shadow DOMs)
+     * Matched by structural hints, then by localized summary text (see selectors.js)
+     * @returns {Array<{ details: HTMLDetailsElement, section: object }>}
+     */
+    function findSections() {
+        const found = [];
+
+        SECTIONS.forEach(section => {
+            SELECTORS.resolve(section.target).elements.forEach(details => {
+                if (!found.some(entry => entry.details === details)) found.push({ details, section });
+            });
+        });
+
+        return found;
+    }
+
+    /**
+     * Find sidebar sections and apply their configured mode (Show/Collapse/Hide)
+     * @returns {number} Count of newly collapsed sections
+     */
+    function collapseSidebarSections() {
+        let newlyCollapsedCount = 0;
+
+        findSections().forEach(({ details, section }) => {
+            watchToggle(details, section.name);
+            if (processedSections.has(section.name)) return;
+
+            if (applySectionMode(details, section.name, sectionModes[section.name])) {
+                newlyCollapsedCount++;
             }
-        }
+            processedSections.add(section.name);
+        });
 
         return newlyCollapsedCount;
     }
 
+    /**
+     * Opens every managed section that isn't hidden (until the modes are applied again)
+     * @returns {number} Count of newly expanded sections
+     */
+    function expandSidebarSections() {
+        let newlyExpandedCount = 0;
+
+        findSections().forEach(({ details }) => {
+            if (details.hasAttribute(HIDDEN_SECTION_ATTR) || details.open) return;
+            setSectionOpen(details, true);
+            newlyExpandedCount++;
+        });
+
+        if (newlyExpandedCount > 0) log.debug(`Expanded ${newlyExpandedCount} sections`);
+        return newlyExpandedCount;
+    }
+
     /**
      * Try to collapse with retries for dynamic content
      */
@@ -172,152 +311,164 @@ window.REX_SIDEBAR = (function () {
         collapseSidebarSections();
 
         // Check if we've found all sections
-        const allSectionsFound = SECTIONS_TO_COLLAPSE.every(section =>
-            collapsedSections.has(section)
+        const allSectionsFound = SECTIONS.every(section =>
+            processedSections.has(section.name)
         );
 
         if (allSectionsFound) {
-            console.log(`[REX-Sidebar] ✓ Successfully found and processed all sections!`);
-            const hideStyle = document.getElementById('rex-loader-hide');
-            if (hideStyle) hideStyle.remove();
+            log.debug(`Successfully found and processed all sections!`);
+            stopLoader();
             return;
         }
+        if (loaderActive) updateLoaderStyle();
 
         if (retries > 0) {
             setTimeout(() => attemptCollapse(retries - 1, delay), delay);
         } else {
-            const hideStyle = document.getElementById('rex-loader-hide');
-            if (hideStyle) hideStyle.remove();
+
+            // Record what could not be found (REX Settings > Diagnostics)
+            const missing = SECTIONS.filter(section => !processedSections.has(section.name));
+            missing.forEach(section => SELECTORS.check(section.target));
+            log.info(`Gave up looking for: ${missing.map(section => section.name).join(', ')}`);
         }
     }
 
     /**
-     * Initialize Settings Listeners for Sidebar Links
+     * Initialize Settings Listeners for Sidebar Links and right rail elements
      */
     function initLinkHiding() {
-        if (typeof chrome !== 'undefined' && chrome.storage && chrome.storage.sync) {
-            chrome.storage.sync.get(['rex_hide_popular', 'rex_hide_explore', 'rex_hide_start_community'], (items) => {
-                activeStyles.popular = !!items.rex_hide_popular;
-                activeStyles.explore = !!items.rex_hide_explore;
-                activeStyles.community = !!items.rex_hide_start_community;
-                updateAllRoots();
+        const settingKeys = [...HIDE_RULES.map(rule => rule.settingKey), CUSTOM_RULES_KEY];
+
+        OVERRIDES.load(settingKeys).then((settings) => {
+            HIDE_RULES.forEach(rule => {
+                activeStyles[rule.key] = settings[rule.settingKey];
             });
+            customRulesCss = buildCustomRulesCss(settings[CUSTOM_RULES_KEY]);
+            updateHideStyles();
+        });
 
-            chrome.storage.onChanged.addListener((changes, area) => {
-                if (area === 'sync') {
-                    let needsUpdate = false;
-                    if (changes.rex_hide_popular) {
-                        activeStyles.popular = changes.rex_hide_popular.newValue;
-                        needsUpdate = true;
-                    }
-                    if (changes.rex_hide_explore) {
-                        activeStyles.explore = changes.rex_hide_explore.newValue;
-                        needsUpdate = true;
-                    }
-                    if (changes.rex_hide_start_community) {
-                        activeStyles.community = changes.rex_hide_start_community.newValue;
-                        needsUpdate = true;
-                    }
-                    if (needsUpdate) {
-                        updateAllRoots();
-                    }
+        OVERRIDES.onChanged(settingKeys, (changed) => {
+            HIDE_RULES.forEach(rule => {
+                if (rule.settingKey in changed) {
+                    activeStyles[rule.key] = changed[rule.settingKey];
                 }
             });
-        }
+            if (CUSTOM_RULES_KEY in changed) {
+                customRulesCss = buildCustomRulesCss(changed[CUSTOM_RULES_KEY]);
+            }
+            updateHideStyles();
+        });
     }
 
-    function init() {
-        console.log('[REX-Sidebar] Initializing Sidebar Logic');
-
-        // Initialize Link Hiding (Settings-based)
-        initLinkHiding();
+    /**
+     * Loads the per-section modes and listens for changes
+     * @param {Function} callback - Called once the stored modes are known
+     */
+    function initSectionModes(callback) {
+        const settingKeys = [...SECTIONS.map(section => section.key), MEMORY_KEY];
 
-        // Inject CSS to hide details content during initial load (prevents flash)
-        if (!document.getElementById('rex-loader-hide')) {
-            const style = document.createElement('style');
-            style.id = 'rex-loader-hide';
-            style.textContent = `
-                details[open] > :not(summary) {
-                    display: none !important;
-                }
-            `;
-            document.documentElement.appendChild(style);
-        }
+        const loadSectionState = new Promise((resolve) => {
+            if (typeof chrome === 'undefined' || !chrome.storage || !chrome.storage.local) {
+                resolve({});
+                return;
+            }
+            chrome.storage.local.get([SECTION_STATE_KEY], (local) => resolve(local[SECTION_STATE_KEY] || {}));
+        });
 
-        // Initial attempt after page load
-        if (document.readyState === 'loading') {
-            document.addEventListener('DOMContentLoaded', () => {
-                attemptCollapse();
+        Promise.all([OVERRIDES.load(settingKeys), loadSectionState]).then(([settings, storedState]) => {
+            SECTIONS.forEach(section => {
+                sectionModes[section.name] = settings[section.key];
             });
-        } else {
-            attemptCollapse();
-        }
+            memoryMode = settings[MEMORY_KEY];
+            sectionState = storedState;
+            log.debug('Section modes:', sectionModes, 'memory:', memoryMode);
+            // Sections shown as Reddit renders them need no loader
+            if (loaderActive) updateLoaderStyle();
+            callback();
+        });
 
-        // Watch for dynamic content changes
-        if (!observer) {
-            observer = new MutationObserver((mutations) => {
-                let shouldCheckCollapse = false;
-                let newNodesFound = false;
-
-                for (const mutation of mutations) {
-                    if (mutation.addedNodes.length > 0) {
-                        newNodesFound = true;
-                        // Check nodes for collapse targets
-                        for (const node of mutation.addedNodes) {
-                            if (node.nodeType === Node.ELEMENT_NODE) {
-                                // If this node is or contains a shadow root, we need to inject styles
-                                if (node.shadowRoot) {
-                                    applyStylesToRoot(node.shadowRoot);
-                                }
-                                // Also scan descendants for shadow roots
-                                const nestedShadows = findAllShadowRoots(node);
-                                nestedShadows.forEach(root => applyStylesToRoot(root));
-
-                                const textContent = node.textContent || '';
-                                const hasTargetSection = SECTIONS_TO_COLLAPSE.some(section =>
-                                    textContent.toUpperCase().includes(section.toUpperCase())
-                                );
-                                if (hasTargetSection) {
-                                    shouldCheckCollapse = true;
-                                }
-                            }
-                        }
-                    }
+        OVERRIDES.onChanged(settingKeys, (changed) => {
+            SECTIONS.forEach(section => {
+                if (section.key in changed) {
+                    sectionModes[section.name] = changed[section.key];
                 }
+            });
+            if (MEMORY_KEY in changed) memoryMode = changed[MEMORY_KEY];
+            processedSections.clear();
+            attemptCollapse(5, 200);
+        });
 
-                if (newNodesFound) {
-                    // Ensure styles are applied to any new shadow roots we might have missed
-                    // or that appeared deeper in the tree
-                    updateAllRoots();
-                }
+        // Per-subreddit choices differ between pages
+        ROUTER.subscribe(() => {
+            if (memoryMode !== 'Per Subreddit') return;
+            processedSections.clear();
+            attemptCollapse(5, 200);
+        });
+    }
 
-                if (shouldCheckCollapse) {
-                    console.log('[REX-Sidebar] New content detected, checking sidebar sections');
-                    collapsedSections.clear();
-                    attemptCollapse(5, 200);
-                }
-            });
+    /**
+     * Re-checks sections whenever a matching <details> is (re-)rendered
+     */
+    function watchSections() {
+        if (observing) return;
+        observing = true;
+
+        OBSERVER.onAdded('details', (detailsElements) => {
+            const sections = findSections().map(entry => entry.details);
+            const hasTargetSection = detailsElements.some(details => sections.includes(details));
+
+            if (hasTargetSection) {
+                log.debug('New content detected, checking sidebar sections');
+                processedSections.clear();
+                attemptCollapse(5, 200);
+            }
+        });
+    }
+
+    function init() {
+        log.info('Initializing');
 
-            // Start observing
-            setTimeout(() => {
-                observer.observe(document.body, {
-                    childList: true,
-                    subtree: true
+        // Initialize Link Hiding (Settings-based)
+        initLinkHiding();
+
+        // Hide the managed sections' contents during initial load (prevents flash)
+        loaderActive = true;
+        updateLoaderStyle();
+        setTimeout(() => {
+            if (!loaderActive) return;
+            log.info(`Stopped hiding sections that are still loading after ${LOADER_TIMEOUT}ms`);
+            stopLoader();
+        }, LOADER_TIMEOUT);
+
+        // Initial attempt after page load, once the section modes are known
+        initSectionModes(() => {
+            if (document.readyState === 'loading') {
+                document.addEventListener('DOMContentLoaded', () => {
+                    attemptCollapse();
                 });
-                console.log('[REX-Sidebar] MutationObserver started');
-            }, 1000);
-        }
+            } else {
+                attemptCollapse();
+            }
+
+            // Only react to re-rendered sections once the stored modes are known
+            watchSections();
+        });
+
+        // Keep REX Settings > Diagnostics up to date
+        SELECTORS.watch(SECTIONS.map(section => section.target));
     }
 
     return {
         init: init,
         collapseNow: () => {
-            collapsedSections.clear();
+            processedSections.clear();
             attemptCollapse(5, 200);
         },
-        debug: () => {
-            console.log('Active Styles:', activeStyles);
-            updateAllRoots();
-        }
+        expandNow: expandSidebarSections,
+        /**
+         * Returns the managed sections currently on the page
+         * @returns {Array<{ details: HTMLDetailsElement, name: string }>}
+         */
+        getSections: () => findSections().map(({ details, section }) => ({ details, name: section.name }))
     };
 })();
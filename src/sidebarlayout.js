@@ -0,0 +1,281 @@
+/**
+ * REX - Reddit Enhancement Extension
+ * Sidebar Layout Module: Puts the left nav sections in the user's preferred order and adds
+ * a "Pinned" section with hand-picked subreddits and custom feeds at the top
+ */
+
+window.REX_SIDEBAR_LAYOUT = (function () {
+    'use strict';
+
+    const SCHEMA = window.REX_SETTINGS_SCHEMA;
+    const OBSERVER = window.REX_OBSERVER;
+    const SIDEBAR = window.REX_SIDEBAR;
+    const HEADER = window.REX_HEADER;
+    const I18N = window.REX_I18N;
+    const log = window.REX_LOG.create('Sidebar Layout');
+
+    const ORDER_KEY = 'rex_section_order';
+    const PINS_KEY = 'rex_pinned';
+    const PINNED_SECTION_ID = 'rex-pinned-section';
+    const PINNED_ITEM_CLASS = 'rex-pinned-item';
+
+    // Paths the settings panel stores for pins (see parsePinTarget in rexsettings.js). Imported
+    // settings can hold anything, and the path ends up in link selectors, so nothing else is used
+    const PIN_PATH_PATTERN = /^\/(r\/[A-Za-z0-9_]+|user\/[A-Za-z0-9_-]+\/m\/[A-Za-z0-9_]+)\/$/;
+
+    let sectionOrder = []; // Section names
+    let pins = [];
+    let renderedPins = null; // JSON of the pins the Pinned section was built from
+    let watching = false;
+
+    /**
+     * Returns the node in the main document that contains an element
+     * (the element itself, or the shadow host chain up to the document)
+     * @param {Element} element
+     * @returns {Element}
+     */
+    function getTopNode(element) {
+        let node = element;
+        while (node.getRootNode() !== document && node.getRootNode().host) {
+            node = node.getRootNode().host;
+        }
+        return node;
+    }
+
+    /**
+     * Finds the element holding all sidebar sections and the child of it that holds each section
+     * @returns {{ container: Element, blocks: Array<{ name: string, block: Element }> }|null}
+     */
+    function findLayout() {
+        const tops = SIDEBAR.getSections()
+            .map(({ details, name }) => ({ name, top: getTopNode(details) }))
+            .filter(entry => entry.top.isConnected && entry.top.parentNode);
+        if (tops.length === 0) return null;
+
+        // Closest element containing every section
+        let container = tops[0].top.parentNode;
+        while (container && !tops.every(entry => container.contains(entry.top))) {
+            container = container.parentNode;
+        }
+        if (!container) return null;
+
+        const blocks = [];
+        tops.forEach(({ name, top }) => {
+            let block = top;
+            while (block.parentNode !== container) block = block.parentNode;
+            if (!blocks.some(entry => entry.block === block)) blocks.push({ name, block });
+        });
+
+        // Document order
+        blocks.sort((a, b) => (a.block.compareDocumentPosition(b.block) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1));
+        return { container, blocks };
+    }
+
+    /**
+     * Moves the sections into the stored order (sections not in it keep their order, after the others)
+     * @param {object} layout - See findLayout
+     */
+    function applyOrder(layout) {
+        const rank = (entry, index) => {
+            const position = sectionOrder.indexOf(entry.name);
+            return position === -1 ? sectionOrder.length + index : position;
+        };
+        const desired = layout.blocks
+            .map((entry, index) => ({ entry, rank: rank(entry, index) }))
+            .sort((a, b) => a.rank - b.rank)
+            .map(({ entry }) => entry);
+
+        if (desired.every((entry, index) => entry === layout.blocks[index])) return;
+
+        // Re-insert every section, in order, where the first one was
+        const marker = document.createComment('rex-section-order');
+        layout.container.insertBefore(marker, layout.blocks[0].block);
+        desired.forEach(entry => layout.container.insertBefore(entry.block, marker));
+        marker.remove();
+        layout.blocks = desired;
+
+        log.debug('Sections reordered:', desired.map(entry => entry.name).join(', '));
+    }
+
+    /**
+     * Finds an icon for a pin: the image of a matching sidebar link, or the subreddit logo / feed icon
+     * @param {object} pin
+     * @returns {string|null} https URL
+     */
+    function findPinIcon(pin) {
+        const hrefs = [pin.path, pin.path.replace(/\/$/, '')];
+        for (const root of [document, ...OBSERVER.getShadowRoots()]) {
+            const img = root.querySelector(hrefs.map(href => `a[href="${href}"]:not(.${PINNED_ITEM_CLASS}) img`).join(', '));
+            if (img && img.src && img.src.startsWith('https://')) return img.src;
+        }
+
+        const context = HEADER ? HEADER.parseContext(pin.path) : null;
+        const logo = context ? HEADER.findContextIcon(context) : null;
+        return typeof logo === 'string' && logo.startsWith('https://') ? logo : null;
+    }
+
+    /**
+     * Stores icons discovered on this page, so pins show them everywhere
+     */
+    function saveDiscoveredIcons() {
+        let changed = false;
+        const updated = pins.map(pin => {
+            if (pin.icon) return pin;
+            const icon = findPinIcon(pin);
+            if (!icon) return pin;
+            changed = true;
+            return { ...pin, icon };
+        });
+
+        if (changed && typeof chrome !== 'undefined' && chrome.storage && chrome.storage.sync) {
+            chrome.storage.sync.set({ [PINS_KEY]: updated });
+        }
+    }
+
+    /**
+     * Creates one link of the Pinned section
+     * @param {object} pin
+     * @returns {HTMLAnchorElement}
+     */
+    function createPinnedItem(pin) {
+        const link = document.createElement('a');
+        link.className = PINNED_ITEM_CLASS;
+        link.href = pin.path;
+        link.style.cssText = `
+            display: flex;
+            align-items: center;
+            gap: 8px;
+            padding: 8px 16px;
+            border-radius: 8px;
+            color: var(--color-neutral-content, #2A3C42);
+            font-size: 14px;
+            text-decoration: none;
+        `;
+
+        let icon;
+        if (pin.icon && pin.icon.startsWith('https://')) {
+            icon = document.createElement('img');
+            icon.src = pin.icon;
+            icon.alt = '';
+        } else {
+            // Placeholder until an icon has been seen on a page
+            icon = document.createElement('span');
+            icon.textContent = pin.label.replace(/^(r|u)\//, '').charAt(0).toUpperCase();
+            icon.style.cssText = `
+                display: inline-flex;
+                align-items: center;
+                justify-content: center;
+                background: var(--color-neutral-background-strong, #E5EBEE);
+                font-size: 11px;
+                font-weight: 600;
+            `;
+        }
+        icon.style.width = '20px';
+        icon.style.height = '20px';
+        icon.style.borderRadius = '50%';
+        icon.style.objectFit = 'cover';
+        icon.style.flexShrink = '0';
+        link.appendChild(icon);
+
+        const label = document.createElement('span');
+        label.textContent = pin.label;
+        link.appendChild(label);
+
+        return link;
+    }
+
+    /**
+     * Creates, updates or removes the Pinned section above the other sections
+     * @param {object} layout - See findLayout
+     */
+    function renderPinned(layout) {
+        let section = document.getElementById(PINNED_SECTION_ID);
+
+        if (pins.length === 0) {
+            if (section) section.remove();
+            renderedPins = null;
+            return;
+        }
+
+        if (!section) {
+            section = document.createElement('details');
+            section.id = PINNED_SECTION_ID;
+            section.open = true;
+            const summary = document.createElement('summary');
+            summary.textContent = I18N.t('pinned_title').toUpperCase();
+            summary.style.cssText = 'padding: 8px 16px; font-size: 12px; letter-spacing: 0.05em; cursor: pointer; color: var(--color-neutral-content-weak, #576F76);';
+            section.appendChild(summary);
+            renderedPins = null;
+        }
+
+        const pinsJson = JSON.stringify(pins);
+        if (renderedPins !== pinsJson) {
+            section.querySelectorAll(`.${PINNED_ITEM_CLASS}`).forEach(item => item.remove());
+            pins.forEach(pin => section.appendChild(createPinnedItem(pin)));
+            renderedPins = pinsJson;
+        }
+
+        const first = layout.blocks[0].block;
+        if (section.parentNode !== layout.container || section.nextSibling !== first) {
+            layout.container.insertBefore(section, first);
+        }
+    }
+
+    /**
+     * Applies the order and the Pinned section (no-op when already in place)
+     */
+    function apply() {
+        const layout = findLayout();
+        if (!layout) return;
+
+        applyOrder(layout);
+        renderPinned(layout);
+        if (pins.some(pin => !pin.icon)) saveDiscoveredIcons();
+    }
+
+    /**
+     * Re-applies whenever Reddit (re-)renders sidebar sections
+     */
+    function watchSidebar() {
+        if (watching) return;
+        watching = true;
+
+        OBSERVER.onAdded('details', apply, { existing: true });
+
+        // The Pinned section may be dropped by a re-render that keeps the sections
+        OBSERVER.onMutation(() => {
+            if (pins.length > 0 && !document.getElementById(PINNED_SECTION_ID)) apply();
+        });
+    }
+
+    /**
+     * Reads the stored order and pins, dropping malformed entries
+     * @param {object} settings
+     */
+    function setLayout(settings) {
+        if (ORDER_KEY in settings) {
+            sectionOrder = settings[ORDER_KEY].map(item => item.section);
+        }
+        if (PINS_KEY in settings) {
+            pins = settings[PINS_KEY].filter(pin => PIN_PATH_PATTERN.test(pin.path));
+        }
+    }
+
+    function init() {
+        log.info('Initializing');
+
+        if (typeof chrome !== 'undefined' && chrome.storage && chrome.storage.sync) {
+            SCHEMA.load([ORDER_KEY, PINS_KEY]).then((settings) => {
+                setLayout(settings);
+                watchSidebar();
+            });
+
+            SCHEMA.onChanged([ORDER_KEY, PINS_KEY], (changed) => {
+                setLayout(changed);
+                apply();
+            });
+        }
+    }
+
+    return { init };
+})();
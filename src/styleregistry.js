@@ -0,0 +1,173 @@
+/**
+ * REX - Reddit Enhancement Extension
+ * Style Registry Module: Named CSS fragments shared by every REX feature.
+ * Each fragment is one constructed CSSStyleSheet adopted by the document and/or the
+ * shadow roots it targets, so toggling a feature is a single replaceSync or detach.
+ */
+
+window.REX_STYLES = (function () {
+    'use strict';
+
+    const OBSERVER = window.REX_OBSERVER;
+    const log = window.REX_LOG.create('Styles');
+
+    // Constructed stylesheets need both the constructor and adoptedStyleSheets;
+    // otherwise fall back to one <style> element per root
+    const SUPPORTS_ADOPTED = typeof CSSStyleSheet === 'function' &&
+        'replaceSync' in CSSStyleSheet.prototype &&
+        'adoptedStyleSheets' in Document.prototype;
+    const FALLBACK_ATTR = 'data-rex-style';
+
+    const entries = new Map(); // name -> { css, roots, sheet }
+    let watchingShadowRoots = false;
+
+    /**
+     * Whether an entry applies to a root
+     * @param {object} entry
+     * @param {Document|ShadowRoot} root
+     * @returns {boolean}
+     */
+    function appliesTo(entry, root) {
+        if (root === document) return entry.roots === 'all' || entry.roots === 'document';
+        if (entry.roots === 'all') return true;
+        if (Array.isArray(entry.roots) && root.host) {
+            return entry.roots.includes(root.host.tagName.toLowerCase());
+        }
+        return false;
+    }
+
+    /**
+     * Adds an entry's stylesheet to a root (no-op if already there)
+     * @param {Document|ShadowRoot} root
+     * @param {string} name
+     * @param {object} entry
+     */
+    function attach(root, name, entry) {
+        if (SUPPORTS_ADOPTED) {
+            if (!root.adoptedStyleSheets.includes(entry.sheet)) {
+                // Reassign rather than push so Reddit's own adopted sheets are kept in order
+                root.adoptedStyleSheets = [...root.adoptedStyleSheets, entry.sheet];
+            }
+            return;
+        }
+
+        let style = root.querySelector(`style[${FALLBACK_ATTR}="${name}"]`);
+        if (!style) {
+            style = document.createElement('style');
+            style.setAttribute(FALLBACK_ATTR, name);
+            (root.head || root.documentElement || root).appendChild(style);
+        }
+        if (style.textContent !== entry.css) style.textContent = entry.css;
+    }
+
+    /**
+     * Removes an entry's stylesheet from a root
+     * @param {Document|ShadowRoot} root
+     * @param {string} name
+     * @param {object} entry
+     */
+    function detach(root, name, entry) {
+        if (SUPPORTS_ADOPTED) {
+            if (root.adoptedStyleSheets.includes(entry.sheet)) {
+                root.adoptedStyleSheets = root.adoptedStyleSheets.filter(sheet => sheet !== entry.sheet);
+            }
+            return;
+        }
+
+        const style = root.querySelector(`style[${FALLBACK_ATTR}="${name}"]`);
+        if (style) style.remove();
+    }
+
+    /**
+     * Returns the document plus every shadow root discovered so far
+     * @returns {Array<Document|ShadowRoot>}
+     */
+    function getAllRoots() {
+        return [document, ...OBSERVER.getShadowRoots()];
+    }
+
+    /**
+     * Adopts every matching registered sheet into newly discovered shadow roots
+     */
+    function watchShadowRoots() {
+        if (watchingShadowRoots) return;
+        watchingShadowRoots = true;
+
+        OBSERVER.onShadowRoot((root) => {
+            entries.forEach((entry, name) => {
+                if (appliesTo(entry, root)) attach(root, name, entry);
+            });
+        });
+    }
+
+    /**
+     * Registers or updates a named CSS fragment and applies it everywhere it targets.
+     * An empty string removes the fragment.
+     * @param {string} name - Unique fragment name (e.g. 'sidebar-popular')
+     * @param {string} css
+     * @param {object} [options]
+     * @param {'all'|'document'|string[]} [options.roots] - Document and all shadow roots (default),
+     *     the document only, or only shadow roots whose host has one of the given tag names
+     */
+    function set(name, css, options = {}) {
+        if (!css) {
+            remove(name);
+            return;
+        }
+
+        const roots = options.roots || 'all';
+        let entry = entries.get(name);
+
+        if (entry && entry.css === css && String(entry.roots) === String(roots)) return;
+
+        if (!entry) {
+            entry = { css, roots, sheet: SUPPORTS_ADOPTED ? new CSSStyleSheet() : null };
+            entries.set(name, entry);
+        } else if (String(entry.roots) !== String(roots)) {
+            // Target changed: detach from roots that no longer apply
+            getAllRoots().forEach(root => detach(root, name, entry));
+        }
+
+        entry.css = css;
+        entry.roots = roots;
+        if (entry.sheet) {
+            try {
+                entry.sheet.replaceSync(css);
+            } catch (e) {
+                log.error('Invalid CSS for', name, e);
+            }
+        }
+
+        if (roots !== 'document') watchShadowRoots();
+        getAllRoots().forEach(root => {
+            if (appliesTo(entry, root)) attach(root, name, entry);
+        });
+    }
+
+    /**
+     * Detaches a named fragment from every root
+     * @param {string} name
+     */
+    function remove(name) {
+        const entry = entries.get(name);
+        if (!entry) return;
+
+        entries.delete(name);
+        getAllRoots().forEach(root => detach(root, name, entry));
+    }
+
+    /**
+     * Whether a fragment is currently registered
+     * @param {string} name
+     * @returns {boolean}
+     */
+    function has(name) {
+        return entries.has(name);
+    }
+
+    return {
+        set,
+        remove,
+        has
+    };
+})();
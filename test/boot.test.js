@@ -0,0 +1,79 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { loadPage, waitFor, getStyleNames } = require('./helpers/harness');
+
+const SNAPSHOT_KEY = 'rex_boot_snapshot';
+
+/**
+ * Lets pending promise callbacks run, but no timers (so no chrome.storage answer)
+ */
+async function flushMicrotasks() {
+    for (let i = 0; i < 10; i++) await null;
+}
+
+test('hides header items from the snapshot before chrome.storage answers', async (t) => {
+    const page = loadPage({
+        fixture: 'feed.html',
+        url: 'https://www.reddit.com/',
+        sync: { rex_hide_ads: true, rex_hide_create: true, rex_feed_filters: [{ id: 'f1', type: 'keyword', value: 'spoiler', enabled: true }] },
+        localStorage: { [SNAPSHOT_KEY]: JSON.stringify({ version: 1, values: { rex_hide_ads: true } }) }
+    });
+    t.after(page.close);
+    const { window, document } = page;
+
+    window.REX_HEADER.init();
+    await flushMicrotasks();
+    assert.deepStrictEqual(getStyleNames(document).filter(name => /^rex-hide-(ads|create)-style$/.test(name)), ['rex-hide-ads-style']);
+
+    // The stored settings win, and become the next snapshot
+    await waitFor(() => getStyleNames(document).includes('rex-hide-create-style'));
+    const snapshot = JSON.parse(window.localStorage.getItem(SNAPSHOT_KEY));
+    assert.strictEqual(snapshot.values.rex_hide_create, true);
+    assert.ok(!('rex_feed_filters' in snapshot.values));
+
+    window.chrome.storage.sync.set({ rex_hide_ads: false });
+    await waitFor(() => JSON.parse(window.localStorage.getItem(SNAPSHOT_KEY)).values.rex_hide_ads === false);
+});
+
+test('keeps list settings out of the snapshot and applies overrides from chrome.storage', async (t) => {
+    const page = loadPage({
+        fixture: 'feed.html',
+        url: 'https://www.reddit.com/r/aww/',
+        sync: {
+            rex_subreddit_overrides: [{ id: 'override-1', subreddit: 'aww', key: 'rex_hide_ads', value: true }],
+            rex_custom_rules: [{ id: 'r1', selector: 'recent-posts', enabled: true }]
+        },
+        localStorage: { [SNAPSHOT_KEY]: JSON.stringify({ version: 1, values: { rex_hide_ads: false } }) }
+    });
+    t.after(page.close);
+    const { window, document } = page;
+    const SCHEMA = window.REX_SETTINGS_SCHEMA;
+
+    window.REX_HEADER.init();
+    await waitFor(() => getStyleNames(document).includes('rex-hide-ads-style'));
+
+    const snapshot = JSON.parse(window.localStorage.getItem(SNAPSHOT_KEY));
+    const keys = Object.keys(snapshot.values);
+    assert.ok(keys.includes('rex_hide_ads'));
+    assert.deepStrictEqual(keys.filter(key => SCHEMA.get(key).type === 'list'), []);
+});
+
+test('waits for chrome.storage when the snapshot is missing or from another schema version', async (t) => {
+    const page = loadPage({
+        fixture: 'feed.html',
+        url: 'https://www.reddit.com/',
+        sync: { rex_hide_ads: true },
+        localStorage: { [SNAPSHOT_KEY]: JSON.stringify({ version: 0, values: { rex_hide_ads: false, rex_hide_create: true } }) }
+    });
+    t.after(page.close);
+    const { window, document } = page;
+
+    window.REX_HEADER.init();
+    await flushMicrotasks();
+    assert.ok(!getStyleNames(document).some(name => /^rex-hide-(ads|create)-style$/.test(name)));
+
+    await waitFor(() => getStyleNames(document).includes('rex-hide-ads-style'));
+    assert.ok(!getStyleNames(document).includes('rex-hide-create-style'));
+});
@@ -0,0 +1,64 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { loadPage, wait, waitFor, getStyleNames } = require('./helpers/harness');
+
+const POST_URL = 'https://www.reddit.com/r/pics/comments/abc123/look_at_this_sunset/';
+
+test('collapses the community sidebar into a strip when enabled', async (t) => {
+    const page = loadPage({ fixture: 'post.html', url: POST_URL, sync: { rex_sidebar_collapse: true } });
+    t.after(page.close);
+    const { document } = page;
+
+    page.window.REX_COMMENTS_PAGE.init();
+    await waitFor(() => document.getElementById('rex-comments-sidebar-strip'));
+
+    const strip = document.getElementById('rex-comments-sidebar-strip');
+    assert.strictEqual(strip.parentNode.id, 'right-sidebar-container');
+    assert.strictEqual(strip.getAttribute('aria-expanded'), 'false');
+    assert.ok(document.documentElement.classList.contains('rex-comments-sidebar-collapsed'));
+    assert.ok(getStyleNames(document).includes('rex-comments-sidebar-style'));
+});
+
+test('remembers the expanded state per subreddit', async (t) => {
+    const page = loadPage({ fixture: 'post.html', url: POST_URL, sync: { rex_sidebar_collapse: true } });
+    t.after(page.close);
+    const { document } = page;
+
+    page.window.REX_COMMENTS_PAGE.init();
+    await waitFor(() => document.getElementById('rex-comments-sidebar-strip'));
+
+    document.getElementById('rex-comments-sidebar-strip').click();
+    assert.ok(!document.documentElement.classList.contains('rex-comments-sidebar-collapsed'));
+    await waitFor(() => page.local.rex_comments_sidebar_open);
+    assert.deepStrictEqual({ ...page.local.rex_comments_sidebar_open }, { pics: true });
+});
+
+test('labels the strip in the browser language', async (t) => {
+    const page = loadPage({ fixture: 'post.html', url: POST_URL, sync: { rex_sidebar_collapse: true }, locale: 'es' });
+    t.after(page.close);
+    const { document } = page;
+
+    page.window.REX_COMMENTS_PAGE.init();
+    await waitFor(() => document.getElementById('rex-comments-sidebar-strip'));
+
+    const strip = document.getElementById('rex-comments-sidebar-strip');
+    assert.strictEqual(strip.textContent, '‹ r/pics');
+    assert.strictEqual(strip.getAttribute('aria-label'), 'Expandir la barra lateral de la comunidad');
+    strip.click();
+    assert.strictEqual(strip.textContent, 'Contraer barra lateral ›');
+    assert.strictEqual(strip.getAttribute('aria-label'), 'Contraer la barra lateral de la comunidad');
+});
+
+test('leaves the layout alone when disabled', async (t) => {
+    const page = loadPage({ fixture: 'post.html', url: POST_URL });
+    t.after(page.close);
+    const { document } = page;
+
+    page.window.REX_COMMENTS_PAGE.init();
+    await wait(200);
+
+    assert.strictEqual(document.getElementById('rex-comments-sidebar-strip'), null);
+    assert.ok(!document.documentElement.classList.contains('rex-comments-sidebar-collapsed'));
+});
@@ -0,0 +1,167 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { loadPage, waitFor } = require('./helpers/harness');
+
+const POST_URL = 'https://www.reddit.com/r/pics/comments/abc123/look_at_this_sunset/';
+const SETTINGS_URL = 'https://www.reddit.com/settings/account';
+
+/**
+ * Lists the comments that are collapsed, by thing id
+ * @param {Document} document
+ * @returns {string[]}
+ */
+function getCollapsed(document) {
+    return Array.from(document.querySelectorAll('shreddit-comment[collapsed]'), comment => comment.getAttribute('thingid'));
+}
+
+/**
+ * Lays the comments out one below the other (jsdom has no layout) and makes scrolling move them
+ * Replies inside a collapsed comment take no space, like on Reddit
+ * @param {Window} window
+ * @returns {{ scrolled: Function }}
+ */
+function layOutComments(window) {
+    const positions = { t1_c1: 100, t1_c2: 300, t1_c3: 400, t1_c4: 500, t1_c5: 600, t1_c6: 900, t1_c7: 1200, t1_c8: 1300 };
+    let scrollY = 0;
+
+    Object.defineProperty(window, 'scrollY', { configurable: true, get: () => scrollY });
+    window.scrollTo = (options) => {
+        scrollY = options.top;
+    };
+    window.document.querySelectorAll('shreddit-comment').forEach(comment => {
+        comment.getBoundingClientRect = () => {
+            const hidden = !!comment.parentElement.closest('shreddit-comment[collapsed]');
+            return hidden
+                ? { top: 0, height: 0 }
+                : { top: positions[comment.getAttribute('thingid')] - scrollY, height: 50 };
+        };
+    });
+    return { scrolled: () => scrollY };
+}
+
+test('collapses replies below the configured depth and comments by bots', async (t) => {
+    const page = loadPage({
+        fixture: 'post.html',
+        url: POST_URL,
+        sync: { rex_comment_collapse_depth: '2', rex_collapse_bots: true, rex_comment_bots: [{ id: 'bot-1', username: 'remindmebot' }] }
+    });
+    t.after(page.close);
+    const { window, document } = page;
+
+    window.REX_COMMENT_THREADS.init();
+    await waitFor(() => getCollapsed(document).length > 0);
+    assert.deepStrictEqual(getCollapsed(document), ['t1_c1', 't1_c4', 't1_c5', 't1_c6']);
+    assert.strictEqual(document.querySelector('[thingid="t1_c1"]').dataset.rexCollapsed, 'bot');
+    assert.strictEqual(document.querySelector('[thingid="t1_c4"]').dataset.rexCollapsed, 'depth');
+
+    // A comment the user opened stays open when the settings change
+    document.querySelector('[thingid="t1_c4"]').removeAttribute('collapsed');
+    window.chrome.storage.sync.set({ rex_comment_collapse_depth: '3', rex_collapse_bots: false });
+    await waitFor(() => !document.querySelector('[thingid="t1_c1"]').hasAttribute('collapsed'));
+    assert.deepStrictEqual(getCollapsed(document), ['t1_c5']);
+});
+
+test('jumps between top-level comments with the floating buttons and the keyboard', async (t) => {
+    const page = loadPage({ fixture: 'post.html', url: POST_URL, sync: { rex_comment_navigation: true } });
+    t.after(page.close);
+    const { window, document } = page;
+    const layout = layOutComments(window);
+
+    window.REX_COMMENT_THREADS.init();
+    window.REX_SHORTCUTS.init();
+    await waitFor(() => document.getElementById('rex-comment-nav'));
+    const button = (action) => document.querySelector(`#rex-comment-nav [data-rex-nav="${action}"]`);
+
+    // Each jump leaves the comment just below the sticky header
+    button('next').click();
+    assert.strictEqual(layout.scrolled(), 100 - 64);
+    button('next').click();
+    assert.strictEqual(layout.scrolled(), 300 - 64);
+    button('previous').click();
+    assert.strictEqual(layout.scrolled(), 100 - 64);
+
+    const press = (code) => document.body.dispatchEvent(new window.KeyboardEvent('keydown', { bubbles: true, cancelable: true, key: code.slice(-1), code, altKey: true, shiftKey: true }));
+    await waitFor(() => {
+        press('KeyJ');
+        return layout.scrolled() === 300 - 64;
+    });
+    press('KeyJ');
+    assert.strictEqual(layout.scrolled(), 900 - 64);
+    press('KeyK');
+    assert.strictEqual(layout.scrolled(), 300 - 64);
+});
+
+test("steps through OP's replies, opening the threads they are in", async (t) => {
+    const page = loadPage({ fixture: 'post.html', url: POST_URL, sync: { rex_comment_navigation: true, rex_comment_collapse_depth: '1' } });
+    t.after(page.close);
+    const { window, document } = page;
+    const layout = layOutComments(window);
+
+    window.REX_COMMENT_THREADS.init();
+    await waitFor(() => document.getElementById('rex-comment-nav'));
+    const button = (action) => document.querySelector(`#rex-comment-nav [data-rex-nav="${action}"]`);
+    assert.strictEqual(button('op').title, "Jump between u/alice's replies");
+
+    button('op').click();
+    assert.strictEqual(button('op').getAttribute('aria-pressed'), 'true');
+    assert.strictEqual(button('next').title, "Next OP's reply");
+    // Lisbon (t1_c5) was hidden inside two collapsed replies
+    assert.deepStrictEqual(getCollapsed(document), ['t1_c5', 't1_c8']);
+
+    const stops = [];
+    while (window.REX_COMMENT_THREADS.next()) stops.push(layout.scrolled() + 64);
+    assert.deepStrictEqual(stops, [400, 600, 1300]);
+
+    // Back to top-level comments: the one this reply belongs to is the previous one
+    window.REX_COMMENT_THREADS.toggleOpMode();
+    window.REX_COMMENT_THREADS.previous();
+    assert.strictEqual(layout.scrolled(), 1200 - 64);
+});
+
+test('edits the bot list in the Comments Page section', async (t) => {
+    const page = loadPage({ fixture: 'settings.html', url: SETTINGS_URL });
+    t.after(page.close);
+    const { window, document } = page;
+    const alerts = [];
+    window.alert = (message) => alerts.push(message);
+
+    window.REX_SETTINGS.init();
+    await waitFor(() => document.getElementById('rex-settings-tab'));
+    document.getElementById('rex-settings-tab').click();
+
+    const section = document.getElementById('rex-comments-section');
+    assert.ok(section.querySelector('[data-setting-key="rex_comment_collapse_depth"]'));
+    assert.ok(section.querySelector('[data-setting-key="rex_comment_navigation"]'));
+
+    const input = section.querySelector('#rex-comment-bot-new');
+    const add = section.querySelector('[data-rex-action="add-bot"]');
+    input.value = 'u/RemindMeBot';
+    add.click();
+    await waitFor(() => page.sync.rex_comment_bots);
+    assert.deepStrictEqual(page.sync.rex_comment_bots.map(bot => bot.username), ['RemindMeBot']);
+    assert.match(section.querySelector('#rex-comment-bots-list').textContent, /u\/RemindMeBot/);
+
+    input.value = 'remindmebot';
+    add.click();
+    input.value = 'not a user';
+    add.click();
+    assert.deepStrictEqual(alerts, ['REX: u/remindmebot is already listed.', 'REX: "not a user" is not a valid username.']);
+
+    section.querySelector('#rex-comment-bots-list [data-rex-action="delete-item"]').click();
+    await waitFor(() => page.sync.rex_comment_bots.length === 0);
+});
+
+test('labels the navigation buttons in the browser language', async (t) => {
+    const page = loadPage({ fixture: 'post.html', url: POST_URL, sync: { rex_comment_navigation: true }, locale: 'pt' });
+    t.after(page.close);
+    const { window, document } = page;
+
+    window.REX_COMMENT_THREADS.init();
+    await waitFor(() => document.getElementById('rex-comment-nav'));
+    const button = (action) => document.querySelector(`#rex-comment-nav [data-rex-nav="${action}"]`);
+    assert.strictEqual(document.getElementById('rex-comment-nav').getAttribute('aria-label'), 'Navegação nos comentários');
+    assert.strictEqual(button('next').title, 'Próximo comentário de primeiro nível');
+    assert.strictEqual(button('op').title, 'Pular entre as respostas de u/alice');
+});
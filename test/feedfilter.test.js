@@ -0,0 +1,111 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { loadPage, wait, waitFor } = require('./helpers/harness');
+
+const FILTERS = [
+    { id: 'f1', field: 'title', pattern: 'giveaway', action: 'hide', enabled: true },
+    { id: 'f2', field: 'author', pattern: 'u/AutoModerator', action: 'blur', enabled: true },
+    { id: 'f3', field: 'subreddit', pattern: 'pics', action: 'hide', enabled: false }
+];
+
+/**
+ * Returns the filter state of each post, keyed by post id
+ * @param {Document} document
+ * @returns {object}
+ */
+function getPostStates(document) {
+    const states = {};
+    document.querySelectorAll('shreddit-post').forEach(post => {
+        states[post.id] = post.getAttribute('data-rex-filtered') || 'visible';
+    });
+    return states;
+}
+
+test('hides and blurs matching feed posts and counts them', async (t) => {
+    const page = loadPage({ fixture: 'feed.html', url: 'https://www.reddit.com/', sync: { rex_feed_filters: FILTERS } });
+    t.after(page.close);
+    const { document } = page;
+
+    page.window.REX_FEED_FILTER.init();
+    await waitFor(() => document.getElementById('rex-filter-counter'));
+
+    assert.deepStrictEqual(getPostStates(document), { t3_aaa: 'visible', t3_bbb: 'hide', t3_ccc: 'blur' });
+    assert.strictEqual(document.getElementById('rex-filter-counter').textContent, '2 filtered');
+    assert.strictEqual(document.querySelectorAll('.rex-filter-placeholder').length, 2);
+});
+
+test('labels the placeholders and the counter in the browser language', async (t) => {
+    const page = loadPage({ fixture: 'feed.html', url: 'https://www.reddit.com/', sync: { rex_feed_filters: FILTERS }, locale: 'de' });
+    t.after(page.close);
+    const { document } = page;
+
+    page.window.REX_FEED_FILTER.init();
+    await waitFor(() => document.getElementById('rex-filter-counter'));
+
+    const counter = document.getElementById('rex-filter-counter');
+    assert.strictEqual(counter.textContent, '2 gefiltert');
+    assert.strictEqual(counter.title, 'REX hat auf dieser Seite 2 Beiträge gefiltert');
+    const placeholder = document.querySelector('.rex-filter-placeholder');
+    assert.match(placeholder.textContent, /^Von REX gefiltert \(.+\) –anzeigen$/);
+});
+
+test('matches every post with a global regex rule', async (t) => {
+    const filters = [{ id: 'f1', field: 'title', pattern: '/sunset|giveaway/gi', action: 'hide', enabled: true }];
+    const page = loadPage({ fixture: 'feed.html', url: 'https://www.reddit.com/', sync: { rex_feed_filters: filters } });
+    t.after(page.close);
+    const { document } = page;
+
+    page.window.REX_FEED_FILTER.init();
+    await waitFor(() => document.getElementById('rex-filter-counter'));
+
+    assert.deepStrictEqual(getPostStates(document), { t3_aaa: 'hide', t3_bbb: 'hide', t3_ccc: 'visible' });
+});
+
+test('filters posts streamed in after load', async (t) => {
+    const page = loadPage({ fixture: 'feed.html', url: 'https://www.reddit.com/', sync: { rex_feed_filters: FILTERS } });
+    t.after(page.close);
+    const { document } = page;
+
+    page.window.REX_FEED_FILTER.init();
+    await waitFor(() => document.getElementById('rex-filter-counter'));
+
+    const article = document.createElement('article');
+    article.innerHTML = '<shreddit-post id="t3_ddd" post-title="Another giveaway" author="carol" subreddit-prefixed-name="r/deals"></shreddit-post>';
+    document.getElementById('feed').appendChild(article);
+
+    await waitFor(() => document.getElementById('rex-filter-counter').textContent === '3 filtered');
+    assert.strictEqual(getPostStates(document).t3_ddd, 'hide');
+});
+
+test('shows a filtered post on request and re-filters when the rules change', async (t) => {
+    const page = loadPage({ fixture: 'feed.html', url: 'https://www.reddit.com/', sync: { rex_feed_filters: FILTERS } });
+    t.after(page.close);
+    const { document } = page;
+
+    page.window.REX_FEED_FILTER.init();
+    await waitFor(() => document.getElementById('rex-filter-counter'));
+
+    document.querySelector('.rex-filter-placeholder button').click();
+    assert.strictEqual(getPostStates(document).t3_bbb, 'shown');
+    assert.strictEqual(document.getElementById('rex-filter-counter').textContent, '1 filtered');
+
+    page.window.chrome.storage.sync.set({ rex_feed_filters: [] });
+    await waitFor(() => !document.getElementById('rex-filter-counter'));
+    assert.deepStrictEqual(getPostStates(document), { t3_aaa: 'visible', t3_bbb: 'visible', t3_ccc: 'visible' });
+});
+
+test('never filters the post on a comments page', async (t) => {
+    const page = loadPage({
+        fixture: 'post.html',
+        url: 'https://www.reddit.com/r/pics/comments/abc123/look_at_this_sunset/',
+        sync: { rex_feed_filters: [{ id: 'f1', field: 'subreddit', pattern: 'pics', action: 'hide', enabled: true }] }
+    });
+    t.after(page.close);
+
+    page.window.REX_FEED_FILTER.init();
+    await wait(200);
+
+    assert.deepStrictEqual(getPostStates(page.document), { t3_abc123: 'visible' });
+});
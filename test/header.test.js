@@ -0,0 +1,196 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { loadPage, wait, waitFor, getStyleNames } = require('./helpers/harness');
+
+test('inserts the subreddit indicator next to the logo on subreddit pages', async (t) => {
+    const page = loadPage({ fixture: 'feed.html', url: 'https://www.reddit.com/r/pics/' });
+    t.after(page.close);
+    const { document } = page;
+
+    page.window.REX_ROUTER.init();
+    page.window.REX_HEADER.init();
+    await waitFor(() => document.getElementById('rex-subreddit-indicator'));
+
+    const indicator = document.getElementById('rex-subreddit-indicator');
+    assert.strictEqual(indicator.getAttribute('href'), '/r/pics/');
+    assert.match(indicator.textContent, /r\/pics/);
+    assert.strictEqual(indicator.previousElementSibling, document.querySelector('rpl-tooltip'));
+});
+
+test('does not insert the indicator on the home feed', async (t) => {
+    const page = loadPage({ fixture: 'feed.html', url: 'https://www.reddit.com/' });
+    t.after(page.close);
+
+    page.window.REX_ROUTER.init();
+    page.window.REX_HEADER.init();
+    await wait(700);
+
+    assert.strictEqual(page.document.getElementById('rex-subreddit-indicator'), null);
+});
+
+test('follows SPA navigation into and out of a subreddit', async (t) => {
+    const page = loadPage({ fixture: 'feed.html', url: 'https://www.reddit.com/' });
+    t.after(page.close);
+    const { window, document } = page;
+
+    window.REX_ROUTER.init();
+    window.REX_HEADER.init();
+    await wait(50);
+
+    window.history.pushState({}, '', '/r/aww/');
+    await waitFor(() => document.getElementById('rex-subreddit-indicator'));
+    assert.strictEqual(document.getElementById('rex-subreddit-indicator').getAttribute('href'), '/r/aww/');
+
+    window.history.pushState({}, '', '/');
+    await waitFor(() => !document.getElementById('rex-subreddit-indicator'));
+});
+
+test('shows user profiles and custom feeds in the indicator, including their post pages', async (t) => {
+    const page = loadPage({ fixture: 'feed.html', url: 'https://www.reddit.com/user/alice/comments/abc/hello/' });
+    t.after(page.close);
+    const { window, document } = page;
+    const indicator = () => document.getElementById('rex-subreddit-indicator');
+
+    const avatar = document.createElement('img');
+    avatar.src = 'https://styles.redditmedia.com/t5_alice/styles/profileIcon_alice.png';
+    avatar.alt = 'u/alice avatar';
+    document.getElementById('main-content').appendChild(avatar);
+
+    window.REX_ROUTER.init();
+    window.REX_HEADER.init();
+    await waitFor(() => indicator());
+    assert.strictEqual(indicator().getAttribute('href'), '/user/alice/');
+    assert.strictEqual(indicator().dataset.contextType, 'user');
+    assert.match(indicator().textContent, /\/u\/alice/);
+    assert.strictEqual(indicator().querySelector('img.rex-context-icon').src, avatar.src);
+
+    window.history.pushState({}, '', '/u/bob/m/news/');
+    await waitFor(() => indicator() && indicator().dataset.contextType === 'feed');
+    assert.strictEqual(indicator().getAttribute('href'), '/user/bob/m/news/');
+    assert.match(indicator().textContent, /\/m\/news/);
+    assert.strictEqual(indicator().title, 'Custom feed by u/bob');
+    // No icon on the page: a badge marks the context type instead
+    assert.strictEqual(indicator().querySelector('.rex-context-icon').textContent, 'm');
+
+    document.getElementById('rex-subreddit-menu-button').click();
+    const hrefs = Array.from(document.querySelectorAll('#rex-subreddit-menu .rex-subreddit-menu-item'), link => link.getAttribute('href'));
+    assert.deepStrictEqual(hrefs.slice(0, 2), ['/user/bob/m/news/new/', '/user/bob/m/news/top/?t=day']);
+    assert.strictEqual(document.querySelector('#rex-subreddit-menu .rex-subreddit-menu-search'), null);
+});
+
+test('parses subreddit, profile and custom feed contexts', (t) => {
+    const page = loadPage({ fixture: 'feed.html', url: 'https://www.reddit.com/' });
+    t.after(page.close);
+    const { parseContext } = page.window.REX_HEADER;
+    const summarize = path => {
+        const context = parseContext(path);
+        return context && [context.type, context.path, context.label];
+    };
+
+    assert.deepStrictEqual(summarize('/r/pics/comments/abc/title/'), ['subreddit', '/r/pics/', '/r/pics']);
+    assert.deepStrictEqual(summarize('/user/me/m/daily/'), ['feed', '/user/me/m/daily/', '/m/daily']);
+    assert.deepStrictEqual(summarize('/u/alice/'), ['user', '/user/alice/', '/u/alice']);
+    assert.deepStrictEqual(summarize('/user/alice/comments/xyz/title/'), ['user', '/user/alice/', '/u/alice']);
+    assert.strictEqual(summarize('/settings/account'), null);
+});
+
+test('records visited subreddits and lists them in the indicator menu', async (t) => {
+    const page = loadPage({
+        fixture: 'feed.html',
+        url: 'https://www.reddit.com/',
+        local: { rex_recent_subreddits: ['pics', 'news'] }
+    });
+    t.after(page.close);
+    const { window, document } = page;
+
+    window.REX_ROUTER.init();
+    window.REX_HEADER.init();
+    await wait(50);
+
+    window.history.pushState({}, '', '/r/aww/comments/abc/cute_dog/');
+    await waitFor(() => page.local.rex_recent_subreddits[0] === 'aww');
+    window.history.pushState({}, '', '/r/Pics/');
+    await waitFor(() => page.local.rex_recent_subreddits[0] === 'Pics');
+    assert.deepStrictEqual(Array.from(page.local.rex_recent_subreddits), ['Pics', 'aww', 'news']);
+
+    await waitFor(() => document.getElementById('rex-subreddit-menu-button'));
+    document.getElementById('rex-subreddit-menu-button').click();
+    const menu = document.getElementById('rex-subreddit-menu');
+    assert.ok(menu);
+    // The caret opens the menu instead of following the indicator link
+    assert.strictEqual(window.location.pathname, '/r/Pics/');
+
+    const hrefs = () => Array.from(menu.querySelectorAll('.rex-subreddit-menu-item'), link => link.getAttribute('href'));
+    await waitFor(() => hrefs().includes('/r/news/'));
+    assert.deepStrictEqual(hrefs(), [
+        '/r/Pics/about/rules/',
+        '/r/Pics/wiki/',
+        '/r/Pics/new/',
+        '/r/Pics/top/?t=day',
+        '/r/Pics/top/?t=week',
+        '/r/Pics/top/?t=all',
+        '/r/aww/',
+        '/r/news/'
+    ]);
+    assert.strictEqual(menu.querySelector('.rex-subreddit-menu-search').placeholder, 'Search r/Pics');
+
+    document.body.click();
+    assert.strictEqual(document.getElementById('rex-subreddit-menu'), null);
+});
+
+test('removes the indicator when the setting is turned off', async (t) => {
+    const page = loadPage({ fixture: 'feed.html', url: 'https://www.reddit.com/r/pics/' });
+    t.after(page.close);
+    const { document } = page;
+
+    page.window.REX_ROUTER.init();
+    page.window.REX_HEADER.init();
+    await waitFor(() => document.getElementById('rex-subreddit-indicator'));
+
+    page.window.chrome.storage.sync.set({ rex_show_subreddit_indicator: false });
+    await waitFor(() => !document.getElementById('rex-subreddit-indicator'));
+});
+
+test('hides Advertise and Create in the document only', async (t) => {
+    const page = loadPage({
+        fixture: 'feed.html',
+        url: 'https://www.reddit.com/',
+        sync: { rex_hide_ads: true, rex_hide_create: true }
+    });
+    t.after(page.close);
+    const { window, document } = page;
+
+    window.REX_HEADER.init();
+    await waitFor(() => getStyleNames(document).includes('rex-hide-create-style'));
+
+    assert.ok(getStyleNames(document).includes('rex-hide-ads-style'));
+    assert.strictEqual(window.getComputedStyle(document.getElementById('advertise-button')).display, 'none');
+    assert.deepStrictEqual(getStyleNames(document.querySelector('reddit-search-large').shadowRoot), []);
+});
+
+test('hides Ask inside the search shadow roots, and nowhere else', async (t) => {
+    const page = loadPage({ fixture: 'feed.html', url: 'https://www.reddit.com/', sync: { rex_hide_ask: true } });
+    t.after(page.close);
+    const { document } = page;
+    const searchRoot = document.querySelector('reddit-search-large').shadowRoot;
+    const nestedRoot = searchRoot.querySelector('faceplate-search-input').shadowRoot;
+    const customFeedsRoot = document.querySelector('left-nav-custom-feeds').shadowRoot;
+
+    page.window.REX_HEADER.init();
+    await waitFor(() => getStyleNames(nestedRoot).includes('rex-hide-ask-shadow-style'));
+
+    assert.ok(getStyleNames(searchRoot).includes('rex-hide-ask-shadow-style'));
+    assert.ok(!getStyleNames(customFeedsRoot).includes('rex-hide-ask-shadow-style'));
+    assert.ok(!getStyleNames(document).includes('rex-hide-ask-shadow-style'));
+    assert.ok(getStyleNames(document).includes('rex-hide-ask-style'));
+
+    // The search text is centered outside subreddits
+    const css = nestedRoot.querySelector('style[data-rex-style="rex-hide-ask-shadow-style"]').textContent;
+    assert.match(css, /text-align: center !important/);
+
+    page.window.chrome.storage.sync.set({ rex_hide_ask: false });
+    await waitFor(() => !getStyleNames(nestedRoot).includes('rex-hide-ask-shadow-style'));
+    assert.ok(!getStyleNames(document).includes('rex-hide-ask-style'));
+});
@@ -0,0 +1,320 @@
+/**
+ * REX - Reddit Enhancement Extension
+ * Test Harness: Loads the content script modules into a jsdom page built from a saved
+ * Reddit fixture, with a fake chrome.storage (sync + local + onChanged) and chrome.i18n.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const SRC_DIR = path.join(__dirname, '..', '..', 'src');
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
+
+// content.js wires everything together; tests initialize the module under test themselves
+const BOOTSTRAP_SCRIPT = 'content.js';
+
+/**
+ * Returns every content script in manifest order (without the bootstrap script)
+ * The MAIN world history hook is included too; jsdom has only one world
+ * @returns {string[]}
+ */
+function getContentScripts() {
+    const manifest = JSON.parse(fs.readFileSync(path.join(SRC_DIR, 'manifest.json'), 'utf8'));
+    return manifest.content_scripts
+        .reduce((files, entry) => files.concat(entry.js), [])
+        .filter(file => file !== BOOTSTRAP_SCRIPT);
+}
+
+/**
+ * Returns the scripts an extension page includes, in order
+ * (they are stripped from the markup and evaluated by the harness instead)
+ * @param {string} page - HTML file in src
+ * @returns {string[]}
+ */
+function getPageScripts(page) {
+    const html = fs.readFileSync(path.join(SRC_DIR, page), 'utf8');
+    return Array.from(html.matchAll(/<script\b[^>]*\bsrc="([^"]+)"/g), match => match[1]);
+}
+
+/**
+ * Turns <template shadowrootmode> elements into real shadow roots (jsdom does not parse
+ * declarative shadow DOM), including templates nested inside other shadow roots
+ * @param {Document|Element|ShadowRoot} root
+ */
+function attachDeclarativeShadowRoots(root) {
+    root.querySelectorAll('template[shadowrootmode]').forEach(template => {
+        const host = template.parentElement;
+        const shadowRoot = host.attachShadow({ mode: template.getAttribute('shadowrootmode') });
+        shadowRoot.appendChild(template.content);
+        template.remove();
+        attachDeclarativeShadowRoots(shadowRoot);
+    });
+}
+
+/**
+ * CSS.escape as specified by CSSOM (jsdom doesn't implement it)
+ * @param {string} value
+ * @returns {string}
+ */
+function cssEscape(value) {
+    const string = String(value);
+    return Array.from(string).map((char, index) => {
+        const code = char.charCodeAt(0);
+        if (code === 0) return '\uFFFD';
+        if ((code >= 0x1 && code <= 0x1F) || code === 0x7F ||
+            (index === 0 && code >= 0x30 && code <= 0x39) ||
+            (index === 1 && code >= 0x30 && code <= 0x39 && string[0] === '-')) {
+            return `\\${code.toString(16)} `;
+        }
+        if (index === 0 && char === '-' && string.length === 1) return '\\-';
+        if (code >= 0x80 || char === '-' || char === '_' || /[0-9A-Za-z]/.test(char)) return char;
+        return `\\${char}`;
+    }).join('');
+}
+
+/**
+ * Creates one fake chrome.storage area
+ * Callbacks are always asynchronous, like the real API, and use the page's timers
+ * so nothing fires once the page is closed
+ * @param {Window} window
+ * @param {object} data - Backing object (mutated in place)
+ * @param {string} areaName - 'sync' or 'local'
+ * @param {Function[]} listeners - onChanged listeners
+ * @returns {object}
+ */
+function createStorageArea(window, data, areaName, listeners) {
+    const setTimeout = window.setTimeout.bind(window);
+    const copy = (value) => JSON.parse(JSON.stringify(value));
+    const notify = (changes) => {
+        if (Object.keys(changes).length > 0) {
+            listeners.forEach(listener => listener(copy(changes), areaName));
+        }
+    };
+
+    return {
+        get(keys, callback) {
+            let result = {};
+            if (keys === null || keys === undefined) {
+                result = { ...data };
+            } else if (typeof keys === 'string' || Array.isArray(keys)) {
+                [].concat(keys).forEach(key => {
+                    if (key in data) result[key] = data[key];
+                });
+            } else {
+                Object.keys(keys).forEach(key => {
+                    result[key] = key in data ? data[key] : keys[key];
+                });
+            }
+            setTimeout(() => callback(copy(result)), 0);
+        },
+        set(items, callback) {
+            const changes = {};
+            Object.keys(items).forEach(key => {
+                changes[key] = { oldValue: data[key], newValue: copy(items[key]) };
+                data[key] = copy(items[key]);
+            });
+            setTimeout(() => {
+                notify(changes);
+                if (callback) callback();
+            }, 0);
+        },
+        remove(keys, callback) {
+            const changes = {};
+            [].concat(keys).forEach(key => {
+                if (key in data) {
+                    changes[key] = { oldValue: data[key] };
+                    delete data[key];
+                }
+            });
+            setTimeout(() => {
+                notify(changes);
+                if (callback) callback();
+            }, 0);
+        },
+        clear(callback) {
+            const changes = {};
+            Object.keys(data).forEach(key => {
+                changes[key] = { oldValue: data[key] };
+                delete data[key];
+            });
+            setTimeout(() => {
+                notify(changes);
+                if (callback) callback();
+            }, 0);
+        }
+    };
+}
+
+/**
+ * Reads a locale's message catalog (an empty one if the locale has none)
+ * @param {string} locale - e.g. 'de'
+ * @returns {object}
+ */
+function readMessages(locale) {
+    const file = path.join(SRC_DIR, '_locales', locale, 'messages.json');
+    return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+}
+
+/**
+ * Creates a fake chrome.i18n.getMessage over the extension's catalogs, falling back to the
+ * default locale per message like Chrome does
+ * @param {string} locale - UI language
+ * @returns {Function}
+ */
+function createGetMessage(locale) {
+    const defaultLocale = JSON.parse(fs.readFileSync(path.join(SRC_DIR, 'manifest.json'), 'utf8')).default_locale;
+    const catalog = { ...readMessages(defaultLocale), ...readMessages(locale) };
+
+    return (name, substitutions) => {
+        const entry = catalog[name];
+        if (!entry) return '';
+        const values = [].concat(substitutions === undefined ? [] : substitutions).map(String);
+        const placeholders = entry.placeholders || {};
+        return entry.message
+            .replace(/\$([A-Za-z0-9_@]+)\$/g, (match, placeholder) => {
+                const content = placeholders[placeholder.toLowerCase()];
+                return content ? content.content : match;
+            })
+            .replace(/\$(\d)/g, (match, index) => values[index - 1] || '')
+            .replace(/\$\$/g, '$');
+    };
+}
+
+/**
+ * Creates the fake chrome object exposed to the content scripts
+ * @param {Window} window
+ * @param {object} syncData
+ * @param {object} localData
+ * @param {string} locale - UI language for chrome.i18n
+ * @returns {object}
+ */
+function createFakeChrome(window, syncData, localData, locale) {
+    const listeners = [];
+
+    return {
+        storage: {
+            sync: createStorageArea(window, syncData, 'sync', listeners),
+            local: createStorageArea(window, localData, 'local', listeners),
+            onChanged: {
+                addListener: (listener) => listeners.push(listener),
+                removeListener: (listener) => {
+                    const index = listeners.indexOf(listener);
+                    if (index !== -1) listeners.splice(index, 1);
+                }
+            }
+        },
+        runtime: {
+            lastError: null,
+            getManifest: () => JSON.parse(fs.readFileSync(path.join(SRC_DIR, 'manifest.json'), 'utf8')),
+            getURL: (file) => `chrome-extension://rex/${file}`
+        },
+        i18n: {
+            getMessage: createGetMessage(locale),
+            getUILanguage: () => locale
+        }
+    };
+}
+
+/**
+ * Loads a fixture page with the REX modules evaluated in it
+ * @param {object} options
+ * @param {string} [options.fixture] - File name in test/fixtures
+ * @param {string} [options.extensionPage] - HTML file in src (popup, options page) instead of a fixture
+ * @param {string} [options.url] - Page URL (drives routing)
+ * @param {object} [options.sync] - Initial chrome.storage.sync contents
+ * @param {object} [options.local] - Initial chrome.storage.local contents
+ * @param {object} [options.localStorage] - Initial contents of the page's own localStorage
+ * @param {string} [options.locale] - Browser UI language for chrome.i18n (defaults to 'en')
+ * @param {string[]} [options.scripts] - Scripts to load (defaults to the manifest's content scripts,
+ *     or the page's own scripts for an extension page)
+ * @returns {{ window: Window, document: Document, sync: object, local: object, close: Function }}
+ */
+function loadPage(options) {
+    const html = options.extensionPage
+        ? fs.readFileSync(path.join(SRC_DIR, options.extensionPage), 'utf8').replace(/<script\b[^>]*><\/script>/g, '')
+        : fs.readFileSync(path.join(FIXTURES_DIR, options.fixture), 'utf8');
+
+    // Keep test output readable: only surface errors
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.on('error', (...args) => console.error(...args));
+    virtualConsole.on('jsdomError', (error) => console.error(error));
+
+    const dom = new JSDOM(html, {
+        url: options.url || `chrome-extension://rex/${options.extensionPage}`,
+        runScripts: 'outside-only',
+        pretendToBeVisual: true,
+        virtualConsole
+    });
+    const window = dom.window;
+
+    attachDeclarativeShadowRoots(window.document);
+
+    const sync = { ...(options.sync || {}) };
+    const local = { ...(options.local || {}) };
+    window.chrome = createFakeChrome(window, sync, local, options.locale || 'en');
+    window.alert = () => {};
+    window.confirm = () => true;
+    window.prompt = (message, defaultValue) => defaultValue;
+    if (!window.CSS) window.CSS = { escape: cssEscape };
+    Object.keys(options.localStorage || {}).forEach(key => window.localStorage.setItem(key, options.localStorage[key]));
+
+    (options.scripts || (options.extensionPage ? getPageScripts(options.extensionPage) : getContentScripts())).forEach(file => {
+        const source = fs.readFileSync(path.join(SRC_DIR, file), 'utf8');
+        window.eval(`${source}\n//# sourceURL=${file}`);
+    });
+
+    return {
+        window,
+        document: window.document,
+        sync,
+        local,
+        close: () => window.close()
+    };
+}
+
+/**
+ * Resolves after the given time
+ * @param {number} ms
+ * @returns {Promise<void>}
+ */
+function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Polls until a condition holds
+ * @param {Function} condition
+ * @param {number} [timeout]
+ * @returns {Promise<void>}
+ */
+async function waitFor(condition, timeout = 3000) {
+    const start = Date.now();
+    while (!condition()) {
+        if (Date.now() - start > timeout) {
+            throw new Error(`Condition not met within ${timeout}ms: ${condition}`);
+        }
+        await wait(20);
+    }
+}
+
+/**
+ * Lists the REX stylesheets present in a root, by id or registry name
+ * @param {Document|ShadowRoot} root
+ * @returns {string[]}
+ */
+function getStyleNames(root) {
+    return Array.from(root.querySelectorAll('style'))
+        .map(style => style.id || style.getAttribute('data-rex-style'))
+        .filter(Boolean);
+}
+
+module.exports = {
+    loadPage,
+    wait,
+    waitFor,
+    getStyleNames,
+    attachDeclarativeShadowRoots
+};
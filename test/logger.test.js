@@ -0,0 +1,94 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { loadPage, waitFor } = require('./helpers/harness');
+
+/**
+ * Collects what a page prints to its console, by method
+ * @param {Window} window
+ * @returns {object} Method name -> array of first arguments
+ */
+function captureConsole(window) {
+    const printed = { debug: [], info: [], warn: [], error: [] };
+    Object.keys(printed).forEach(method => {
+        window.console[method] = (...args) => printed[method].push(args.join(' '));
+    });
+    return printed;
+}
+
+test('prints only warnings by default and keeps info events in the shared buffer', async (t) => {
+    const page = loadPage({ fixture: 'feed.html', url: 'https://www.reddit.com/r/pics/' });
+    t.after(page.close);
+    const printed = captureConsole(page.window);
+    const log = page.window.REX_LOG.create('Test');
+
+    log.debug('noisy detail');
+    log.info('section collapsed');
+    log.warn('logo not found', { path: '/r/pics/' });
+
+    assert.deepStrictEqual(printed.info, []);
+    assert.deepStrictEqual(printed.warn, ['[REX] Test: logo not found [object Object]']);
+
+    await waitFor(() => Array.isArray(page.local.rex_log));
+    assert.deepStrictEqual(Array.from(page.local.rex_log, entry => [entry.level, entry.namespace, entry.message, entry.path]), [
+        ['info', 'Test', 'section collapsed', '/r/pics/'],
+        ['warn', 'Test', 'logo not found {"path":"/r/pics/"}', '/r/pics/']
+    ]);
+});
+
+test('prints and records everything in Debug mode', async (t) => {
+    const page = loadPage({ fixture: 'feed.html', url: 'https://www.reddit.com/', sync: { rex_debug_mode: true } });
+    t.after(page.close);
+    const { window } = page;
+    const printed = captureConsole(window);
+    const log = window.REX_LOG.create('Test');
+
+    await waitFor(() => window.REX_LOG.isDebugMode());
+    log.debug('noisy detail');
+    assert.deepStrictEqual(printed.debug, ['[REX] Test: noisy detail']);
+
+    window.chrome.storage.sync.set({ rex_debug_mode: false });
+    await waitFor(() => !window.REX_LOG.isDebugMode());
+    log.debug('dropped');
+
+    await waitFor(() => Array.isArray(page.local.rex_log));
+    assert.deepStrictEqual(Array.from(page.local.rex_log, entry => entry.message), ['noisy detail']);
+});
+
+test('shows recent events under Diagnostics and copies a report', async (t) => {
+    const page = loadPage({
+        fixture: 'settings.html',
+        url: 'https://www.reddit.com/settings/account#rex-settings',
+        sync: { rex_hide_ads: true },
+        local: {
+            rex_log: [{ time: Date.UTC(2026, 0, 2), level: 'warn', namespace: 'Selectors', message: 'Reddit logo not found on /r/pics/', path: '/r/pics/' }],
+            rex_selector_health: { reddit_logo: { status: 'missing', strategy: null, path: '/r/pics/', checkedAt: Date.UTC(2026, 0, 2) } }
+        }
+    });
+    t.after(page.close);
+    const { window, document } = page;
+    let copied = null;
+    Object.defineProperty(window.navigator, 'clipboard', { value: { writeText: (text) => { copied = text; return Promise.resolve(); } } });
+
+    window.REX_SETTINGS.init();
+    await waitFor(() => document.getElementById('rex-settings-panel'));
+
+    const section = document.getElementById('rex-diagnostics-section');
+    assert.ok(section.querySelector('[data-setting-key="rex_debug_mode"]'));
+    // Newest first, after the panel's own events
+    const entries = [...section.querySelectorAll('#rex-log-list .rex-log-entry')];
+    const entry = entries[entries.length - 1];
+    assert.strictEqual(entry.dataset.level, 'warn');
+    assert.match(entry.textContent, /WARN Selectors: Reddit logo not found/);
+
+    section.querySelector('[data-rex-action="copy-report"]').click();
+    await waitFor(() => copied);
+    assert.match(copied, /^REX diagnostics report\nVersion: 1\.0\.0\n/);
+    assert.match(copied, /"rex_hide_ads": true/);
+    assert.match(copied, /reddit_logo: missing on \/r\/pics\//);
+    assert.match(copied, /2026-01-02T00:00:00\.000Z WARN Selectors: Reddit logo not found on \/r\/pics\/ \(\/r\/pics\/\)/);
+
+    section.querySelector('[data-rex-action="clear-diagnostics"]').click();
+    await waitFor(() => !('rex_log' in page.local) && section.querySelector('#rex-log-list .rex-log-entry[data-level="warn"]') === null);
+});
@@ -0,0 +1,113 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { loadPage, waitFor } = require('./helpers/harness');
+
+/**
+ * Opens the options page and waits for the shared panel to render
+ * @param {object} [sync]
+ * @param {string} [locale] - Browser UI language
+ * @returns {Promise<object>}
+ */
+async function openOptions(sync, locale) {
+    const page = loadPage({ extensionPage: 'options.html', sync, locale });
+    await waitFor(() => page.document.querySelector('#rex-options-panel #rex-settings-panel'));
+    page.panel = page.document.getElementById('rex-settings-panel');
+    return page;
+}
+
+/**
+ * Lists the ids of the visible panel sections
+ * @param {HTMLElement} panel
+ * @returns {string[]}
+ */
+function getVisibleSections(panel) {
+    return Array.from(panel.querySelectorAll('.rex-settings-content > div[id$="-section"]'))
+        .filter(section => !section.hidden)
+        .map(section => section.id);
+}
+
+test('renders the same panel as the injected settings tab', async (t) => {
+    const page = await openOptions();
+    t.after(page.close);
+
+    const titles = Array.from(page.panel.querySelectorAll('h2'), h2 => h2.textContent.trim());
+    const expected = ['Profiles', ...Array.from(page.window.REX_SETTINGS_SCHEMA.SECTIONS, section => section.title)];
+    assert.deepStrictEqual(titles.slice(0, expected.length), expected);
+
+    // The link to this page is only shown in the injected tab
+    assert.strictEqual(page.document.getElementById('rex-full-settings-link'), null);
+});
+
+test('saves settings from the options page', async (t) => {
+    const page = await openOptions();
+    t.after(page.close);
+
+    page.panel.querySelector('[data-setting-key="rex_hide_create"]').click();
+    await waitFor(() => page.sync.rex_hide_create === true);
+});
+
+test('filters rows and sections by search text', async (t) => {
+    const page = await openOptions();
+    t.after(page.close);
+    const { window, document, panel } = page;
+    const search = document.getElementById('rex-options-search');
+
+    search.value = 'explore';
+    search.dispatchEvent(new window.Event('input'));
+    assert.deepStrictEqual(getVisibleSections(panel), ['rex-sidebar-section']);
+    const visibleRows = Array.from(panel.querySelectorAll('[data-setting-key]'))
+        .filter(row => !row.hidden && !row.closest('[hidden]'))
+        .map(row => row.dataset.settingKey);
+    assert.deepStrictEqual(visibleRows, ['rex_hide_explore']);
+
+    // Section titles match whole sections
+    search.value = 'custom rules';
+    search.dispatchEvent(new window.Event('input'));
+    assert.deepStrictEqual(getVisibleSections(panel), ['rex-custom-rules-section']);
+
+    search.value = '';
+    search.dispatchEvent(new window.Event('input'));
+    assert.strictEqual(getVisibleSections(panel).length, panel.querySelectorAll('.rex-settings-content > div[id$="-section"]').length);
+});
+
+test('keeps the preview in sync with the settings', async (t) => {
+    const page = await openOptions({ rex_hide_ads: true, rex_section_recent: 'Hide' });
+    t.after(page.close);
+    const { document } = page;
+    const preview = (key) => document.querySelector(`.rex-preview [data-rex-preview="${key}"]`);
+
+    await waitFor(() => preview('rex_hide_ads').hidden);
+    assert.strictEqual(preview('rex_hide_create').hidden, false);
+    assert.strictEqual(preview('rex_show_subreddit_indicator').hidden, false);
+    assert.strictEqual(document.querySelector('[data-rex-preview-section="rex_section_recent"]').hidden, true);
+    assert.strictEqual(document.querySelector('[data-rex-preview-section="rex_section_games"]').open, false);
+
+    page.panel.querySelector('[data-setting-key="rex_hide_create"]').click();
+    await waitFor(() => preview('rex_hide_create').hidden);
+});
+
+test('links the injected settings tab to the options page', async (t) => {
+    const page = loadPage({ fixture: 'settings.html', url: 'https://www.reddit.com/settings/account' });
+    t.after(page.close);
+
+    page.window.REX_SETTINGS.init();
+    await waitFor(() => page.document.getElementById('rex-settings-tab'));
+    page.document.getElementById('rex-settings-tab').click();
+
+    const link = page.document.querySelector('#rex-full-settings-link a');
+    assert.strictEqual(link.textContent, 'Open full settings');
+    assert.strictEqual(link.getAttribute('href'), 'chrome-extension://rex/options.html');
+});
+
+test('shows the page text in the browser language', async (t) => {
+    const page = await openOptions({}, 'es');
+    t.after(page.close);
+    const { document } = page;
+
+    assert.strictEqual(document.title, 'Ajustes de REX');
+    assert.strictEqual(document.querySelector('h1').textContent, 'Ajustes de REX');
+    assert.strictEqual(document.getElementById('rex-options-search').placeholder, 'Buscar ajustes');
+    assert.strictEqual(document.querySelector('.rex-preview').getAttribute('aria-label'), 'Vista previa');
+});
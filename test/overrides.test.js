@@ -0,0 +1,78 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { loadPage, wait, waitFor, getStyleNames } = require('./helpers/harness');
+
+const OVERRIDES = [
+    { id: 'override-1', subreddit: 'ourteam', key: 'rex_section_communities', value: 'Show' },
+    { id: 'override-2', subreddit: 'aww', key: 'rex_hide_ads', value: true }
+];
+
+test('resolves overrides only inside their subreddit', async (t) => {
+    const page = loadPage({ fixture: 'feed.html', url: 'https://www.reddit.com/r/OurTeam/comments/abc123/title/', sync: { rex_subreddit_overrides: OVERRIDES } });
+    t.after(page.close);
+    const { window } = page;
+
+    window.REX_ROUTER.init();
+    const inSubreddit = await window.REX_OVERRIDES.load(['rex_section_communities', 'rex_hide_ads']);
+    assert.deepStrictEqual({ ...inSubreddit }, { rex_section_communities: 'Show', rex_hide_ads: false });
+
+    window.history.pushState({}, '', '/');
+    const onFeed = await window.REX_OVERRIDES.load(['rex_section_communities']);
+    assert.deepStrictEqual({ ...onFeed }, { rex_section_communities: 'Collapse' });
+});
+
+test('re-applies settings when SPA navigation enters or leaves an overridden subreddit', async (t) => {
+    const page = loadPage({ fixture: 'feed.html', url: 'https://www.reddit.com/', sync: { rex_subreddit_overrides: OVERRIDES } });
+    t.after(page.close);
+    const { window, document } = page;
+
+    window.REX_ROUTER.init();
+    window.REX_HEADER.init();
+    await wait(50);
+    assert.ok(!getStyleNames(document).includes('rex-hide-ads-style'));
+
+    window.history.pushState({}, '', '/r/aww/');
+    await waitFor(() => getStyleNames(document).includes('rex-hide-ads-style'));
+
+    window.history.pushState({}, '', '/r/pics/');
+    await waitFor(() => !getStyleNames(document).includes('rex-hide-ads-style'));
+});
+
+test('adds, replaces and deletes overrides from the Overrides view', async (t) => {
+    const page = loadPage({ fixture: 'settings.html', url: 'https://www.reddit.com/settings/account' });
+    t.after(page.close);
+    const { window, document } = page;
+
+    window.REX_SETTINGS.init();
+    await waitFor(() => document.getElementById('rex-settings-tab'));
+    document.getElementById('rex-settings-tab').click();
+
+    const addOverride = (subreddit, key, value) => {
+        const keySelect = document.getElementById('rex-override-new-key');
+        keySelect.value = key;
+        keySelect.dispatchEvent(new window.Event('change', { bubbles: true }));
+        document.getElementById('rex-override-new-value').value = value;
+        document.getElementById('rex-override-new-subreddit').value = subreddit;
+        document.querySelector('[data-rex-action="add-override"]').click();
+    };
+
+    addOverride('r/OurTeam', 'rex_section_communities', 'Show');
+    await waitFor(() => page.sync.rex_subreddit_overrides && page.sync.rex_subreddit_overrides.length === 1);
+    assert.strictEqual(page.sync.rex_subreddit_overrides[0].subreddit, 'ourteam');
+    assert.strictEqual(page.sync.rex_subreddit_overrides[0].value, 'Show');
+    assert.ok(document.querySelector('.rex-override-group[data-subreddit="ourteam"]'));
+
+    addOverride('ourteam', 'rex_section_communities', 'Hide');
+    await waitFor(() => page.sync.rex_subreddit_overrides[0].value === 'Hide');
+    assert.strictEqual(page.sync.rex_subreddit_overrides.length, 1);
+
+    addOverride('ourteam', 'rex_hide_ads', 'true');
+    await waitFor(() => page.sync.rex_subreddit_overrides.length === 2);
+    assert.strictEqual(page.sync.rex_subreddit_overrides[1].value, true);
+
+    document.querySelector('#rex-overrides-list [data-rex-action="delete-item"]').click();
+    await waitFor(() => page.sync.rex_subreddit_overrides.length === 1);
+    assert.strictEqual(page.sync.rex_subreddit_overrides[0].key, 'rex_hide_ads');
+});
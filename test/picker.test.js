@@ -0,0 +1,57 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { loadPage, waitFor } = require('./helpers/harness');
+
+test('builds unique selectors that prefer stable ids and attributes', (t) => {
+    const page = loadPage({ fixture: 'feed.html', url: 'https://www.reddit.com/' });
+    t.after(page.close);
+    const { document } = page;
+    const buildSelector = page.window.REX_PICKER.buildSelector;
+
+    assert.strictEqual(buildSelector(document.getElementById('advertise-button')), '#advertise-button');
+    assert.strictEqual(buildSelector(document.querySelector('recent-posts')), 'recent-posts');
+
+    const selector = buildSelector(document.querySelector('#t3_bbb shreddit-post-flair'));
+    assert.strictEqual(document.querySelectorAll(selector).length, 1);
+});
+
+test('builds selectors relative to the shadow root of the picked element', (t) => {
+    const page = loadPage({ fixture: 'feed.html', url: 'https://www.reddit.com/' });
+    t.after(page.close);
+    const root = page.document.querySelector('left-nav-custom-feeds').shadowRoot;
+    const link = root.querySelector('a');
+
+    const selector = page.window.REX_PICKER.buildSelector(link);
+    assert.strictEqual(root.querySelector(selector), link);
+});
+
+test('starts picking on the next page when asked to from the settings page', async (t) => {
+    const page = loadPage({ fixture: 'feed.html', url: 'https://www.reddit.com/', local: { rex_picker_pending: true } });
+    t.after(page.close);
+
+    page.window.REX_PICKER.init();
+    await waitFor(() => page.document.getElementById('rex-picker-banner'));
+
+    assert.ok(!('rex_picker_pending' in page.local));
+    page.document.dispatchEvent(new page.window.KeyboardEvent('keydown', { key: 'Escape' }));
+    assert.strictEqual(page.document.getElementById('rex-picker-banner'), null);
+});
+
+test('asks again for a picked selector until it is valid', async (t) => {
+    const page = loadPage({ fixture: 'feed.html', url: 'https://www.reddit.com/' });
+    t.after(page.close);
+    const { window, document } = page;
+    const answers = ['a } body { x', 'recent-posts'];
+    const alerts = [];
+    window.prompt = () => answers.shift();
+    window.alert = (message) => alerts.push(message);
+
+    window.REX_PICKER.start();
+    document.querySelector('recent-posts').dispatchEvent(new window.MouseEvent('click', { bubbles: true, composed: true }));
+
+    await waitFor(() => page.sync.rex_custom_rules && page.sync.rex_custom_rules.length === 1);
+    assert.strictEqual(page.sync.rex_custom_rules[0].selector, 'recent-posts');
+    assert.deepStrictEqual(alerts, ['REX: "a } body { x" is not a valid CSS selector.']);
+});
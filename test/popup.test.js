@@ -0,0 +1,66 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { loadPage, waitFor } = require('./helpers/harness');
+
+/**
+ * Opens the popup and waits for it to render
+ * @param {object} [sync]
+ * @returns {Promise<object>}
+ */
+async function openPopup(sync) {
+    const page = loadPage({ extensionPage: 'popup.html', sync });
+    await waitFor(() => page.document.querySelector('.rex-popup-row'));
+    return page;
+}
+
+test('renders every toggle and section mode from the schema', async (t) => {
+    const page = await openPopup();
+    t.after(page.close);
+    const SCHEMA = page.window.REX_SETTINGS_SCHEMA;
+
+    const rendered = Array.from(page.document.querySelectorAll('.rex-popup-row'), row => row.dataset.settingKey);
+    const expected = Array.from(SCHEMA.keys(setting => setting.type === 'boolean' || setting.type === 'enum'));
+    assert.deepStrictEqual(rendered.sort(), expected.sort());
+
+    const titles = Array.from(page.document.querySelectorAll('.rex-popup-section h2'), h2 => h2.textContent);
+    assert.deepStrictEqual(titles, ['Reddit Header', 'Sidebar', 'Right Sidebar', 'Comments Page', 'Diagnostics']);
+});
+
+test('reflects stored values and list counts', async (t) => {
+    const page = await openPopup({
+        rex_hide_ads: true,
+        rex_section_recent: 'Hide',
+        rex_custom_rules: [{ id: 'r1', selector: 'recent-posts', enabled: true }]
+    });
+    t.after(page.close);
+    const { document } = page;
+
+    assert.strictEqual(document.querySelector('[data-setting-key="rex_hide_ads"] input').checked, true);
+    assert.strictEqual(document.querySelector('[data-setting-key="rex_hide_create"] input').checked, false);
+    assert.strictEqual(document.querySelector('[data-setting-key="rex_section_recent"] select').value, 'Hide');
+    assert.strictEqual(document.getElementById('rex-popup-lists').textContent, 'Pinned: 0 · Collapsed Bots: 0 · Subreddit Overrides: 0 · Feed Filters: 0 · Custom Rules: 1');
+});
+
+test('writes changes to chrome.storage.sync', async (t) => {
+    const page = await openPopup();
+    t.after(page.close);
+    const { window, document } = page;
+
+    document.querySelector('[data-setting-key="rex_hide_popular"] input').click();
+    const select = document.querySelector('[data-setting-key="rex_section_games"] select');
+    select.value = 'Show';
+    select.dispatchEvent(new window.Event('change'));
+
+    await waitFor(() => page.sync.rex_section_games === 'Show');
+    assert.strictEqual(page.sync.rex_hide_popular, true);
+});
+
+test('follows changes made elsewhere', async (t) => {
+    const page = await openPopup();
+    t.after(page.close);
+
+    page.window.chrome.storage.sync.set({ rex_hide_explore: true });
+    await waitFor(() => page.document.querySelector('[data-setting-key="rex_hide_explore"] input').checked);
+});
@@ -0,0 +1,125 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { loadPage, wait, waitFor, getStyleNames } = require('./helpers/harness');
+
+const FOCUS_VALUES = { rex_hide_ads: true, rex_hide_create: true, rex_section_communities: 'Collapse' };
+const BROWSING_VALUES = { rex_hide_ads: false, rex_hide_create: false, rex_section_communities: 'Show' };
+
+/**
+ * Stored sync contents with a "Focus" (active) and a "Browsing" profile
+ * @returns {object}
+ */
+function twoProfiles() {
+    return {
+        ...FOCUS_VALUES,
+        rex_profiles: [{ id: 'focus', name: 'Focus' }, { id: 'browsing', name: 'Browsing' }],
+        rex_active_profile: 'focus',
+        rex_profile_focus: { version: 0, values: FOCUS_VALUES },
+        rex_profile_browsing: { version: 0, values: BROWSING_VALUES }
+    };
+}
+
+test('creates a profile from the current settings and makes it active', async (t) => {
+    const page = loadPage({ fixture: 'feed.html', url: 'https://www.reddit.com/', sync: { rex_hide_ads: true } });
+    t.after(page.close);
+
+    const id = await page.window.REX_PROFILES.create('  Focus ');
+    assert.deepStrictEqual(Array.from(page.sync.rex_profiles, p => ({ ...p })), [{ id, name: 'Focus' }]);
+    assert.strictEqual(page.sync.rex_active_profile, id);
+    assert.strictEqual(page.sync['rex_profile_' + id].values.rex_hide_ads, true);
+
+    assert.strictEqual(await page.window.REX_PROFILES.create('focus'), null);
+    assert.strictEqual(page.sync.rex_profiles.length, 1);
+});
+
+test('switching writes the profile values and keeps edits of the outgoing profile', async (t) => {
+    const page = loadPage({ fixture: 'feed.html', url: 'https://www.reddit.com/', sync: { ...twoProfiles(), rex_hide_create: false } });
+    t.after(page.close);
+    const { window, document } = page;
+
+    window.REX_HEADER.init();
+    await waitFor(() => getStyleNames(document).includes('rex-hide-ads-style'));
+
+    await window.REX_PROFILES.switchTo('browsing');
+    assert.strictEqual(page.sync.rex_active_profile, 'browsing');
+    assert.strictEqual(page.sync.rex_section_communities, 'Show');
+    assert.strictEqual(page.sync.rex_profile_focus.values.rex_hide_create, false);
+    await waitFor(() => !getStyleNames(document).includes('rex-hide-ads-style'));
+
+    await window.REX_PROFILES.cycle();
+    assert.strictEqual(page.sync.rex_active_profile, 'focus');
+    assert.strictEqual(page.sync.rex_hide_create, false);
+    await waitFor(() => getStyleNames(document).includes('rex-hide-ads-style'));
+});
+
+test('renames, duplicates and deletes profiles', async (t) => {
+    const page = loadPage({ fixture: 'feed.html', url: 'https://www.reddit.com/', sync: twoProfiles() });
+    t.after(page.close);
+    const PROFILES = page.window.REX_PROFILES;
+
+    assert.strictEqual(await PROFILES.rename('browsing', 'Focus'), false);
+    assert.ok(await PROFILES.rename('browsing', 'Relaxed'));
+
+    const copyId = await PROFILES.duplicate('browsing');
+    assert.deepStrictEqual(Array.from(page.sync.rex_profiles, p => p.name), ['Focus', 'Relaxed', 'Relaxed copy']);
+    assert.strictEqual(page.sync['rex_profile_' + copyId].values.rex_hide_ads, false);
+
+    assert.ok(await PROFILES.remove('focus'));
+    assert.strictEqual(page.sync.rex_active_profile, '');
+    assert.ok(!('rex_profile_focus' in page.sync));
+    assert.strictEqual(page.sync.rex_hide_ads, true);
+});
+
+test('switches profiles from the header and with Alt+Shift+P', async (t) => {
+    const page = loadPage({ fixture: 'feed.html', url: 'https://www.reddit.com/', sync: twoProfiles() });
+    t.after(page.close);
+    const { window, document } = page;
+
+    window.REX_HEADER.init();
+    window.REX_SHORTCUTS.init();
+    await waitFor(() => document.getElementById('rex-profile-switcher'));
+
+    const switcher = document.getElementById('rex-profile-switcher');
+    assert.deepStrictEqual(Array.from(switcher.options, option => option.textContent), ['Focus', 'Browsing']);
+    assert.strictEqual(switcher.value, 'focus');
+
+    switcher.value = 'browsing';
+    switcher.dispatchEvent(new window.Event('change'));
+    await waitFor(() => page.sync.rex_active_profile === 'browsing');
+
+    // Typing in a text field never switches
+    const input = document.body.appendChild(document.createElement('input'));
+    input.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'P', code: 'KeyP', altKey: true, shiftKey: true, bubbles: true, composed: true }));
+    await wait(50);
+    assert.strictEqual(page.sync.rex_active_profile, 'browsing');
+
+    document.body.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'P', code: 'KeyP', altKey: true, shiftKey: true, bubbles: true }));
+    await waitFor(() => page.sync.rex_active_profile === 'focus');
+    await waitFor(() => document.getElementById('rex-profile-switcher').value === 'focus');
+});
+
+test('manages profiles from the settings panel', async (t) => {
+    const page = loadPage({ fixture: 'settings.html', url: 'https://www.reddit.com/settings/account', sync: twoProfiles() });
+    t.after(page.close);
+    const { document } = page;
+
+    page.window.REX_SETTINGS.init();
+    await waitFor(() => document.getElementById('rex-settings-tab'));
+    document.getElementById('rex-settings-tab').click();
+
+    const activeRow = () => document.querySelector('.rex-profile-row[data-active="true"]');
+    assert.strictEqual(activeRow().dataset.profileId, 'focus');
+
+    document.querySelector('.rex-profile-row[data-profile-id="browsing"] [data-rex-action="switch-profile"]').click();
+    await waitFor(() => activeRow() && activeRow().dataset.profileId === 'browsing');
+    // The re-rendered panel shows the switched-in values
+    const communities = document.querySelector('[data-setting-key="rex_section_communities"] select');
+    assert.strictEqual(communities.value, 'Show');
+
+    document.getElementById('rex-profile-new-name').value = 'Weekend';
+    document.querySelector('[data-rex-action="add-profile"]').click();
+    await waitFor(() => document.querySelectorAll('.rex-profile-row').length === 3);
+    assert.strictEqual(activeRow().querySelector('.rex-profile-name').value, 'Weekend');
+});
@@ -0,0 +1,60 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { loadPage, waitFor } = require('./helpers/harness');
+
+test('parses every route type', (t) => {
+    const page = loadPage({ fixture: 'feed.html', url: 'https://www.reddit.com/' });
+    t.after(page.close);
+    const parse = (path) => {
+        const route = page.window.REX_ROUTER.parse('https://www.reddit.com' + path);
+        return { type: route.type, subreddit: route.subreddit, postId: route.postId, username: route.username };
+    };
+
+    assert.deepStrictEqual(parse('/'), { type: 'feed', subreddit: null, postId: null, username: null });
+    assert.strictEqual(parse('/r/popular/').type, 'feed');
+    assert.strictEqual(parse('/best/').type, 'feed');
+    assert.deepStrictEqual(parse('/r/pics/'), { type: 'subreddit', subreddit: 'pics', postId: null, username: null });
+    assert.deepStrictEqual(parse('/r/pics/comments/abc123/title/'), { type: 'post', subreddit: 'pics', postId: 'abc123', username: null });
+    assert.strictEqual(parse('/r/pics/search/?q=sunset').type, 'search');
+    assert.strictEqual(parse('/search/?q=sunset').type, 'search');
+    assert.deepStrictEqual(parse('/user/alice/'), { type: 'user', subreddit: null, postId: null, username: 'alice' });
+    assert.strictEqual(parse('/settings/account').type, 'settings');
+    assert.strictEqual(parse('/media?url=x').type, 'other');
+});
+
+test('notifies subscribers on SPA navigation, once per URL', async (t) => {
+    const page = loadPage({ fixture: 'feed.html', url: 'https://www.reddit.com/' });
+    t.after(page.close);
+    const { window } = page;
+    const seen = [];
+
+    window.REX_ROUTER.init();
+    window.REX_ROUTER.subscribe((route, previous) => seen.push(`${previous.type}->${route.type}`));
+
+    window.history.pushState({}, '', '/r/pics/');
+    window.history.replaceState({}, '', '/r/pics/');
+    window.history.pushState({}, '', '/r/pics/comments/abc123/title/');
+    await waitFor(() => seen.length === 2);
+
+    assert.deepStrictEqual(seen, ['feed->subreddit', 'subreddit->post']);
+});
+
+test('filters subscriptions by route type', async (t) => {
+    const page = loadPage({ fixture: 'feed.html', url: 'https://www.reddit.com/' });
+    t.after(page.close);
+    const { window } = page;
+    const seen = [];
+
+    window.REX_ROUTER.init();
+    const unsubscribe = window.REX_ROUTER.subscribe(route => seen.push(route.path), { types: ['post'], immediate: true });
+
+    window.history.pushState({}, '', '/r/pics/');
+    window.history.pushState({}, '', '/r/pics/comments/abc123/title/');
+    await waitFor(() => seen.length === 1);
+    unsubscribe();
+    window.history.pushState({}, '', '/r/aww/comments/def456/title/');
+
+    assert.deepStrictEqual(seen, ['/r/pics/comments/abc123/title/']);
+});
@@ -0,0 +1,122 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { loadPage, wait, waitFor } = require('./helpers/harness');
+
+test('falls back to later strategies when the first one stops matching', async (t) => {
+    const page = loadPage({ fixture: 'feed.html', url: 'https://www.reddit.com/r/pics/' });
+    t.after(page.close);
+    const { window, document } = page;
+    const SELECTORS = window.REX_SELECTORS;
+
+    assert.strictEqual(SELECTORS.resolve('reddit_logo').status, 'found');
+
+    // Reddit drops the logo's id: the indicator still finds its place through aria-label
+    document.getElementById('reddit-logo').removeAttribute('id');
+    const result = SELECTORS.resolve('reddit_logo');
+    assert.strictEqual(result.status, 'fallback');
+    assert.strictEqual(result.strategy.type, 'aria-label');
+
+    window.REX_ROUTER.init();
+    window.REX_HEADER.init();
+    await waitFor(() => document.getElementById('rex-subreddit-indicator'));
+    assert.strictEqual(document.getElementById('rex-subreddit-indicator').previousElementSibling, document.querySelector('rpl-tooltip'));
+
+    assert.strictEqual(SELECTORS.toCss('ask_button', { scope: 'reddit-header-large', suffix: ':hover' }),
+        'reddit-header-large a[href^="/answers/"]:hover, reddit-header-large a[aria-label*="Reddit Answers" i]:hover');
+});
+
+test('finds renamed sidebar sections through structural fallbacks', async (t) => {
+    const page = loadPage({ fixture: 'feed.html', url: 'https://www.reddit.com/' });
+    t.after(page.close);
+    const { window, document } = page;
+
+    // Reddit drops the aria-controls hints and renames the headings
+    const communities = [...document.querySelectorAll('details')].find(d => d.textContent.includes('COMMUNITIES'));
+    const customFeedsSummary = document.querySelector('left-nav-custom-feeds').shadowRoot.querySelector('summary');
+    [communities.querySelector('summary'), customFeedsSummary].forEach(summary => summary.removeAttribute('aria-controls'));
+    communities.querySelector('summary').textContent = 'YOUR COMMUNITIES (NEW)';
+    customFeedsSummary.textContent = 'FEEDS';
+
+    // Shadow roots are known after the observer's first scan
+    window.REX_OBSERVER.init();
+    await wait(50);
+
+    const result = window.REX_SELECTORS.resolve('sidebar_custom_feeds');
+    assert.strictEqual(result.status, 'fallback');
+    assert.strictEqual(result.strategy.type, 'structural');
+
+    window.REX_SIDEBAR.init();
+    const customFeeds = document.querySelector('left-nav-custom-feeds').shadowRoot.querySelector('details');
+    await waitFor(() => !customFeeds.open);
+    assert.ok(!communities.open);
+});
+
+test('finds sections of a localized sidebar by hints, then by translated headings', async (t) => {
+    const page = loadPage({ fixture: 'feed.html', url: 'https://www.reddit.com/' });
+    t.after(page.close);
+    const { window, document } = page;
+    const SELECTORS = window.REX_SELECTORS;
+    const sections = [...document.querySelectorAll('#left-sidebar > details')];
+    const [games, recent, communities, resources] = sections;
+
+    // Reddit in German
+    const german = { 'GAMES ON REDDIT': 'SPIELE AUF REDDIT', 'RECENT': 'ZULETZT BESUCHT', 'COMMUNITIES': 'COMMUNITYS', 'RESOURCES': 'RESSOURCEN' };
+    sections.forEach(details => {
+        const summary = details.querySelector('summary');
+        summary.textContent = german[summary.textContent];
+    });
+
+    const hinted = SELECTORS.resolve('sidebar_communities');
+    assert.strictEqual(hinted.status, 'found');
+    assert.strictEqual(hinted.elements[0], communities);
+
+    // Without hints, the German heading still identifies the section
+    recent.querySelector('summary').removeAttribute('aria-controls');
+    const result = SELECTORS.resolve('sidebar_recent');
+    assert.deepStrictEqual([result.status, result.strategy.type, result.elements[0]], ['fallback', 'text', recent]);
+
+    window.REX_SIDEBAR.init();
+    await waitFor(() => !games.open && !recent.open && !communities.open && !resources.open);
+});
+
+test('records health in local storage and shows it under Diagnostics', async (t) => {
+    const page = loadPage({ fixture: 'feed.html', url: 'https://www.reddit.com/' });
+    t.after(page.close);
+    const SELECTORS = page.window.REX_SELECTORS;
+
+    page.document.getElementById('advertise-button').removeAttribute('id');
+    SELECTORS.check('reddit_logo');
+    SELECTORS.check('advertise_button');
+    SELECTORS.check('sidebar_moderation');
+    await waitFor(() => page.local.rex_selector_health && page.local.rex_selector_health.sidebar_moderation);
+
+    const health = page.local.rex_selector_health;
+    assert.strictEqual(health.reddit_logo.status, 'found');
+    assert.deepStrictEqual([health.advertise_button.status, health.advertise_button.strategy], ['fallback', 'attribute']);
+    assert.strictEqual(health.sidebar_moderation.status, 'missing');
+    assert.strictEqual(health.sidebar_moderation.path, '/');
+
+    const settings = loadPage({
+        fixture: 'settings.html',
+        url: 'https://www.reddit.com/settings/account#rex-settings',
+        local: { rex_selector_health: JSON.parse(JSON.stringify(health)) }
+    });
+    t.after(settings.close);
+    const { document } = settings;
+
+    settings.window.REX_SETTINGS.init();
+    await waitFor(() => document.getElementById('rex-settings-panel'));
+
+    const row = (id) => document.querySelector(`.rex-diagnostics-row[data-target="${id}"]`);
+    assert.strictEqual(row('reddit_logo').dataset.status, 'found');
+    assert.strictEqual(row('advertise_button').querySelector('.rex-diagnostics-status').textContent, 'Found via fallback (attribute)');
+    assert.strictEqual(row('sidebar_moderation').dataset.status, 'missing');
+    assert.strictEqual(row('sidebar_recent').dataset.status, 'unchecked');
+
+    document.querySelector('[data-rex-action="clear-diagnostics"]').click();
+    await waitFor(() => row('reddit_logo').dataset.status === 'unchecked');
+    await wait(10);
+    assert.ok(!('rex_selector_health' in settings.local));
+});
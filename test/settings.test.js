@@ -0,0 +1,203 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { loadPage, waitFor } = require('./helpers/harness');
+
+const SETTINGS_URL = 'https://www.reddit.com/settings/account';
+
+/**
+ * Loads the settings page, injects the REX tab and opens the panel
+ * @param {object} [sync] - Initial stored settings
+ * @param {string} [locale] - Browser UI language
+ * @returns {Promise<object>} Page with the panel element attached
+ */
+async function openPanel(sync, locale) {
+    const page = loadPage({ fixture: 'settings.html', url: SETTINGS_URL, sync, locale });
+    page.window.REX_SETTINGS.init();
+    await waitFor(() => page.document.getElementById('rex-settings-tab'));
+
+    page.document.getElementById('rex-settings-tab').click();
+    page.panel = page.document.getElementById('rex-settings-panel');
+    return page;
+}
+
+test('adds the REX Settings tab after the native tabs', async (t) => {
+    const page = loadPage({ fixture: 'settings.html', url: SETTINGS_URL });
+    t.after(page.close);
+
+    page.window.REX_SETTINGS.init();
+    await waitFor(() => page.document.getElementById('rex-settings-tab'));
+
+    const tabs = page.document.querySelectorAll('#settings-tabgroup a');
+    assert.strictEqual(tabs[tabs.length - 1].id, 'rex-settings-tab');
+    assert.strictEqual(tabs[tabs.length - 1].className, tabs[tabs.length - 2].className.replace(' text-secondary-plain-weak', '') + ' text-secondary-plain-weak');
+});
+
+test('puts the tab back when Reddit re-renders the tab bar', async (t) => {
+    const page = loadPage({ fixture: 'settings.html', url: SETTINGS_URL });
+    t.after(page.close);
+
+    page.window.REX_SETTINGS.init();
+    await waitFor(() => page.document.getElementById('rex-settings-tab'));
+
+    page.document.getElementById('rex-settings-tab').remove();
+    page.document.getElementById('settings-tabgroup').appendChild(page.document.createElement('span'));
+    await waitFor(() => page.document.getElementById('rex-settings-tab'));
+});
+
+test('renders one section per schema section and hides the native content', async (t) => {
+    const page = await openPanel();
+    t.after(page.close);
+
+    const titles = [...page.panel.querySelectorAll('h2')].map(h2 => h2.textContent.trim());
+    const expected = ['Profiles', ...Array.from(page.window.REX_SETTINGS_SCHEMA.SECTIONS, section => section.title)];
+    assert.deepStrictEqual(titles.slice(0, expected.length), expected);
+    assert.strictEqual(page.document.getElementById('account-settings').style.display, 'none');
+    assert.notStrictEqual(page.document.getElementById('settings-tabgroup').style.display, 'none');
+});
+
+test('reflects stored values and saves toggles', async (t) => {
+    const page = await openPanel({ rex_hide_ads: true });
+    t.after(page.close);
+
+    const adsSwitch = page.panel.querySelector('[data-setting-key="rex_hide_ads"] faceplate-switch-input');
+    assert.ok(adsSwitch.hasAttribute('checked'));
+
+    page.panel.querySelector('[data-setting-key="rex_hide_ads"]').click();
+    page.panel.querySelector('[data-setting-key="rex_hide_popular"]').click();
+    await waitFor(() => page.sync.rex_hide_popular === true);
+
+    assert.strictEqual(page.sync.rex_hide_ads, false);
+    assert.strictEqual(adsSwitch.getAttribute('aria-checked'), 'false');
+});
+
+test('saves sidebar section modes', async (t) => {
+    const page = await openPanel();
+    t.after(page.close);
+
+    const select = page.panel.querySelector('[data-setting-key="rex_section_recent"] select');
+    select.value = 'Hide';
+    select.dispatchEvent(new page.window.Event('change', { bubbles: true }));
+    await waitFor(() => page.sync.rex_section_recent === 'Hide');
+
+    assert.strictEqual(page.panel.querySelector('[data-setting-key="rex_section_recent"] .rex-select-value').textContent, 'Hide');
+});
+
+test('adds custom rules and rejects invalid selectors', async (t) => {
+    const page = await openPanel();
+    t.after(page.close);
+    const alerts = [];
+    page.window.alert = (message) => alerts.push(message);
+
+    const input = page.panel.querySelector('#rex-custom-rule-input');
+    const addButton = page.panel.querySelector('[data-rex-action="add-rule"]');
+
+    input.value = 'div[[';
+    addButton.click();
+    assert.strictEqual(alerts.length, 1);
+    assert.strictEqual(page.sync.rex_custom_rules, undefined);
+
+    input.value = 'shreddit-ad-post';
+    addButton.click();
+    await waitFor(() => Array.isArray(page.sync.rex_custom_rules));
+
+    assert.strictEqual(page.sync.rex_custom_rules.length, 1);
+    assert.strictEqual(page.sync.rex_custom_rules[0].selector, 'shreddit-ad-post');
+    assert.strictEqual(page.sync.rex_custom_rules[0].enabled, true);
+    assert.strictEqual(page.panel.querySelector('#rex-custom-rules-list .rex-custom-rule-selector').value, 'shreddit-ad-post');
+});
+
+test('adds feed filters with the chosen field and action', async (t) => {
+    const page = await openPanel();
+    t.after(page.close);
+    const { panel, window } = page;
+
+    const field = panel.querySelector('#rex-feed-filter-new-field');
+    field.value = 'author';
+    panel.querySelector('#rex-feed-filter-new-pattern').value = 'u/promo_bot';
+    const action = panel.querySelector('#rex-feed-filter-new-action');
+    action.value = 'blur';
+    panel.querySelector('[data-rex-action="add-filter"]').click();
+    await waitFor(() => Array.isArray(page.sync.rex_feed_filters));
+
+    const [filter] = page.sync.rex_feed_filters;
+    assert.deepStrictEqual(
+        { field: filter.field, pattern: filter.pattern, action: filter.action, enabled: filter.enabled },
+        { field: 'author', pattern: 'u/promo_bot', action: 'blur', enabled: true }
+    );
+    assert.ok(window.REX_SETTINGS_SCHEMA.validate('rex_feed_filters', page.sync.rex_feed_filters));
+});
+
+test('resets everything to the schema defaults', async (t) => {
+    const page = await openPanel({ rex_hide_ads: true, rex_section_recent: 'Hide' });
+    t.after(page.close);
+
+    page.panel.querySelector('[data-rex-action="reset-settings"]').click();
+    // The panel is re-rendered once the defaults are saved
+    await waitFor(() => page.document.getElementById('rex-settings-panel') !== page.panel);
+
+    assert.deepStrictEqual(
+        Object.fromEntries(Object.keys(page.window.REX_SETTINGS_SCHEMA.getDefaults()).map(key => [key, page.sync[key]])),
+        JSON.parse(JSON.stringify(page.window.REX_SETTINGS_SCHEMA.getDefaults()))
+    );
+});
+
+test('shows the panel in the browser language', async (t) => {
+    const page = await openPanel({}, 'de');
+    t.after(page.close);
+    const { panel, document } = page;
+
+    assert.strictEqual(document.getElementById('rex-settings-tab').textContent.trim(), 'REX-Einstellungen');
+    assert.strictEqual(panel.querySelector('#rex-profiles-section h2').textContent, 'Profile');
+    assert.strictEqual(panel.querySelector('#rex-sidebar-section h2').textContent, 'Seitenleiste');
+    assert.strictEqual(panel.querySelector('[data-rex-action="reset-settings"]').textContent, 'Alles zurücksetzen');
+
+    // Sidebar sections are named as Reddit shows them in German; stored names stay canonical
+    const communities = panel.querySelector('[data-setting-key="rex_section_communities"]');
+    assert.strictEqual(communities.querySelector('span').textContent.trim(), 'COMMUNITYS');
+    const row = panel.querySelector('.rex-section-order-row[data-section="COMMUNITIES"]');
+    assert.match(row.textContent, /COMMUNITYS/);
+
+    // Dropdown choices are translated, stored values stay English
+    const select = communities.querySelector('select');
+    assert.deepStrictEqual(Array.from(select.options, option => option.textContent), ['Anzeigen', 'Einklappen', 'Ausblenden']);
+    assert.deepStrictEqual(Array.from(select.options, option => option.value), ['Show', 'Collapse', 'Hide']);
+    select.value = 'Hide';
+    select.dispatchEvent(new page.window.Event('change', { bubbles: true }));
+    assert.strictEqual(communities.querySelector('.rex-select-value').textContent, 'Ausblenden');
+    await waitFor(() => page.sync.rex_section_communities === 'Hide');
+    const filterAction = panel.querySelector('#rex-feed-filter-new-action');
+    assert.deepStrictEqual(Array.from(filterAction.options, option => [option.value, option.textContent]), [['hide', 'Ausblenden'], ['blur', 'Unscharf']]);
+
+    assert.match(panel.querySelector('[data-setting-key="rex_hide_ads"]').textContent, /Schaltfläche „Auf Reddit werben“ ausblenden/);
+    assert.match(panel.querySelector('.rex-shortcut-row[data-action="toggle_hide_ads"]').textContent, /Umschalten: Schaltfläche „Auf Reddit werben“ ausblenden/);
+    assert.match(panel.querySelector('.rex-diagnostics-row[data-target="sidebar_communities"]').textContent, /Bereich der Seitenleiste: COMMUNITYS/);
+});
+
+test('has every setting, section, choice, shortcut and Diagnostics text in every catalog', async (t) => {
+    const page = loadPage({ fixture: 'settings.html', url: SETTINGS_URL });
+    t.after(page.close);
+    const { REX_SETTINGS_SCHEMA: SCHEMA, REX_SELECTORS: SELECTORS } = page.window;
+    const FILTER_ITEM = SCHEMA.get('rex_feed_filters').item;
+
+    const keys = [
+        ...SCHEMA.SETTINGS.flatMap(setting => [`setting_${setting.key}_label`, ...(setting.description ? [`setting_${setting.key}_description`] : [])]),
+        ...SCHEMA.SECTIONS.flatMap(section => [`section_${section.id}_title`, ...(section.description ? [`section_${section.id}_description`] : [])]),
+        ...[...SCHEMA.SETTINGS.filter(setting => setting.type === 'enum').flatMap(setting => setting.options), ...FILTER_ITEM.field.options, ...FILTER_ITEM.action.options]
+            .filter(option => !/^\d+$/.test(option))
+            .map(option => `option_${option.toLowerCase().replace(/[^a-z0-9]+/g, '_')}`),
+        ...SCHEMA.SHORTCUT_ACTIONS.map(action => action.setting ? 'shortcut_toggle_label' : `shortcut_${action.id}_label`),
+        ...Object.keys(SELECTORS.TARGETS).filter(id => !SELECTORS.TARGETS[id].sidebarSection).flatMap(id => [`target_${id}_label`, `target_${id}_feature`])
+    ];
+    const localesDir = path.join(__dirname, '..', 'src', '_locales');
+    const english = Object.keys(JSON.parse(fs.readFileSync(path.join(localesDir, 'en', 'messages.json'), 'utf8')));
+
+    assert.deepStrictEqual(keys.filter(key => !english.includes(key)), []);
+    fs.readdirSync(localesDir).forEach(locale => {
+        const messages = JSON.parse(fs.readFileSync(path.join(localesDir, locale, 'messages.json'), 'utf8'));
+        assert.deepStrictEqual(english.filter(key => !(key in messages)), [], `missing in ${locale}`);
+    });
+});
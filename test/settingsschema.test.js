@@ -0,0 +1,54 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { loadPage, wait } = require('./helpers/harness');
+
+/**
+ * Loads just the schema module
+ * @param {object} [sync]
+ * @returns {object}
+ */
+function loadSchema(sync) {
+    return loadPage({ fixture: 'feed.html', url: 'https://www.reddit.com/', sync, scripts: ['logger.js', 'settingsschema.js'] });
+}
+
+test('every setting belongs to a section and has a valid default', (t) => {
+    const page = loadSchema();
+    t.after(page.close);
+    const SCHEMA = page.window.REX_SETTINGS_SCHEMA;
+    const sectionIds = Array.from(SCHEMA.SECTIONS, section => section.id);
+
+    SCHEMA.SETTINGS.forEach(setting => {
+        assert.ok(sectionIds.includes(setting.section), `${setting.key} has unknown section ${setting.section}`);
+        assert.ok(SCHEMA.validate(setting.key, setting.default), `${setting.key} default is invalid`);
+    });
+});
+
+test('normalizes invalid values and drops malformed list entries', (t) => {
+    const page = loadSchema();
+    t.after(page.close);
+    const SCHEMA = page.window.REX_SETTINGS_SCHEMA;
+
+    assert.strictEqual(SCHEMA.normalize('rex_hide_ads', 'yes'), false);
+    assert.strictEqual(SCHEMA.normalize('rex_section_recent', 'Explode'), 'Collapse');
+
+    const rules = SCHEMA.normalize('rex_custom_rules', [
+        { id: 'a', selector: 'recent-posts', enabled: true },
+        { id: 'b', selector: 42, enabled: true }
+    ]);
+    assert.deepStrictEqual(Array.from(rules, rule => rule.id), ['a']);
+});
+
+test('migrates old storage once and records the schema version', async (t) => {
+    const page = loadSchema({ rex_sidebar_mode: 'collapsed', rex_hide_ads: true });
+    t.after(page.close);
+    const SCHEMA = page.window.REX_SETTINGS_SCHEMA;
+
+    const settings = await SCHEMA.load(['rex_hide_ads', 'rex_hide_create']);
+    await wait(20);
+
+    assert.deepStrictEqual({ ...settings }, { rex_hide_ads: true, rex_hide_create: false });
+    assert.ok(!('rex_sidebar_mode' in page.sync));
+    assert.strictEqual(page.sync[SCHEMA.SCHEMA_VERSION_KEY], SCHEMA.SCHEMA_VERSION);
+});
@@ -0,0 +1,157 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { loadPage, wait, waitFor } = require('./helpers/harness');
+
+const FEED_URL = 'https://www.reddit.com/';
+
+/**
+ * Dispatches a keydown event the way a browser would
+ * @param {Window} window
+ * @param {EventTarget} target
+ * @param {object} init - KeyboardEvent init (key, code, modifiers)
+ */
+function press(window, target, init) {
+    target.dispatchEvent(new window.KeyboardEvent('keydown', { bubbles: true, composed: true, cancelable: true, ...init }));
+}
+
+/**
+ * Returns the search input inside the nested faceplate-search-input shadow root
+ * @param {Document} document
+ * @returns {HTMLInputElement}
+ */
+function getSearchInput(document) {
+    return document.querySelector('reddit-search-large').shadowRoot
+        .querySelector('faceplate-search-input').shadowRoot
+        .querySelector('input');
+}
+
+/**
+ * Loads the feed with shortcuts (and the sidebar) running
+ * @param {object} [sync]
+ * @returns {Promise<object>}
+ */
+async function loadFeed(sync) {
+    const page = loadPage({ fixture: 'feed.html', url: FEED_URL, sync });
+    page.window.REX_SIDEBAR.init();
+    page.window.REX_SHORTCUTS.init();
+    await wait(50);
+    return page;
+}
+
+test('describes key presses in the bindings format', (t) => {
+    const page = loadPage({ fixture: 'feed.html', url: FEED_URL });
+    t.after(page.close);
+    const { formatCombo } = page.window.REX_SHORTCUTS;
+
+    assert.strictEqual(formatCombo({ key: 'S', code: 'KeyS', altKey: true, shiftKey: true }), 'Alt+Shift+S');
+    assert.strictEqual(formatCombo({ key: 'ß', code: 'KeyS', altKey: true }), 'Alt+S');
+    assert.strictEqual(formatCombo({ key: '?', code: 'Slash', shiftKey: true }), '?');
+    assert.strictEqual(formatCombo({ key: '/', code: 'Slash' }), '/');
+    assert.strictEqual(formatCombo({ key: '1', code: 'Digit1', ctrlKey: true }), 'Ctrl+1');
+    assert.strictEqual(formatCombo({ key: 'Shift', code: 'ShiftLeft', shiftKey: true }), null);
+});
+
+test('toggles all sidebar sections', async (t) => {
+    const page = await loadFeed();
+    t.after(page.close);
+    const { window, document } = page;
+    const communities = [...document.querySelectorAll('details')].find(d => d.textContent.includes('COMMUNITIES'));
+    await waitFor(() => !communities.open);
+
+    press(window, document.body, { key: 'S', code: 'KeyS', altKey: true, shiftKey: true });
+    assert.ok(communities.open);
+
+    press(window, document.body, { key: 'S', code: 'KeyS', altKey: true, shiftKey: true });
+    await waitFor(() => !communities.open);
+});
+
+test('focuses search, and ignores shortcuts while typing inside its shadow root', async (t) => {
+    const page = await loadFeed();
+    t.after(page.close);
+    const { window, document } = page;
+    const communities = [...document.querySelectorAll('details')].find(d => d.textContent.includes('COMMUNITIES'));
+    await waitFor(() => !communities.open);
+
+    press(window, document.body, { key: '/', code: 'Slash' });
+    const input = getSearchInput(document);
+    assert.strictEqual(input.getRootNode().activeElement, input);
+
+    press(window, input, { key: 'S', code: 'KeyS', altKey: true, shiftKey: true });
+    await wait(50);
+    assert.ok(!communities.open);
+});
+
+test('toggles hide features through rebound keys', async (t) => {
+    const page = await loadFeed({ rex_shortcuts: [{ action: 'toggle_hide_ads', keys: 'H' }] });
+    t.after(page.close);
+    const { window, document } = page;
+
+    press(window, document.body, { key: 'h', code: 'KeyH' });
+    await waitFor(() => page.sync.rex_hide_ads === true);
+    press(window, document.body, { key: 'h', code: 'KeyH' });
+    await waitFor(() => page.sync.rex_hide_ads === false);
+});
+
+test('toggles the global value on a subreddit that overrides the setting', async (t) => {
+    const page = loadPage({
+        fixture: 'feed.html',
+        url: 'https://www.reddit.com/r/OurTeam/',
+        sync: {
+            rex_shortcuts: [{ action: 'toggle_hide_ads', keys: 'H' }],
+            rex_subreddit_overrides: [{ id: 'override-1', subreddit: 'ourteam', key: 'rex_hide_ads', value: true }]
+        }
+    });
+    t.after(page.close);
+    page.window.REX_SHORTCUTS.init();
+    await wait(50);
+
+    press(page.window, page.document.body, { key: 'h', code: 'KeyH' });
+    await waitFor(() => page.sync.rex_hide_ads === true);
+});
+
+test('lists the active shortcuts in the ? overlay', async (t) => {
+    const page = await loadFeed({ rex_shortcuts: [{ action: 'focus_search', keys: '' }] });
+    t.after(page.close);
+    const { window, document } = page;
+
+    press(window, document.body, { key: '?', code: 'Slash', shiftKey: true });
+    const overlay = document.getElementById('rex-shortcuts-overlay');
+    assert.ok(overlay);
+
+    const rows = Array.from(overlay.querySelectorAll('.rex-shortcuts-overlay-row'), row => row.textContent);
+    assert.ok(rows.includes('Show keyboard shortcuts?'));
+    assert.ok(!rows.some(row => row.startsWith('Focus search')));
+
+    press(window, document.body, { key: 'Escape', code: 'Escape' });
+    assert.strictEqual(document.getElementById('rex-shortcuts-overlay'), null);
+});
+
+test('rebinds keys from the settings panel and rejects conflicts', async (t) => {
+    const page = loadPage({ fixture: 'settings.html', url: 'https://www.reddit.com/settings/account#rex-settings' });
+    t.after(page.close);
+    const { window, document } = page;
+    const alerts = [];
+    window.alert = (message) => alerts.push(message);
+
+    // The #rex-settings hash opens the REX tab directly
+    page.window.REX_SETTINGS.init();
+    await waitFor(() => document.getElementById('rex-settings-panel'));
+
+    const keysInput = () => document.querySelector('.rex-shortcut-row[data-action="focus_search"] .rex-shortcut-keys');
+    assert.strictEqual(keysInput().value, '/');
+
+    press(window, keysInput(), { key: 'S', code: 'KeyS', altKey: true, shiftKey: true });
+    assert.strictEqual(alerts.length, 1);
+    assert.ok(alerts[0].includes('Expand / collapse all sidebar sections'));
+
+    press(window, keysInput(), { key: 'F', code: 'KeyF', altKey: true });
+    await waitFor(() => page.sync.rex_shortcuts);
+    const stored = Array.from(page.sync.rex_shortcuts).find(item => item.action === 'focus_search');
+    assert.strictEqual(stored.keys, 'Alt+F');
+    assert.strictEqual(keysInput().value, 'Alt+F');
+
+    press(window, keysInput(), { key: 'Backspace', code: 'Backspace' });
+    await waitFor(() => keysInput().value === '');
+});
@@ -0,0 +1,229 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { loadPage, wait, waitFor, getStyleNames, attachDeclarativeShadowRoots } = require('./helpers/harness');
+
+const FEED_URL = 'https://www.reddit.com/';
+
+/**
+ * Returns the open state of each left nav section, keyed by summary text
+ * @param {Document} document
+ * @returns {object}
+ */
+function getSectionStates(document) {
+    const customFeeds = document.querySelector('left-nav-custom-feeds').shadowRoot;
+    const states = {};
+    [...document.querySelectorAll('details'), ...customFeeds.querySelectorAll('details')].forEach(details => {
+        const name = details.querySelector('summary').textContent.trim();
+        states[name] = details.style.display === 'none' ? 'hidden' : (details.open ? 'open' : 'collapsed');
+    });
+    return states;
+}
+
+test('collapses every managed section by default, including ones inside shadow roots', async (t) => {
+    const page = loadPage({ fixture: 'feed.html', url: FEED_URL });
+    t.after(page.close);
+
+    page.window.REX_SIDEBAR.init();
+    await waitFor(() => Object.values(getSectionStates(page.document)).every(state => state === 'collapsed'));
+
+    assert.deepStrictEqual(getSectionStates(page.document), {
+        'GAMES ON REDDIT': 'collapsed',
+        'RECENT': 'collapsed',
+        'COMMUNITIES': 'collapsed',
+        'CUSTOM FEEDS': 'collapsed',
+        'RESOURCES': 'collapsed'
+    });
+});
+
+test('applies Show and Hide section modes', async (t) => {
+    const page = loadPage({
+        fixture: 'feed.html',
+        url: FEED_URL,
+        sync: { rex_section_recent: 'Show', rex_section_games: 'Hide' }
+    });
+    t.after(page.close);
+
+    page.window.REX_SIDEBAR.init();
+    await waitFor(() => getSectionStates(page.document)['COMMUNITIES'] === 'collapsed');
+
+    const states = getSectionStates(page.document);
+    assert.strictEqual(states['RECENT'], 'open');
+    assert.strictEqual(states['GAMES ON REDDIT'], 'hidden');
+    assert.strictEqual(states['COMMUNITIES'], 'collapsed');
+});
+
+test('hides only the managed sections while they load, and not for longer than the timeout', async (t) => {
+    const page = loadPage({ fixture: 'feed.html', url: FEED_URL });
+    t.after(page.close);
+    const { window, document } = page;
+    const isShown = (element) => window.getComputedStyle(element).display !== 'none';
+
+    const spoiler = document.createElement('details');
+    spoiler.open = true;
+    spoiler.innerHTML = '<summary>Spoiler</summary><p>Text</p>';
+    document.getElementById('main-content').appendChild(spoiler);
+    const communities = [...document.querySelectorAll('details')].find(d => d.textContent.includes('COMMUNITIES'));
+
+    window.REX_SIDEBAR.init();
+    assert.ok(!isShown(communities.querySelector('summary + *')));
+    assert.ok(isShown(spoiler.querySelector('p')));
+
+    await waitFor(() => !communities.open);
+    assert.ok(spoiler.open);
+
+    // Moderation is never found on this page: the loader still stops after its timeout
+    assert.ok(getStyleNames(document).includes('rex-loader-hide'));
+    await waitFor(() => !getStyleNames(document).includes('rex-loader-hide'), 4000);
+});
+
+test('re-applies a changed section mode without a reload', async (t) => {
+    const page = loadPage({ fixture: 'feed.html', url: FEED_URL });
+    t.after(page.close);
+
+    page.window.REX_SIDEBAR.init();
+    await waitFor(() => getSectionStates(page.document)['RESOURCES'] === 'collapsed');
+
+    page.window.chrome.storage.sync.set({ rex_section_resources: 'Hide' });
+    await waitFor(() => getSectionStates(page.document)['RESOURCES'] === 'hidden');
+
+    page.window.chrome.storage.sync.set({ rex_section_resources: 'Show' });
+    await waitFor(() => getSectionStates(page.document)['RESOURCES'] !== 'hidden');
+});
+
+test('puts link hiding styles in the document and every shadow root', async (t) => {
+    const page = loadPage({
+        fixture: 'feed.html',
+        url: FEED_URL,
+        sync: { rex_hide_popular: true, rex_hide_reddit_footer: true }
+    });
+    t.after(page.close);
+    const { document } = page;
+    const customFeedsRoot = document.querySelector('left-nav-custom-feeds').shadowRoot;
+    const searchRoot = document.querySelector('reddit-search-large').shadowRoot;
+
+    page.window.REX_SIDEBAR.init();
+    await waitFor(() => getStyleNames(customFeedsRoot).includes('rex-hide-popular-style'));
+
+    assert.ok(getStyleNames(document).includes('rex-hide-popular-style'));
+    assert.ok(getStyleNames(document).includes('rex-hide-reddit-footer-style'));
+    assert.ok(getStyleNames(searchRoot).includes('rex-hide-popular-style'));
+    assert.ok(!getStyleNames(document).includes('rex-hide-explore-style'));
+
+    // Turning the setting off removes it everywhere
+    page.window.chrome.storage.sync.set({ rex_hide_popular: false });
+    await waitFor(() => !getStyleNames(document).includes('rex-hide-popular-style'));
+    assert.ok(!getStyleNames(customFeedsRoot).includes('rex-hide-popular-style'));
+    assert.ok(!getStyleNames(searchRoot).includes('rex-hide-popular-style'));
+});
+
+test('styles shadow roots rendered after load', async (t) => {
+    const page = loadPage({ fixture: 'feed.html', url: FEED_URL, sync: { rex_hide_explore: true } });
+    t.after(page.close);
+    const { document } = page;
+
+    page.window.REX_SIDEBAR.init();
+    await waitFor(() => getStyleNames(document).includes('rex-hide-explore-style'));
+
+    const host = document.createElement('div');
+    host.innerHTML = '<left-nav-moderation><template shadowrootmode="open"><a href="/explore/">Explore</a></template></left-nav-moderation>';
+    attachDeclarativeShadowRoots(host);
+    document.getElementById('left-sidebar').appendChild(host);
+
+    const lateRoot = host.querySelector('left-nav-moderation').shadowRoot;
+    await waitFor(() => getStyleNames(lateRoot).includes('rex-hide-explore-style'));
+});
+
+test('injects enabled custom rules and skips disabled or unsafe ones', async (t) => {
+    const page = loadPage({
+        fixture: 'feed.html',
+        url: FEED_URL,
+        sync: {
+            rex_custom_rules: [
+                { id: 'r1', selector: 'recent-posts', enabled: true },
+                { id: 'r2', selector: 'shreddit-feed', enabled: false },
+                // Imported or synced values that never went through the editor
+                { id: 'r3', selector: 'a } body { x', enabled: true },
+                { id: 'r4', selector: '[title="}"], main', enabled: true },
+                { id: 'r5', selector: 'div[', enabled: true }
+            ]
+        }
+    });
+    t.after(page.close);
+
+    page.window.REX_SIDEBAR.init();
+    await waitFor(() => getStyleNames(page.document).includes('rex-custom-rules-style'));
+
+    const css = page.document.querySelector('style[data-rex-style="rex-custom-rules-style"]').textContent;
+    assert.match(css, /recent-posts \{ display: none !important; \}/);
+    assert.doesNotMatch(css, /shreddit-feed/);
+    assert.doesNotMatch(css, /body|main|div\[/);
+
+    await wait(50);
+    assert.strictEqual(page.window.getComputedStyle(page.document.querySelector('recent-posts')).display, 'none');
+});
+
+/**
+ * Returns a left nav section by summary text
+ * @param {Document} document
+ * @param {string} name
+ * @returns {HTMLDetailsElement}
+ */
+function getSection(document, name) {
+    return [...document.querySelectorAll('details')].find(details => details.querySelector('summary').textContent.trim() === name);
+}
+
+test('remembers a section the user opened when it is re-rendered', async (t) => {
+    const page = loadPage({ fixture: 'feed.html', url: FEED_URL, sync: { rex_section_memory: 'Everywhere' } });
+    t.after(page.close);
+    const { document } = page;
+
+    page.window.REX_SIDEBAR.init();
+    await waitFor(() => getSectionStates(document)['COMMUNITIES'] === 'collapsed');
+
+    getSection(document, 'COMMUNITIES').open = true;
+    await waitFor(() => page.local.rex_sidebar_section_state);
+    assert.deepStrictEqual({ ...page.local.rex_sidebar_section_state['*'] }, { COMMUNITIES: true });
+
+    // Reddit re-renders the section (e.g. after navigation) without our open state
+    const original = getSection(document, 'COMMUNITIES');
+    const rerendered = original.cloneNode(true);
+    rerendered.removeAttribute('open');
+    original.replaceWith(rerendered);
+    await waitFor(() => rerendered.open);
+    assert.strictEqual(getSectionStates(document)['RECENT'], 'collapsed');
+});
+
+test('restores remembered states per subreddit on load and navigation', async (t) => {
+    const page = loadPage({
+        fixture: 'feed.html',
+        url: 'https://www.reddit.com/r/pics/',
+        sync: { rex_section_memory: 'Per Subreddit', rex_section_recent: 'Show' },
+        local: { rex_sidebar_section_state: { pics: { COMMUNITIES: true, RECENT: false } } }
+    });
+    t.after(page.close);
+    const { window, document } = page;
+
+    window.REX_ROUTER.init();
+    window.REX_SIDEBAR.init();
+    await waitFor(() => getSectionStates(document)['RECENT'] === 'collapsed');
+    assert.strictEqual(getSectionStates(document)['COMMUNITIES'], 'open');
+
+    // No choices remembered in r/aww: back to the section modes
+    window.history.pushState({}, '', '/r/aww/');
+    await waitFor(() => getSectionStates(document)['COMMUNITIES'] === 'collapsed');
+});
+
+test('does not remember toggles when the memory is off', async (t) => {
+    const page = loadPage({ fixture: 'feed.html', url: FEED_URL });
+    t.after(page.close);
+    const { document } = page;
+
+    page.window.REX_SIDEBAR.init();
+    await waitFor(() => getSectionStates(document)['COMMUNITIES'] === 'collapsed');
+
+    getSection(document, 'COMMUNITIES').open = true;
+    await wait(50);
+    assert.strictEqual(page.local.rex_sidebar_section_state, undefined);
+});
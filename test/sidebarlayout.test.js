@@ -0,0 +1,140 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { loadPage, waitFor } = require('./helpers/harness');
+
+const FEED_URL = 'https://www.reddit.com/';
+const PICS_ICON = 'https://styles.redditmedia.com/t5_2qh0u/styles/communityIcon_pics.png';
+
+/**
+ * Returns the section names of the left nav in page order (through shadow hosts)
+ * @param {Document} document
+ * @returns {string[]}
+ */
+function getNavOrder(document) {
+    return Array.from(document.getElementById('left-sidebar').children)
+        .map(child => {
+            const details = child.matches('details') ? child : child.shadowRoot && child.shadowRoot.querySelector('details');
+            return details ? details.querySelector('summary').textContent : null;
+        })
+        .filter(Boolean);
+}
+
+test('puts the sidebar sections in the stored order, including shadow root sections', async (t) => {
+    const page = loadPage({
+        fixture: 'feed.html',
+        url: FEED_URL,
+        sync: { rex_section_order: [{ section: 'CUSTOM FEEDS' }, { section: 'RESOURCES' }, { section: 'RECENT' }] }
+    });
+    t.after(page.close);
+    const { window, document } = page;
+
+    window.REX_SIDEBAR_LAYOUT.init();
+    await waitFor(() => getNavOrder(document)[0] === 'CUSTOM FEEDS');
+    assert.deepStrictEqual(getNavOrder(document), ['CUSTOM FEEDS', 'RESOURCES', 'RECENT', 'GAMES ON REDDIT', 'COMMUNITIES']);
+
+    window.chrome.storage.sync.set({ rex_section_order: [{ section: 'COMMUNITIES' }] });
+    await waitFor(() => getNavOrder(document)[0] === 'COMMUNITIES');
+    assert.deepStrictEqual(getNavOrder(document), ['COMMUNITIES', 'CUSTOM FEEDS', 'RESOURCES', 'RECENT', 'GAMES ON REDDIT']);
+});
+
+test('shows pinned communities above the sections and stores icons found on the page', async (t) => {
+    const page = loadPage({
+        fixture: 'feed.html',
+        url: FEED_URL,
+        sync: {
+            rex_pinned: [
+                { id: 'pin-1', path: '/r/pics/', label: 'r/pics', icon: '' },
+                { id: 'pin-2', path: '/user/alice/m/news/', label: 'u/alice/m/news', icon: '' }
+            ]
+        }
+    });
+    t.after(page.close);
+    const { window, document } = page;
+
+    const icon = document.createElement('img');
+    icon.src = PICS_ICON;
+    document.querySelector('details a[href="/r/pics/"]').appendChild(icon);
+
+    window.REX_SIDEBAR_LAYOUT.init();
+    await waitFor(() => document.getElementById('rex-pinned-section'));
+
+    const pinned = document.getElementById('rex-pinned-section');
+    assert.strictEqual(pinned.nextElementSibling.querySelector('summary').textContent, 'GAMES ON REDDIT');
+    const items = Array.from(pinned.querySelectorAll('.rex-pinned-item'));
+    assert.deepStrictEqual(items.map(item => item.getAttribute('href')), ['/r/pics/', '/user/alice/m/news/']);
+    assert.strictEqual(items[1].textContent, 'Au/alice/m/news');
+
+    await waitFor(() => page.sync.rex_pinned[0].icon === PICS_ICON);
+    await waitFor(() => {
+        const img = document.querySelector('#rex-pinned-section .rex-pinned-item img');
+        return img && img.src === PICS_ICON;
+    });
+    assert.strictEqual(page.sync.rex_pinned[1].icon, '');
+
+    // Reddit re-rendering the nav drops the section; it comes back
+    pinned.remove();
+    const games = document.querySelector('#left-sidebar > details');
+    games.replaceWith(games.cloneNode(true));
+    await waitFor(() => document.getElementById('rex-pinned-section'));
+});
+
+test('ignores stored pins that are not subreddit or custom feed paths', async (t) => {
+    const page = loadPage({
+        fixture: 'feed.html',
+        url: FEED_URL,
+        sync: {
+            rex_pinned: [
+                { id: 'pin-1', path: '/r/pics"] img, [x="/', label: 'r/pics', icon: '' },
+                { id: 'pin-2', path: '/r/news/', label: 'r/news', icon: '' }
+            ]
+        }
+    });
+    t.after(page.close);
+    const { window, document } = page;
+
+    window.REX_SIDEBAR_LAYOUT.init();
+    await waitFor(() => document.getElementById('rex-pinned-section'));
+
+    const items = Array.from(document.querySelectorAll('#rex-pinned-section .rex-pinned-item'));
+    assert.deepStrictEqual(items.map(item => item.getAttribute('href')), ['/r/news/']);
+});
+
+test('pins and reorders from the settings panel', async (t) => {
+    const page = loadPage({ fixture: 'settings.html', url: 'https://www.reddit.com/settings/account#rex-settings' });
+    t.after(page.close);
+    const { window, document } = page;
+    const alerts = [];
+    window.alert = (message) => alerts.push(message);
+
+    window.REX_SETTINGS.init();
+    await waitFor(() => document.getElementById('rex-settings-panel'));
+
+    const pinInput = () => document.getElementById('rex-pinned-new');
+    const pin = (text) => {
+        pinInput().value = text;
+        document.querySelector('[data-rex-action="add-pin"]').click();
+    };
+
+    pin('/r/AskReddit/');
+    pin('https://www.reddit.com/user/alice/m/news');
+    pin('not a subreddit!');
+    pin('r/askreddit');
+    await waitFor(() => page.sync.rex_pinned && page.sync.rex_pinned.length === 2);
+    assert.deepStrictEqual(Array.from(page.sync.rex_pinned, item => [item.path, item.label]), [
+        ['/r/AskReddit/', 'r/AskReddit'],
+        ['/user/alice/m/news/', 'u/alice/m/news']
+    ]);
+    assert.strictEqual(alerts.length, 2);
+    assert.strictEqual(document.querySelectorAll('#rex-pinned-list .rex-list-row').length, 2);
+
+    const rowNames = () => Array.from(document.querySelectorAll('.rex-section-order-row'), row => row.dataset.section);
+    assert.strictEqual(rowNames()[0], 'GAMES ON REDDIT');
+    document.querySelector('.rex-section-order-row[data-section="COMMUNITIES"] [data-rex-action="move-section-up"]').click();
+    await waitFor(() => page.sync.rex_section_order);
+    const stored = Array.from(page.sync.rex_section_order, item => item.section);
+    assert.strictEqual(stored.length, rowNames().length);
+    assert.ok(stored.indexOf('COMMUNITIES') < stored.indexOf('RECENT'));
+    assert.deepStrictEqual(rowNames(), stored);
+});